@@ -0,0 +1,52 @@
+import { reactive } from 'vue'
+
+// The signed-in user (GET /api/auth/me), shared by every view. `user.profile` holds the saved
+// screening settings, option type, watchlist and holdings the server screens with by default.
+export const account = reactive({ loaded: false, user: null, authRequired: false, signup: true })
+
+async function request(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  })
+  if (res.status === 204) return null
+  const data = await res.json()
+  if (!res.ok) throw new Error(data.details ? `${data.error}: ${data.details}` : data.error || 'Request failed')
+  return data
+}
+
+export async function loadAccount() {
+  try {
+    const data = await request('/api/auth/me')
+    Object.assign(account, { user: data.user, authRequired: data.authRequired, signup: data.signup })
+  } catch {
+    account.user = null
+  } finally {
+    account.loaded = true
+  }
+}
+
+export async function login(username, password) {
+  account.user = (await request('/api/auth/login', { method: 'POST', body: { username, password } })).user
+}
+
+export async function register(username, password) {
+  account.user = (await request('/api/auth/register', { method: 'POST', body: { username, password } })).user
+}
+
+export async function logout() {
+  await request('/api/auth/logout', { method: 'POST' })
+  account.user = null
+}
+
+// Saves part of the profile, e.g. { watchlist: [...] }, and keeps the shared copy in step
+export async function saveProfile(changes) {
+  const { profile } = await request('/api/me/profile', { method: 'PUT', body: changes })
+  account.user = { ...account.user, profile }
+  return profile
+}
+
+export const listTokens = async () => (await request('/api/me/tokens')).tokens
+export const createToken = (name) => request('/api/me/tokens', { method: 'POST', body: { name } })
+export const revokeToken = (id) => request(`/api/me/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' })
@@ -0,0 +1,33 @@
+import { ref } from 'vue'
+
+// Alerts pushed by the server (GET /api/alerts/stream), newest first, shared by every view
+export const liveAlerts = ref([])
+export const unseenAlerts = ref(0)
+
+let source = null
+let openedFor = null
+
+// Opens the stream for `userId` (null when anonymous); the server only sends a stream the alerts of
+// its own user's rules, so signing in or out opens a new one. EventSource reconnects on its own after
+// a dropped connection, but gives up on an error response (a 401 before signing in), so a closed
+// stream is opened again.
+export function connectAlertStream(userId = null) {
+  if (typeof EventSource === 'undefined') return
+  if (source && openedFor !== userId) {
+    source.close()
+    liveAlerts.value = []
+    unseenAlerts.value = 0
+  } else if (source && source.readyState !== EventSource.CLOSED) {
+    return
+  }
+  openedFor = userId
+  source = new EventSource('/api/alerts/stream')
+  source.addEventListener('alert', (message) => {
+    const event = JSON.parse(message.data)
+    liveAlerts.value = [event, ...liveAlerts.value].slice(0, 100)
+    unseenAlerts.value++
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      new Notification(`Options alert: ${event.symbol}`, { body: event.message, tag: event.id })
+    }
+  })
+}
@@ -0,0 +1,37 @@
+// Live updates for the analysis open in the symbol view (GET /api/options-weeks/:symbol/stream)
+
+// Applies an `update` event to the analysis in place: changed and new rows replace or join their
+// expiration's rows (kept in strike order), removed rows go. Returns the changed cells as
+// `contractSymbol:field` keys.
+export function applyUpdate(analysis, diff) {
+  const contractsKey = analysis.optionType === 'put' ? 'puts' : 'calls'
+  const changed = []
+  analysis.asOf = diff.asOf
+  analysis.currentPrice = diff.currentPrice
+  analysis.otmRange = diff.otmRange
+  for (const update of diff.expirations) {
+    const exp = analysis.expirations.find(e => new Date(e.expiration * 1000).toISOString().slice(0, 10) === update.date)
+    if (!exp) continue
+    Object.assign(exp, update.fields)
+    const rows = new Map(exp[contractsKey].map(c => [c.contractSymbol, c]))
+    for (const symbol of update.removed) rows.delete(symbol)
+    for (const row of update.rows) {
+      rows.set(row.contractSymbol, row)
+      for (const field of update.changedFields[row.contractSymbol] || []) changed.push(`${row.contractSymbol}:${field}`)
+    }
+    exp[contractsKey] = [...rows.values()].sort((a, b) => a.strike - b.strike)
+  }
+  return changed
+}
+
+// Opens the stream; `onAnalysis` gets whole analyses, `onUpdate` diffs (lib/live/diff.js) and
+// `onError` a message when a poll fails or the connection drops. Returns a function that closes it.
+export function openLiveAnalysis(symbol, params, { onAnalysis, onUpdate, onError }) {
+  const source = new EventSource(`/api/options-weeks/${encodeURIComponent(symbol)}/stream?${params}`)
+  source.addEventListener('analysis', (message) => onAnalysis(JSON.parse(message.data)))
+  source.addEventListener('update', (message) => onUpdate(JSON.parse(message.data)))
+  source.addEventListener('poll-error', (message) => onError(JSON.parse(message.data).message))
+  // EventSource reconnects on its own; this only reports the gap
+  source.onerror = () => onError('Live connection lost, reconnecting…')
+  return () => source.close()
+}
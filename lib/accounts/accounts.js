@@ -0,0 +1,106 @@
+const { httpError } = require('../httpError');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('./credentials');
+const { EMPTY_PROFILE } = require('./profile');
+
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 3600 * 1000;
+const API_TOKEN_PREFIX = 'oa_';
+const MAX_API_TOKENS = 20; // Per user
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000; // lastUsedAt is only rewritten this often
+
+// What a user record shows to its owner: never the password hash
+const publicUser = (user) => ({ id: user.id, username: user.username, profile: { ...EMPTY_PROFILE, ...user.profile }, createdAt: user.createdAt });
+// An API token record without its hash; the token itself is only returned when it is created
+const publicToken = (record) => ({ id: record.id, name: record.name, prefix: record.prefix, createdAt: record.createdAt, lastUsedAt: record.lastUsedAt ?? null });
+
+// Users, login sessions and API tokens, each a JSON collection (lib/jsonStore.js). Sessions and
+// tokens are stored as SHA-256 hashes, so the files never hold a usable secret.
+function createAccounts({ users, sessions, tokens, sessionTtlMs = DEFAULT_SESSION_TTL_MS, now = Date.now }) {
+  const findUser = async (username) => (await users.list()).find(u => u.username === username) || null;
+
+  return {
+    async register({ username, password }) {
+      // The name is checked and claimed in one write, so two sign-ups racing for it cannot both win
+      const user = await users.insertUnique({ username, passwordHash: await hashPassword(password), profile: { ...EMPTY_PROFILE } }, u => u.username === username);
+      if (!user) throw httpError(`Username ${username} is taken`, 409);
+      return publicUser(user);
+    },
+
+    // Resolves to { user, sessionToken, expiresAt }; the same 401 whether the user or the password is wrong
+    async login({ username, password }) {
+      const user = await findUser(username);
+      if (!user || !(await verifyPassword(password, user.passwordHash))) throw httpError('Wrong username or password', 401);
+      const sessionToken = generateToken();
+      const expiresAt = new Date(now() + sessionTtlMs).toISOString();
+      // Expired sessions are dropped whenever someone logs in
+      const current = new Date(now()).toISOString();
+      for (const session of (await sessions.list()).filter(s => s.expiresAt <= current)) await sessions.remove(session.id);
+      await sessions.insert({ tokenHash: hashToken(sessionToken), userId: user.id, expiresAt });
+      return { user: publicUser(user), sessionToken, expiresAt };
+    },
+
+    async logout(sessionToken) {
+      const session = (await sessions.list()).find(s => s.tokenHash === hashToken(sessionToken));
+      if (session) await sessions.remove(session.id);
+    },
+
+    // { user, via: 'session' } for a live session token, or null
+    async fromSession(sessionToken) {
+      const session = (await sessions.list()).find(s => s.tokenHash === hashToken(sessionToken));
+      if (!session || session.expiresAt <= new Date(now()).toISOString()) return null;
+      const user = await users.get(session.userId);
+      return user ? { user: publicUser(user), via: 'session', sessionId: session.id } : null;
+    },
+
+    // { user, via: 'token', tokenId } for a valid API token, or null
+    async fromApiToken(token) {
+      if (!String(token).startsWith(API_TOKEN_PREFIX)) return null;
+      const record = (await tokens.list()).find(t => t.tokenHash === hashToken(token));
+      if (!record) return null;
+      const user = await users.get(record.userId);
+      if (!user) return null;
+      if (!record.lastUsedAt || now() - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+        await tokens.update(record.id, { lastUsedAt: new Date(now()).toISOString() });
+      }
+      return { user: publicUser(user), via: 'token', tokenId: record.id };
+    },
+
+    // The user as their own requests see it (req.user), or null
+    async getUser(userId) {
+      const user = await users.get(userId);
+      return user ? publicUser(user) : null;
+    },
+
+    async updateProfile(userId, changes) {
+      const user = await users.get(userId);
+      if (!user) throw httpError('User not found', 404);
+      return publicUser(await users.update(userId, { profile: { ...EMPTY_PROFILE, ...user.profile, ...changes } }));
+    },
+
+    async listApiTokens(userId) {
+      return (await tokens.list()).filter(t => t.userId === userId).map(publicToken);
+    },
+
+    // Resolves to the token record plus `token`, the secret, which is not shown again
+    async createApiToken(userId, name) {
+      const owned = (await tokens.list()).filter(t => t.userId === userId);
+      if (owned.length >= MAX_API_TOKENS) throw httpError(`At most ${MAX_API_TOKENS} API tokens per user; revoke one first`, 409);
+      const token = generateToken(API_TOKEN_PREFIX);
+      const record = await tokens.insert({ userId, name, prefix: token.slice(0, API_TOKEN_PREFIX.length + 6), tokenHash: hashToken(token) });
+      return { ...publicToken(record), token };
+    },
+
+    // Resolves to true if the user's token was revoked
+    async revokeApiToken(userId, id) {
+      const record = await tokens.get(id);
+      if (!record || record.userId !== userId) return false;
+      return tokens.remove(id);
+    },
+  };
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  DEFAULT_SESSION_TTL_MS,
+  MAX_API_TOKENS,
+  createAccounts,
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 32;
+
+// Validates { username, password } for sign-up and login. Usernames are case-insensitive (stored
+// lower-cased). Returns { credentials, errors }; credentials is null when anything is invalid.
+function validateCredentials(input = {}) {
+  const errors = [];
+  const username = String(input.username ?? '').trim().toLowerCase();
+  const password = typeof input.password === 'string' ? input.password : '';
+  if (!USERNAME_PATTERN.test(username)) errors.push('username must be 3 to 32 letters, digits, dots, dashes or underscores');
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return errors.length ? { credentials: null, errors } : { credentials: { username, password }, errors };
+}
+
+// scrypt with a random salt, stored as scrypt$<salt>$<key> (base64url)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64url'), KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'base64url');
+  return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+// Random bearer secret; only its hash (hashToken) is ever stored
+function generateToken(prefix = '') {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,13 @@
+// Positions, alert rules and snapshots belong to whoever created them: records carry that user's
+// `userId`. Anonymous callers (allowed unless AUTH_REQUIRED is on) share the records without one,
+// which includes everything saved before accounts existed.
+
+// The owner of what a request creates and all it may see
+const ownerOf = (req) => req.user?.id ?? null;
+
+const isOwnedBy = (record, owner) => (record?.userId ?? null) === (owner ?? null);
+
+module.exports = {
+  ownerOf,
+  isOwnedBy,
+};
@@ -0,0 +1,69 @@
+const { DEFAULT_SETTINGS } = require('../analytics');
+const { SCREENING_PARAMS, parseScreeningQuery } = require('../screeningParams');
+const { normalizeSymbols, MAX_SCAN_SYMBOLS } = require('../scan');
+const { parseHoldings } = require('../portfolio/holdings');
+
+const EMPTY_PROFILE = Object.freeze({ screening: {}, optionType: 'call', watchlist: [], holdings: [] });
+
+// Validates a user's saved profile: `screening` holds screening parameters as accepted on the query
+// string (only those set; the rest stay at the server defaults), `optionType` the default type,
+// `watchlist` symbols for scans and `holdings` { symbol, shares, costBasis } for the planner. With
+// `partial`, only the fields present are checked. Returns { profile, errors }.
+function validateProfile(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const profile = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null;
+
+  if (has('screening') || !partial) {
+    const screening = input.screening ?? {};
+    if (typeof screening !== 'object' || Array.isArray(screening)) {
+      errors.push('screening must be an object of screening parameters');
+    } else {
+      const known = [...Object.keys(SCREENING_PARAMS), 'avoidEvents'];
+      const unknown = Object.keys(screening).filter(key => !known.includes(key));
+      const { settings, errors: screeningErrors } = parseScreeningQuery(screening);
+      if (unknown.length) errors.push(`screening: unknown parameter ${unknown.join(', ')}`);
+      else if (!settings) errors.push(...screeningErrors.map(error => `screening: ${error}`));
+      else profile.screening = Object.fromEntries(Object.entries(screening).filter(([, value]) => value !== '' && value !== null));
+    }
+  }
+
+  if (has('optionType') || !partial) {
+    const optionType = String(input.optionType ?? 'call').toLowerCase();
+    if (optionType !== 'call' && optionType !== 'put') errors.push('optionType must be call or put');
+    else profile.optionType = optionType;
+  }
+
+  if (has('watchlist') || !partial) {
+    const watchlist = input.watchlist ?? [];
+    const symbols = Array.isArray(watchlist) && !watchlist.length ? [] : normalizeSymbols(watchlist);
+    if (!symbols) errors.push(`watchlist must be a list of up to ${MAX_SCAN_SYMBOLS} tickers`);
+    else profile.watchlist = symbols;
+  }
+
+  if (has('holdings') || !partial) {
+    const holdings = input.holdings ?? [];
+    if (Array.isArray(holdings) && !holdings.length) {
+      profile.holdings = [];
+    } else {
+      try {
+        profile.holdings = parseHoldings(holdings);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+  }
+
+  return errors.length ? { profile: null, errors } : { profile, errors };
+}
+
+// The analytics settings a user's screening profile describes, the base request parameters apply to
+function profileSettings(profile) {
+  return (profile?.screening && parseScreeningQuery(profile.screening).settings) || DEFAULT_SETTINGS;
+}
+
+module.exports = {
+  EMPTY_PROFILE,
+  validateProfile,
+  profileSettings,
+};
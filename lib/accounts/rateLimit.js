@@ -0,0 +1,61 @@
+const { DEFAULT_SETTINGS } = require('../analytics');
+
+// What one analysis at the default settings reads: a quote and this many chains
+const CHAINS_PER_UNIT = DEFAULT_SETTINGS.expirationCount;
+
+// Fixed-window request counter per key (an API token, a signed-in user or an IP address), in memory.
+// take(key, units) counts a request as `units` (see requestCost) and returns { allowed, limit,
+// remaining, resetAt (epoch ms) }; a refused request uses up nothing.
+function createRateLimiter({ limit, windowMs = 60000, now = Date.now }) {
+  const windows = new Map();
+
+  return {
+    take(key, units = 1) {
+      const time = now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        // Forget finished windows now and then so the map does not grow with every caller seen
+        if (windows.size > 10000) for (const [k, w] of windows) if (w.resetAt <= time) windows.delete(k);
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      const allowed = window.count + units <= limit;
+      if (allowed) window.count += units;
+      return { allowed, limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+    },
+  };
+}
+
+// What a request counts as against the rate limit: one unit per symbol it analyzes, and one more per
+// symbol for every further CHAINS_PER_UNIT chains it reads of each
+const requestCost = (symbols, chainsPerSymbol = CHAINS_PER_UNIT) => symbols * Math.max(1, Math.ceil(chainsPerSymbol / CHAINS_PER_UNIT));
+
+// Open event streams per key, at most `limit` at once. acquire(key) returns a function that releases
+// the stream, or null when the key already holds `limit` of them.
+function createStreamLimiter({ limit }) {
+  const open = new Map();
+
+  return {
+    limit,
+
+    acquire(key) {
+      const count = open.get(key) || 0;
+      if (count >= limit) return null;
+      open.set(key, count + 1);
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        const left = open.get(key) - 1;
+        if (left) open.set(key, left);
+        else open.delete(key);
+      };
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  requestCost,
+  createStreamLimiter,
+};
@@ -0,0 +1,219 @@
+const { validateCredentials } = require('./credentials');
+const { validateProfile } = require('./profile');
+
+const SESSION_COOKIE = 'session';
+
+// Paths under /api anyone may call even when AUTH_REQUIRED is on, those metered per IP by the
+// tighter sign-in limiter (all of /auth/ but the read-only /auth/me every page load asks for) and
+// those not rate limited at all
+const isPublic = (path) => path === '/health' || path.startsWith('/auth/');
+const isSignIn = (req) => req.path.startsWith('/auth/') && !(req.method === 'GET' && req.path === '/auth/me');
+const isUnmetered = (path) => isPublic(path) || path === '/me' || path.startsWith('/me/');
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Malformed escape: not one of ours
+    }
+  }
+  return cookies;
+}
+
+// Counts `units` of the request (which costs `cost` in all) against `key`, sets the RateLimit-* headers
+// and answers 429 once the window is spent; true when the request may go on
+function meter(rateLimiter, key, res, units = 1, cost = units) {
+  const { allowed, limit, remaining, resetAt } = rateLimiter.take(key, units);
+  const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set({ 'RateLimit-Limit': String(limit), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(resetSeconds) });
+  if (allowed) return true;
+  if (cost > limit) {
+    res.status(429).json({ error: `This request counts as ${cost} requests (one per symbol it analyzes), more than the rate limit of ${limit} per minute allows; ask for fewer symbols` });
+    return false;
+  }
+  res.set('Retry-After', String(resetSeconds));
+  res.status(429).json({ error: `Rate limit of ${limit} requests per minute reached${cost > 1 ? ` (this one counts as ${cost})` : ''}; retry in ${resetSeconds}s` });
+  return false;
+}
+
+// For a route that analyzes several symbols or reads many chains: the middleware charged one unit,
+// this takes the rest of the request's cost (requestCost in lib/accounts/rateLimit.js) or answers 429.
+// True when the route may go on.
+function chargeRequest(req, res, units) {
+  const rateLimiter = req.meter?.rateLimiter;
+  return !rateLimiter || units <= 1 || meter(rateLimiter, req.meter.key, res, units - 1, units);
+}
+
+// For a Server-Sent Events route: counts the stream against the caller's open streams until the
+// client disconnects, or answers 429. True when the route may go on.
+function holdStream(req, res) {
+  const streamLimiter = req.meter?.streamLimiter;
+  if (!streamLimiter) return true;
+  const release = streamLimiter.acquire(req.meter.key);
+  if (!release) {
+    res.status(429).json({ error: `At most ${streamLimiter.limit} open streams per caller; close one first` });
+    return false;
+  }
+  req.on('close', release);
+  return true;
+}
+
+// Express middleware for /api: resolves the caller from an `Authorization: Bearer <API token>` header
+// or the session cookie into req.auth ({ user, via, tokenId? }) and req.user, answers 401 for a bad
+// token (or for anonymous callers when `authRequired`), and meters requests through `rateLimiter`
+// (lib/accounts/rateLimit.js) per API token, then per user, then per IP; routes costing more than a
+// unit charge the rest with chargeRequest, and event streams count against `streamLimiter` through
+// holdStream. Sign-in, sign-up and sign-out go through `authRateLimiter` per IP instead, so passwords
+// cannot be guessed at the API's pace.
+function createAuthMiddleware({ accounts, authRequired = false, rateLimiter = null, authRateLimiter = null, streamLimiter = null }) {
+  return async (req, res, next) => {
+    if (authRateLimiter && isSignIn(req) && !meter(authRateLimiter, `ip:${req.ip}`, res)) return;
+    try {
+      const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1];
+      if (bearer) {
+        req.auth = await accounts.fromApiToken(bearer);
+        if (!req.auth) return res.status(401).json({ error: 'Invalid or revoked API token' });
+      } else {
+        const sessionToken = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+        req.auth = sessionToken ? await accounts.fromSession(sessionToken) : null;
+      }
+      req.user = req.auth?.user ?? null;
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to authenticate', details: err?.message });
+    }
+    if (authRequired && !req.user && !isPublic(req.path)) {
+      return res.status(401).json({ error: 'Sign in, or pass an API token as Authorization: Bearer <token>' });
+    }
+    const key = req.auth?.tokenId ? `token:${req.auth.tokenId}` : req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const metered = rateLimiter && !isUnmetered(req.path);
+    if (metered && !meter(rateLimiter, key, res)) return;
+    req.meter = { key, rateLimiter: metered ? rateLimiter : null, streamLimiter };
+    next();
+  };
+}
+
+// Accounts: sign-up, login sessions (an HttpOnly cookie), the caller's screening profile and API
+// tokens for scripts. `accounts` comes from lib/accounts/accounts.js. Registers the /api middleware
+// too, so it must run before the routes it protects.
+function registerAccountRoutes(app, { accounts, authRequired = false, signup = true, rateLimiter = null, authRateLimiter = null, streamLimiter = null, secureCookies = false }) {
+  app.use('/api', createAuthMiddleware({ accounts, authRequired, rateLimiter, authRateLimiter, streamLimiter }));
+
+  const requireUser = (req, res) => {
+    if (req.user) return true;
+    res.status(401).json({ error: 'Sign in first' });
+    return false;
+  };
+
+  function startSession(res, { sessionToken, expiresAt }) {
+    res.cookie(SESSION_COOKIE, sessionToken, { httpOnly: true, sameSite: 'lax', secure: secureCookies, path: '/', expires: new Date(expiresAt) });
+  }
+
+  // The signed-in user (null when anonymous) and how this deployment handles accounts
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user, via: req.auth?.via ?? null, authRequired, signup });
+  });
+
+  app.post('/api/auth/register', async (req, res) => {
+    if (!signup) return res.status(403).json({ error: 'Sign-up is closed on this server' });
+    const { credentials, errors } = validateCredentials(req.body || {});
+    if (!credentials) return res.status(400).json({ error: 'Invalid sign-up', details: errors.join('; ') });
+    try {
+      await accounts.register(credentials);
+      const session = await accounts.login(credentials);
+      startSession(res, session);
+      res.status(201).json({ user: session.user });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to sign up', details: err?.message });
+    }
+  });
+
+  app.post('/api/auth/login', async (req, res) => {
+    const body = req.body || {};
+    if (!body.username || !body.password) return res.status(400).json({ error: 'username and password are required' });
+    try {
+      const session = await accounts.login({ username: String(body.username).trim().toLowerCase(), password: String(body.password) });
+      startSession(res, session);
+      res.json({ user: session.user, expiresAt: session.expiresAt });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to sign in', details: err?.message });
+    }
+  });
+
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const sessionToken = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+      if (sessionToken) await accounts.logout(sessionToken);
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to sign out', details: err?.message });
+    }
+  });
+
+  app.get('/api/me/profile', (req, res) => {
+    if (!requireUser(req, res)) return;
+    res.json({ profile: req.user.profile });
+  });
+
+  // Body: any of { screening: { ...screening params }, optionType, watchlist: [...], holdings: [...] | 'csv' }
+  app.put('/api/me/profile', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    const { profile, errors } = validateProfile(req.body || {}, { partial: true });
+    if (!profile) return res.status(400).json({ error: 'Invalid profile', details: errors.join('; ') });
+    try {
+      res.json({ profile: (await accounts.updateProfile(req.user.id, profile)).profile });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to save profile', details: err?.message });
+    }
+  });
+
+  app.get('/api/me/tokens', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    try {
+      res.json({ tokens: await accounts.listApiTokens(req.user.id) });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load API tokens', details: err?.message });
+    }
+  });
+
+  // Tokens are managed from a signed-in session only, so a leaked token cannot mint more
+  app.post('/api/me/tokens', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    if (req.auth.via !== 'session') return res.status(403).json({ error: 'API tokens can only be created from a signed-in session' });
+    const name = String(req.body?.name ?? '').trim();
+    if (!name || name.length > 64) return res.status(400).json({ error: 'name must be 1 to 64 characters' });
+    try {
+      res.status(201).json(await accounts.createApiToken(req.user.id, name));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to create API token', details: err?.message });
+    }
+  });
+
+  app.delete('/api/me/tokens/:id', async (req, res) => {
+    if (!requireUser(req, res)) return;
+    if (req.auth.via !== 'session') return res.status(403).json({ error: 'API tokens can only be revoked from a signed-in session' });
+    try {
+      if (!(await accounts.revokeApiToken(req.user.id, req.params.id))) return res.status(404).json({ error: 'API token not found' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to revoke API token', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  parseCookies,
+  createAuthMiddleware,
+  chargeRequest,
+  holdStream,
+  registerAccountRoutes,
+};
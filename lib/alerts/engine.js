@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS, createOptionMapper } = require('../analytics');
+const { analyzeSymbol } = require('../optionsWeeks');
+const { mapWithConcurrency } = require('../scan');
+const { fieldValue, matchesRule, describeRule } = require('./rules');
+const { resolveContract } = require('../positions/contract');
+const { isOwnedBy } = require('../accounts/owner');
+
+const EVALUATE_CONCURRENCY = 4;
+const MAX_EVENT_MATCHES = 5; // Contracts listed per triggered alert
+const RECENT_EVENTS = 100; // Kept in memory for GET /api/alerts/events
+
+// One contract mapped like /api/options-weeks, wherever its strike sits (an open short call may be in the money)
+async function quoteContract(provider, contractSymbol, { settings, now }) {
+  const { contract, expiration, raw } = await resolveContract(provider, contractSymbol, { now });
+  const { symbol, optionType } = contract;
+  if (!raw) throw new Error(`${contractSymbol} is not listed`);
+  const quote = await provider.getQuote(symbol);
+  const currentPrice = quote?.regularMarketPrice;
+  if (!currentPrice || !Number.isFinite(currentPrice)) throw new Error(`Unable to get current price for ${symbol}`);
+  return { ...createOptionMapper({ currentPrice, expiration, optionType, settings, now })(raw), expiration: Math.floor(expiration.getTime() / 1000) };
+}
+
+// Evaluates stored alert rules (lib/alerts/rules.js) against current market data. Rules are edge
+// triggered: a rule fires when its condition starts to hold ('armed' -> 'triggered') and re-arms once
+// it stops holding, so a condition that stays true alerts once. Triggered alerts go to every notifier
+// ({ notify(event, rule) }, see lib/alerts/notify.js) and carry the rule's `userId`. Contracts are
+// screened with `settingsFor(userId)`, the settings of the rule's owner (null: anonymous rules).
+function createAlertEngine({ rules, provider, calendar = null, notifiers = [], settingsFor = async () => DEFAULT_SETTINGS, now = () => Date.now() }) {
+  const recent = [];
+  let queue = Promise.resolve();
+  let pendingAll = null;
+
+  async function dispatch(event, rule) {
+    event.deliveries = (await Promise.all(notifiers.map(n => n.notify(event, rule).catch(err => ({ ok: false, error: err?.message }))))).filter(Boolean);
+    recent.unshift(event);
+    recent.length = Math.min(recent.length, RECENT_EVENTS);
+    return event;
+  }
+
+  function buildEvent(rule, matches, triggeredAt) {
+    // Strongest matches first: furthest past a numeric threshold, else by goal score
+    const numeric = typeof rule.threshold === 'number';
+    const descending = rule.comparator.startsWith('>');
+    const ranked = matches.slice().sort((a, b) => (numeric
+      ? (descending ? fieldValue(b, rule.field) - fieldValue(a, rule.field) : fieldValue(a, rule.field) - fieldValue(b, rule.field))
+      : parseFloat(b.goalScore) - parseFloat(a.goalScore)));
+    const listed = ranked.slice(0, MAX_EVENT_MATCHES).map(c => ({
+      contractSymbol: c.contractSymbol,
+      expiration: c.expiration,
+      strike: c.strike,
+      value: fieldValue(c, rule.field),
+      premium: c.premium,
+      returnPercent: c.returnPercent,
+      assignmentProbabilityEnhanced: c.assignmentProbabilityEnhanced,
+    }));
+    const first = listed[0];
+    return {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      userId: rule.userId ?? null,
+      rule: describeRule(rule),
+      symbol: rule.symbol,
+      optionType: rule.optionType,
+      contractSymbol: rule.contractSymbol,
+      field: rule.field,
+      comparator: rule.comparator,
+      threshold: rule.threshold,
+      matchCount: matches.length,
+      matches: listed,
+      message: rule.contractSymbol
+        ? `${describeRule(rule)} (now ${first.value})`
+        : `${describeRule(rule)}: ${matches.length} contract${matches.length === 1 ? '' : 's'}, e.g. ${first.contractSymbol} (${first.value})`,
+      triggeredAt,
+    };
+  }
+
+  async function evaluateRule(rule, loadContracts) {
+    const evaluatedAt = new Date(now()).toISOString();
+    try {
+      const matches = (await loadContracts(rule)).filter(c => matchesRule(c, rule));
+      if (matches.length && rule.state !== 'triggered') {
+        const event = buildEvent(rule, matches, evaluatedAt);
+        await rules.update(rule.id, { state: 'triggered', lastTriggeredAt: evaluatedAt, lastEvaluatedAt: evaluatedAt, lastError: null });
+        return { rule, matchCount: matches.length, event: await dispatch(event, rule), error: null };
+      }
+      await rules.update(rule.id, { state: matches.length ? 'triggered' : 'armed', lastEvaluatedAt: evaluatedAt, lastError: null });
+      return { rule, matchCount: matches.length, event: null, error: null };
+    } catch (err) {
+      await rules.update(rule.id, { lastEvaluatedAt: evaluatedAt, lastError: err?.message || 'Evaluation failed' });
+      return { rule, matchCount: 0, event: null, error: err?.message || 'Evaluation failed' };
+    }
+  }
+
+  // Evaluates the enabled rules of `userId`, or everyone's when undefined
+  async function run(userId) {
+    const enabled = (await rules.list()).filter(rule => rule.enabled !== false && (userId === undefined || isOwnedBy(rule, userId)));
+    // Each owner's settings are looked up once per run, and rules on the same symbol and type screened
+    // with the same settings share one analysis
+    const ownerSettings = new Map();
+    const analyses = new Map();
+    const loadContracts = async (rule) => {
+      const owner = rule.userId ?? null;
+      if (!ownerSettings.has(owner)) ownerSettings.set(owner, settingsFor(owner));
+      const settings = await ownerSettings.get(owner);
+      if (rule.contractSymbol) return [await quoteContract(provider, rule.contractSymbol, { settings, now: now() })];
+      const key = `${rule.symbol}:${rule.optionType}:${JSON.stringify(settings)}`;
+      if (!analyses.has(key)) {
+        analyses.set(key, analyzeSymbol(provider, rule.symbol, { optionType: rule.optionType, settings, calendar }).then(analysis => {
+          const contractsKey = rule.optionType === 'put' ? 'puts' : 'calls';
+          return analysis.expirations
+            .filter(exp => !exp.excludedByEvents)
+            .flatMap(exp => exp[contractsKey].map(c => ({ ...c, expiration: exp.expiration })));
+        }));
+      }
+      return analyses.get(key);
+    };
+    const results = await mapWithConcurrency(enabled, EVALUATE_CONCURRENCY, rule => evaluateRule(rule, loadContracts));
+    return {
+      evaluatedAt: new Date(now()).toISOString(),
+      evaluated: results.length,
+      triggered: results.filter(r => r.event).map(r => r.event),
+      errors: results.filter(r => r.error).map(r => ({ ruleId: r.rule.id, error: r.error })),
+    };
+  }
+
+  // Runs go one at a time, so no rule is evaluated (and fired) twice at once
+  function enqueue(userId) {
+    const next = queue.then(() => run(userId));
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    // Evaluates every enabled rule; a call made while such a run is pending shares it
+    evaluateAll() {
+      if (!pendingAll) pendingAll = enqueue(undefined).finally(() => { pendingAll = null; });
+      return pendingAll;
+    },
+
+    // Evaluates only the enabled rules of `userId` (null: the anonymous ones), as evaluateAll does
+    evaluate({ userId = null } = {}) {
+      return enqueue(userId);
+    },
+
+    // Newest first: every user's, or only those of `userId` when given (null: the anonymous ones)
+    recentEvents({ userId } = {}) {
+      return userId === undefined ? recent.slice() : recent.filter(event => isOwnedBy(event, userId));
+    },
+  };
+}
+
+module.exports = {
+  createAlertEngine,
+};
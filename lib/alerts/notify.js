@@ -0,0 +1,62 @@
+const dns = require('dns');
+const { assertDeliverable } = require('./webhooks');
+const { openEventStream, formatEvent } = require('../sse');
+const { isOwnedBy } = require('../accounts/owner');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Posts triggered alerts as JSON to the rule's webhookUrl, or `url` (ALERTS_WEBHOOK_URL) when the
+// rule has none. A rule's own URL must still be on `allowedHosts` (ALERTS_WEBHOOK_HOSTS) and resolve
+// to a public address. Redirects are not followed. Resolves to the delivery outcome; a failed
+// delivery never throws.
+function createWebhookNotifier({ url = null, allowedHosts = [], fetch = globalThis.fetch, lookup = dns.promises.lookup, timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  return {
+    async notify(event, rule) {
+      const target = rule?.webhookUrl || url;
+      if (!target) return null;
+      try {
+        if (rule?.webhookUrl) await assertDeliverable(rule.webhookUrl, { allowedHosts, lookup });
+        const res = await fetch(target, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'options-analyzer-alerts' },
+          body: JSON.stringify(event),
+          redirect: 'manual',
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        return { channel: 'webhook', url: target, ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+      } catch (err) {
+        return { channel: 'webhook', url: target, ok: false, status: null, error: err?.message || 'Delivery failed' };
+      }
+    },
+  };
+}
+
+// Server-Sent Events fan-out to connected browsers (GET /api/alerts/stream). Each alert goes only to
+// the streams of the user who owns its rule (`userId`; null for anonymous rules and subscribers).
+function createAlertStream() {
+  const clients = new Set();
+
+  return {
+    subscribe(req, res, { userId = null } = {}) {
+      const client = { res, userId };
+      openEventStream(req, res, () => clients.delete(client));
+      clients.add(client);
+    },
+
+    async notify(event) {
+      const frame = formatEvent(event.id, 'alert', event);
+      const recipients = [...clients].filter(client => isOwnedBy(event, client.userId));
+      for (const { res } of recipients) res.write(frame);
+      return { channel: 'stream', ok: true, clients: recipients.length };
+    },
+
+    get clientCount() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = {
+  createWebhookNotifier,
+  createAlertStream,
+};
@@ -0,0 +1,96 @@
+const { MAX_ALERT_RULES, ALERT_FIELDS, COMPARATORS, validateAlertRule } = require('./rules');
+const { ownerOf, isOwnedBy } = require('../accounts/owner');
+const { chargeRequest, holdStream } = require('../accounts/routes');
+const { requestCost } = require('../accounts/rateLimit');
+
+// What a rule watches; changing any of it re-arms the rule
+const CONDITION_FIELDS = ['symbol', 'optionType', 'contractSymbol', 'field', 'comparator', 'threshold'];
+
+// Alert rules CRUD, the recent-alert log, on-demand evaluation and the browser event stream, each
+// limited to the caller's own rules and alerts (lib/accounts/owner.js). `rules` is a JSON collection
+// (lib/jsonStore.js), `engine` lib/alerts/engine.js, `stream` the SSE fan-out, `webhookHosts` the hosts
+// rules may name in their own webhookUrl.
+function registerAlertRoutes(app, { rules, engine, stream, webhookHosts = [] }) {
+  const ownRules = async (req) => (await rules.list()).filter(rule => isOwnedBy(rule, ownerOf(req)));
+
+  // The rule when the caller owns it, else null (answered as not found)
+  async function ownRule(req) {
+    const rule = await rules.get(req.params.id);
+    return isOwnedBy(rule, ownerOf(req)) ? rule : null;
+  }
+
+  app.get('/api/alerts', async (req, res) => {
+    try {
+      res.json({ rules: await ownRules(req), fields: ALERT_FIELDS, comparators: Object.keys(COMPARATORS) });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load alert rules', details: err?.message });
+    }
+  });
+
+  app.post('/api/alerts', async (req, res) => {
+    const { rule, errors } = validateAlertRule(req.body || {}, { webhookHosts });
+    if (!rule) return res.status(400).json({ error: 'Invalid alert rule', details: errors.join('; ') });
+    try {
+      if ((await ownRules(req)).length >= MAX_ALERT_RULES) return res.status(409).json({ error: `At most ${MAX_ALERT_RULES} alert rules per user; delete one first` });
+      res.status(201).json(await rules.insert({ ...rule, userId: ownerOf(req), state: 'armed', lastEvaluatedAt: null, lastTriggeredAt: null, lastError: null }));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to save alert rule', details: err?.message });
+    }
+  });
+
+  // Triggered alerts since the server started, newest first
+  app.get('/api/alerts/events', (req, res) => {
+    res.json({ events: engine.recentEvents({ userId: ownerOf(req) }) });
+  });
+
+  // Server-Sent Events: one `alert` event per triggered alert
+  app.get('/api/alerts/stream', (req, res) => {
+    if (!holdStream(req, res)) return;
+    stream.subscribe(req, res, { userId: ownerOf(req) });
+  });
+
+  // Evaluates the caller's enabled rules now, in or out of market hours. Counts against the rate limit
+  // once per symbol and contract they watch.
+  app.post('/api/alerts/evaluate', async (req, res) => {
+    try {
+      const watched = new Set((await ownRules(req)).filter(rule => rule.enabled !== false).map(rule => rule.contractSymbol || `${rule.symbol}:${rule.optionType}`));
+      if (!chargeRequest(req, res, requestCost(watched.size))) return;
+      res.json(await engine.evaluate({ userId: ownerOf(req) }));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to evaluate alerts', details: err?.message });
+    }
+  });
+
+  // Body: any rule fields to change; the rest are kept
+  app.put('/api/alerts/:id', async (req, res) => {
+    try {
+      const existing = await ownRule(req);
+      if (!existing) return res.status(404).json({ error: 'Alert rule not found' });
+      const changes = req.body || {};
+      const { rule, errors } = validateAlertRule({
+        ...existing,
+        // A new symbol replaces the watched contract, and the other way round
+        ...(changes.symbol !== undefined && changes.contractSymbol === undefined ? { contractSymbol: null } : {}),
+        ...changes,
+      }, { webhookHosts });
+      if (!rule) return res.status(400).json({ error: 'Invalid alert rule', details: errors.join('; ') });
+      const rearm = CONDITION_FIELDS.some(field => rule[field] !== existing[field]);
+      res.json(await rules.update(req.params.id, { ...rule, ...(rearm ? { state: 'armed', lastError: null } : {}) }));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to save alert rule', details: err?.message });
+    }
+  });
+
+  app.delete('/api/alerts/:id', async (req, res) => {
+    try {
+      if (!(await ownRule(req)) || !(await rules.remove(req.params.id))) return res.status(404).json({ error: 'Alert rule not found' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to delete alert rule', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  registerAlertRoutes,
+};
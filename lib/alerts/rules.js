@@ -0,0 +1,141 @@
+const { parseOccSymbol } = require('../occ');
+const { webhookUrlError } = require('./webhooks');
+
+// Per user (and for the anonymous rules together): each enabled rule is re-evaluated against market
+// data on every scheduler tick
+const MAX_ALERT_RULES = 50;
+
+// Contract fields (as produced by createOptionMapper in lib/analytics.js) a rule can watch, by kind
+const ALERT_FIELDS = Object.freeze({
+  premium: 'number',
+  midPrice: 'number',
+  returnPercent: 'number',
+  otmPercent: 'number',
+  assignmentProbability: 'number',
+  assignmentProbabilityEnhanced: 'number',
+  probabilityOfTouch: 'number',
+  delta: 'number',
+  volatilityUsed: 'number', // IV behind the probabilities, as a fraction
+  goalScore: 'number',
+  spreadPercent: 'number',
+  liquidityScore: 'number',
+  volume: 'number',
+  openInterest: 'number',
+  daysToExpiry: 'number',
+  meetsTarget: 'boolean',
+  meetsLiquidity: 'boolean',
+  targetType: 'string', // 'weekly', 'bi-weekly' or 'none'
+});
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// The field's value on a mapped contract, in the rule's type (numbers arrive as fixed-point strings)
+function fieldValue(contract, field) {
+  const raw = contract?.[field];
+  if (raw === null || raw === undefined) return null;
+  if (ALERT_FIELDS[field] === 'number') {
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : null;
+  }
+  if (ALERT_FIELDS[field] === 'boolean') return Boolean(raw);
+  return String(raw);
+}
+
+// Whether the contract satisfies the rule; a missing value never does
+function matchesRule(contract, rule) {
+  const value = fieldValue(contract, rule.field);
+  return value !== null && COMPARATORS[rule.comparator](value, rule.threshold);
+}
+
+// Validates an alert rule payload (updates pass the stored rule merged with the changes). A rule
+// watches either one contract (contractSymbol, e.g. an open short call) or every screened contract
+// of a symbol and option type. A rule's own webhookUrl must be on one of `webhookHosts`
+// (ALERTS_WEBHOOK_HOSTS, see lib/alerts/webhooks.js). Returns { rule, errors }.
+function validateAlertRule(input = {}, { webhookHosts = [] } = {}) {
+  const errors = [];
+  const rule = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null && input[field] !== '';
+
+  if (has('contractSymbol')) {
+    const contract = parseOccSymbol(input.contractSymbol);
+    if (!contract) {
+      errors.push('contractSymbol must be an OCC option symbol (e.g. AAPL250606C00200000)');
+    } else {
+      Object.assign(rule, {
+        contractSymbol: String(input.contractSymbol).toUpperCase().replace(/\s+/g, ''),
+        symbol: contract.symbol,
+        optionType: contract.optionType,
+      });
+    }
+  } else {
+    const symbol = String(input.symbol || '').toUpperCase().trim();
+    if (!/^[A-Z][A-Z0-9.\-]{0,9}$/.test(symbol)) {
+      errors.push('symbol (or contractSymbol) is required');
+    } else {
+      const optionType = String(input.optionType || 'call').toLowerCase();
+      if (optionType !== 'call' && optionType !== 'put') errors.push('optionType must be call or put');
+      Object.assign(rule, { symbol, optionType, contractSymbol: null });
+    }
+  }
+
+  if (!Object.hasOwn(ALERT_FIELDS, input.field)) errors.push(`field must be one of ${Object.keys(ALERT_FIELDS).join(', ')}`);
+  else rule.field = input.field;
+
+  if (!Object.hasOwn(COMPARATORS, input.comparator)) errors.push(`comparator must be one of ${Object.keys(COMPARATORS).join(' ')}`);
+  else rule.comparator = input.comparator;
+
+  // The threshold's type follows the field; only numbers can be ordered
+  const kind = ALERT_FIELDS[rule.field];
+  if (kind === 'number') {
+    const threshold = Number(input.threshold);
+    if (!has('threshold') || !Number.isFinite(threshold)) errors.push('threshold must be a number');
+    else rule.threshold = threshold;
+  } else if (kind === 'boolean') {
+    if (input.threshold === true || input.threshold === 'true') rule.threshold = true;
+    else if (input.threshold === false || input.threshold === 'false') rule.threshold = false;
+    else errors.push('threshold must be true or false');
+  } else if (kind === 'string') {
+    if (!has('threshold')) errors.push('threshold is required');
+    else rule.threshold = String(input.threshold);
+  }
+  if (kind && kind !== 'number' && rule.comparator && rule.comparator !== '==' && rule.comparator !== '!=') {
+    errors.push(`${rule.field} can only be compared with == or !=`);
+  }
+
+  if (has('webhookUrl')) {
+    const error = webhookUrlError(input.webhookUrl, webhookHosts);
+    if (error) errors.push(error);
+    else rule.webhookUrl = new URL(String(input.webhookUrl)).toString();
+  } else {
+    rule.webhookUrl = null; // ALERTS_WEBHOOK_URL only
+  }
+
+  if (input.enabled === undefined) rule.enabled = true;
+  else if (typeof input.enabled === 'boolean') rule.enabled = input.enabled;
+  else errors.push('enabled must be true or false');
+  rule.label = has('label') ? String(input.label).slice(0, 200) : null;
+
+  return { rule: errors.length ? null : rule, errors };
+}
+
+// "AAPL250606C00200000 assignmentProbabilityEnhanced >= 50"
+function describeRule(rule) {
+  return rule.label || `${rule.contractSymbol || `${rule.symbol} ${rule.optionType}s`} ${rule.field} ${rule.comparator} ${rule.threshold}`;
+}
+
+module.exports = {
+  MAX_ALERT_RULES,
+  ALERT_FIELDS,
+  COMPARATORS,
+  fieldValue,
+  matchesRule,
+  validateAlertRule,
+  describeRule,
+};
@@ -0,0 +1,37 @@
+const { isMarketHours } = require('../providers/cache');
+
+// Re-evaluates the alert rules every `intervalMs`, during market hours (the session the market-data
+// cache uses) unless `marketHoursOnly` is off. Failed runs go to `onError`. The timer does not keep
+// the process alive.
+function createAlertScheduler({ engine, intervalMs, marketHoursOnly = true, isOpen = isMarketHours, onError = () => {} }) {
+  let timer = null;
+
+  // Resolves to the evaluation summary, or null when skipped outside market hours
+  async function tick(date = new Date()) {
+    if (marketHoursOnly && !isOpen(date)) return null;
+    return engine.evaluateAll();
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick().catch(onError), intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    get running() {
+      return timer !== null;
+    },
+  };
+}
+
+module.exports = {
+  createAlertScheduler,
+};
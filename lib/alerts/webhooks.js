@@ -0,0 +1,63 @@
+const dns = require('dns');
+const net = require('net');
+
+// Where a rule's own webhookUrl may never point: the server itself, private networks and link-local
+// addresses (cloud metadata endpoints live at 169.254.169.254). ALERTS_WEBHOOK_URL, set by whoever runs
+// the server, is trusted and may point anywhere.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const plain = String(address).replace(/^\[|\]$/g, '');
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(plain);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(plain);
+  return family !== 0 && BLOCKED_ADDRESSES.check(plain, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// ALERTS_WEBHOOK_HOSTS: comma-separated host names rules may send their webhooks to
+function parseWebhookHosts(value) {
+  return String(value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Why a rule may not use `value` as its webhookUrl, or null when it may: it must be http(s), on a host
+// in `allowedHosts`, and not an address literal in a blocked range
+function webhookUrlError(value, allowedHosts = []) {
+  let url = null;
+  try {
+    url = new URL(String(value));
+  } catch {
+    // Reported below
+  }
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) return 'webhookUrl must be an http(s) URL';
+  if (!allowedHosts.length) return 'webhookUrl is not accepted on this server; alerts go to ALERTS_WEBHOOK_URL';
+  if (!allowedHosts.includes(url.hostname.toLowerCase())) return `webhookUrl host must be one of ${allowedHosts.join(', ')}`;
+  if (isBlockedAddress(url.hostname)) return 'webhookUrl must not point at a loopback, private or link-local address';
+  return null;
+}
+
+// Checks a rule's webhook again right before delivery: the allowlist may have changed since the rule
+// was saved, and an allowed name may resolve to a blocked address. Throws when it may not be called.
+async function assertDeliverable(webhookUrl, { allowedHosts = [], lookup = dns.promises.lookup } = {}) {
+  const error = webhookUrlError(webhookUrl, allowedHosts);
+  if (error) throw new Error(error);
+  const { hostname } = new URL(webhookUrl);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return;
+  const addresses = await lookup(hostname, { all: true });
+  if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`${hostname} resolves to a loopback, private or link-local address`);
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  parseWebhookHosts,
+  webhookUrlError,
+  assertDeliverable,
+};
@@ -0,0 +1,400 @@
+const bs = require('./blackScholes');
+const { solveImpliedVolatility } = require('./impliedVolatility');
+const { probabilityOfTouch, expectedMove, simulateFinishWithin } = require('./probability');
+const { eventsBetween } = require('./events');
+const { DAY_MS, YEAR_MS } = require('./dates');
+
+// Single source of truth for the screening rules shared by the Express server and the Vercel handler
+const DEFAULT_SETTINGS = Object.freeze({
+  expirationCount: 4, // Number of upcoming expirations to analyze
+  callOtmRange: Object.freeze([1.001, 1.10]), // Strike band as a multiple of spot (just above spot to 10% OTM)
+  putOtmRange: Object.freeze([0.90, 0.999]), // Strike band as a multiple of spot (10% OTM to just below spot)
+  weeklyTarget: 0.0025, // 0.25% return for weekly expirations
+  biweeklyTarget: 0.005, // 0.5% return for bi-weekly expirations
+  weeklyMaxDays: 8, // Expirations up to this many days count as weekly
+  biweeklyMaxDays: 16, // ... and up to this many as bi-weekly
+  riskFreeRate: 0.045, // Approximate current 10-year treasury rate
+  defaultVolatility: 0.25, // Used when neither the solver nor the chain gives an implied volatility
+  highProbabilityThreshold: 30, // Assignment probability (%) above which scores are penalized
+  highProbabilityPenalty: 0.5,
+  deltaBlendWeight: 0.3, // Share of |delta| blended into the enhanced assignment probability
+  baselineVolatility: 0.25, // Volatility at which the enhanced probability gets no vol adjustment
+  monteCarloPaths: 10000, // Simulated prices behind the finish-in-OTM-band estimate
+  avoidEvents: Object.freeze([]), // Event types ('earnings', 'exDividend') whose expirations get no bestOption
+  fillSpreadFraction: 0.25, // Share of the bid/ask spread given up from the mid when selling (0 = mid, 0.5 = bid)
+  maxSpreadPercent: 25, // Widest spread (% of mid) a bestOption may have
+  minOpenInterest: 10, // ... and the least open interest
+  minVolume: 0, // ... and the least volume traded today
+  liquidityWeight: 0.5, // Share of the goal score that depends on the liquidity score
+});
+
+function resolveSettings(overrides = {}) {
+  return { ...DEFAULT_SETTINGS, ...overrides };
+}
+
+function calculateDelta(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  return bs.delta(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType);
+}
+
+function calculateAssignmentProbability(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, marketDelta = null, optionType = 'call', settings = DEFAULT_SETTINGS) {
+  if (timeToExpiry <= 0) {
+    const itm = optionType === 'call' ? strikePrice <= currentPrice : strikePrice >= currentPrice;
+    return {
+      original: itm ? 1 : 0,
+      enhanced: itm ? 1 : 0
+    };
+  }
+
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const sigma = volatility;
+
+  const { d2 } = bs.d1d2(S, K, T, riskFreeRate, sigma);
+
+  // Original Black-Scholes probability: N(d2) for calls, N(-d2) for puts
+  const originalProb = optionType === 'call' ? bs.normalCDF(d2) : bs.normalCDF(-d2);
+
+  // Enhanced probability with market corrections
+  let enhancedProb = originalProb;
+
+  // 1. Delta-based probability adjustment (if market delta is available)
+  if (marketDelta !== null && marketDelta !== undefined) {
+    // |delta| approximates ITM probability for both calls and puts
+    const deltaProb = Math.abs(marketDelta);
+    const weight = settings.deltaBlendWeight;
+    enhancedProb = (originalProb * (1 - weight)) + (deltaProb * weight);
+  }
+
+  // 2. Implied volatility adjustment
+  const volAdjustment = Math.min(2.0, Math.max(0.5, sigma / settings.baselineVolatility)); // Cap between 0.5x and 2x
+  enhancedProb = enhancedProb * volAdjustment;
+
+  // 3. Time decay acceleration for very short-term options
+  if (T < (7/365)) { // Less than 1 week
+    const timeAcceleration = 1 + (0.1 * (7/365 - T) / (7/365)); // Up to 10% increase
+    enhancedProb = enhancedProb * timeAcceleration;
+  }
+
+  // 4. Moneyness adjustment (puts are ITM when the strike is above spot)
+  const moneyness = optionType === 'call' ? S / K : K / S;
+  if (moneyness > 1.05) { // More than 5% ITM
+    enhancedProb = enhancedProb * 1.1; // Increase probability
+  } else if (moneyness > 0.95 && moneyness <= 1.05) { // Near the money
+    enhancedProb = enhancedProb * 1.05; // Slight increase
+  }
+
+  // Ensure probability stays between 0 and 1
+  enhancedProb = Math.max(0, Math.min(1, enhancedProb));
+
+  return {
+    original: originalProb,
+    enhanced: enhancedProb
+  };
+}
+
+// Liquidity of one contract: spread, a 0-100 composite score (tight spread, volume, open interest) and
+// the settings thresholds it fails. Yahoo leaves volume and open interest out when they are zero.
+function calculateLiquidity(o, settings = DEFAULT_SETTINGS) {
+  const twoSided = o.bid > 0 && o.ask > 0;
+  const midPrice = twoSided ? (o.bid + o.ask) / 2 : (o.lastPrice || 0);
+  const spread = twoSided ? o.ask - o.bid : null;
+  const spreadPercent = twoSided ? (spread / midPrice) * 100 : null; // null without a two-sided quote
+  const volume = o.volume || 0;
+  const openInterest = o.openInterest || 0;
+
+  // Spread carries half the weight (zero at 50% of mid or one-sided); volume and OI are log-scaled
+  const spreadScore = spreadPercent === null ? 0 : Math.max(0, 1 - spreadPercent / 50);
+  const volumeScore = Math.min(1, Math.log10(1 + volume) / 3); // Full marks at 1,000 contracts
+  const openInterestScore = Math.min(1, Math.log10(1 + openInterest) / 4); // ... and 10,000
+  const liquidityScore = 100 * (0.5 * spreadScore + 0.2 * volumeScore + 0.3 * openInterestScore);
+
+  const liquidityFlags = [];
+  if (spreadPercent === null || spreadPercent > settings.maxSpreadPercent) liquidityFlags.push('spread');
+  if (openInterest < settings.minOpenInterest) liquidityFlags.push('openInterest');
+  if (volume < settings.minVolume) liquidityFlags.push('volume');
+
+  return { midPrice, spread, spreadPercent, liquidityScore, liquidityFlags };
+}
+
+// Price a sale is likely to fill at: the mid less settings.fillSpreadFraction of the spread, or the last price
+function calculateFillPrice(o, settings = DEFAULT_SETTINGS) {
+  if (!(o.bid > 0 && o.ask > 0)) return o.lastPrice || 0;
+  return (o.bid + o.ask) / 2 - settings.fillSpreadFraction * (o.ask - o.bid);
+}
+
+// Which return target (if any) a premium meets: 'weekly', 'bi-weekly' or 'none'
+function getTargetType(returnFraction, daysToExpiry, settings = DEFAULT_SETTINGS) {
+  if (daysToExpiry <= settings.weeklyMaxDays && returnFraction >= settings.weeklyTarget) return 'weekly';
+  if (daysToExpiry <= settings.biweeklyMaxDays && returnFraction >= settings.biweeklyTarget) return 'bi-weekly';
+  return 'none';
+}
+
+// Return per unit of assignment risk (assignmentProbability in %), penalized above the threshold.
+// With a liquidityScore (0-100), settings.liquidityWeight of the score scales with it.
+function calculateReturnRiskScore(returnFraction, assignmentProbability, settings = DEFAULT_SETTINGS, liquidityScore = null) {
+  // Score = (Premium return / Assignment probability) with bonuses
+  const baseScore = returnFraction / (assignmentProbability / 100 + 0.001); // Add small value to avoid division by zero
+
+  // Liquidity factor: 1 for a perfectly liquid contract, down to 1 - liquidityWeight for an untradeable one
+  const liquidityFactor = liquidityScore === null ? 1 : 1 - settings.liquidityWeight * (1 - liquidityScore / 100);
+  // Penalty for very high assignment probability
+  const highProbabilityPenalty = assignmentProbability > settings.highProbabilityThreshold ? settings.highProbabilityPenalty : 1;
+
+  return baseScore * liquidityFactor * highProbabilityPenalty;
+}
+
+function calculateGoalBasedScore(premium, assignmentProbability, strike, currentPrice, daysToExpiry, optionType = 'call', settings = DEFAULT_SETTINGS, liquidityScore = null) {
+  // Calculate return on capital: stock price for covered calls, cash collateral (strike) for cash-secured puts
+  const returnPercent = premium / (optionType === 'put' ? strike : currentPrice);
+
+  if (getTargetType(returnPercent, daysToExpiry, settings) === 'none') return -1; // Doesn't meet minimum return requirement
+
+  return calculateReturnRiskScore(returnPercent, assignmentProbability, settings, liquidityScore);
+}
+
+// Strike band to scan: above spot for calls, below spot for puts
+function getOtmRange(currentPrice, optionType = 'call', settings = DEFAULT_SETTINGS) {
+  const [low, high] = optionType === 'call' ? settings.callOtmRange : settings.putOtmRange;
+  return { low: currentPrice * low, high: currentPrice * high };
+}
+
+// Next N future expirations (including today if options expire today)
+function selectExpirations(expirations, settings = DEFAULT_SETTINGS, now = new Date()) {
+  // Sort all expirations chronologically
+  const sortedExpirations = expirations.slice().sort((a, b) => a.getTime() - b.getTime());
+
+  // Get current date (start of today)
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const targets = sortedExpirations
+    .filter(exp => exp.getTime() >= today.getTime())
+    .slice(0, settings.expirationCount);
+
+  // Fallback: if no future expirations, take the latest available one
+  if (targets.length === 0 && sortedExpirations.length > 0) {
+    targets.push(sortedExpirations[sortedExpirations.length - 1]);
+  }
+  return targets;
+}
+
+// Builds the per-contract mapper for one expiration
+function createOptionMapper({ currentPrice, expiration, optionType = 'call', settings = DEFAULT_SETTINGS, now = Date.now() }) {
+  const timeToExpiry = (expiration.getTime() - now) / YEAR_MS; // Years
+  const daysToExpiry = (expiration.getTime() - now) / DAY_MS; // Days
+  const riskFreeRate = settings.riskFreeRate;
+
+  return (o) => {
+    const liquidity = calculateLiquidity(o, settings);
+    const premium = calculateFillPrice(o, settings); // Realistic fill: mid less part of the spread, or last price
+    const intrinsicValue = Math.max(0, optionType === 'put' ? o.strike - currentPrice : currentPrice - o.strike);
+
+    // Prefer IV solved from the bid/ask mid, then the vendor's IV, then the default
+    const vendorVolatility = o.impliedVolatility > 0 ? o.impliedVolatility : null;
+    const solved = (o.bid > 0 && o.ask > 0)
+      ? solveImpliedVolatility((o.bid + o.ask) / 2, currentPrice, o.strike, timeToExpiry, riskFreeRate, optionType)
+      : { volatility: null, reason: 'no-bid-ask' };
+    const volatilitySource = solved.volatility !== null ? 'solved' : (vendorVolatility !== null ? 'vendor' : 'default');
+    const volatility = solved.volatility ?? vendorVolatility ?? settings.defaultVolatility;
+
+    // Greeks at the volatility used; delta doubles as the market delta approximation
+    const greeks = bs.greeks(currentPrice, o.strike, timeToExpiry, riskFreeRate, volatility, optionType);
+    const theoreticalDelta = greeks.delta;
+    // Fair value uses the vendor IV (or default) since the solved IV reprices the mid exactly
+    const theoreticalPrice = volatilitySource === 'solved'
+      ? bs.optionPrice(currentPrice, o.strike, timeToExpiry, riskFreeRate, vendorVolatility ?? settings.defaultVolatility, optionType)
+      : greeks.price;
+
+    // Get assignment probabilities (both original and enhanced)
+    const assignmentProbs = calculateAssignmentProbability(
+      currentPrice,
+      o.strike,
+      timeToExpiry,
+      riskFreeRate,
+      volatility,
+      theoreticalDelta, // Use calculated delta as market delta approximation
+      optionType,
+      settings
+    );
+
+    // Capital at work: the shares for a covered call, the cash collateral (strike) for a cash-secured put
+    const capitalBasis = optionType === 'put' ? o.strike : currentPrice;
+    const returnFraction = premium > 0 ? premium / capitalBasis : 0;
+    const returnPercent = (returnFraction * 100).toFixed(3); // Return as % of capital
+    // Positive edge: the mid is rich against the model (good for the seller)
+    const edge = liquidity.midPrice > 0 ? liquidity.midPrice - theoreticalPrice : null;
+
+    // Use enhanced probability for goal scoring
+    const goalScore = calculateGoalBasedScore(premium, assignmentProbs.enhanced * 100, o.strike, currentPrice, daysToExpiry, optionType, settings, liquidity.liquidityScore);
+
+    // Calculate return/assignment ratio for both methods
+    const originalRatio = premium > 0 && assignmentProbs.original > 0 ?
+      ((returnFraction * 100) / (assignmentProbs.original * 100)).toFixed(3) : 'N/A';
+    const enhancedRatio = premium > 0 && assignmentProbs.enhanced > 0 ?
+      ((returnFraction * 100) / (assignmentProbs.enhanced * 100)).toFixed(3) : 'N/A';
+
+    // Weekly vs bi-weekly target check
+    const targetType = getTargetType(returnFraction, daysToExpiry, settings);
+
+    return {
+      contractSymbol: o.contractSymbol,
+      strike: o.strike,
+      lastPrice: o.lastPrice,
+      bid: o.bid,
+      ask: o.ask,
+      change: o.change,
+      percentChange: o.percentChange,
+      volume: o.volume,
+      openInterest: o.openInterest,
+      impliedVolatility: o.impliedVolatility,
+      vendorImpliedVolatility: vendorVolatility, // As reported by the data vendor
+      solvedImpliedVolatility: solved.volatility, // Backed out of the bid/ask mid
+      ivSolverReason: solved.reason, // Why the solver gave no IV (e.g. 'below-intrinsic'), null on success
+      volatilityUsed: volatility,
+      volatilitySource: volatilitySource, // 'solved', 'vendor' or 'default': IV behind the probabilities and Greeks
+      inTheMoney: o.inTheMoney,
+      otmPercent: ((optionType === 'call' ? o.strike - currentPrice : currentPrice - o.strike) / currentPrice * 100).toFixed(2),
+      assignmentProbability: (assignmentProbs.original * 100).toFixed(1), // Original BS probability
+      assignmentProbabilityEnhanced: (assignmentProbs.enhanced * 100).toFixed(1), // Enhanced probability
+      probabilityOfTouch: (probabilityOfTouch(currentPrice, o.strike, timeToExpiry, riskFreeRate, volatility, optionType) * 100).toFixed(1), // Trades through the strike before expiry
+      delta: (theoreticalDelta * 100).toFixed(1), // Theoretical delta
+      gamma: greeks.gamma.toFixed(4),
+      theta: (greeks.theta / 365).toFixed(4), // Per calendar day, per share
+      vega: (greeks.vega / 100).toFixed(4), // Per 1 vol point, per share
+      rho: (greeks.rho / 100).toFixed(4), // Per 1% rate move, per share
+      theoreticalPrice: theoreticalPrice.toFixed(2), // Black-Scholes value at the vendor IV (or default)
+      edge: edge !== null ? edge.toFixed(2) : null, // Mid minus theoretical price
+      premium: premium.toFixed(2), // Expected fill when selling (see calculateFillPrice)
+      midPrice: liquidity.midPrice.toFixed(2),
+      spread: liquidity.spread !== null ? liquidity.spread.toFixed(2) : null,
+      spreadPercent: liquidity.spreadPercent !== null ? liquidity.spreadPercent.toFixed(1) : null, // Of the mid
+      liquidityScore: Math.round(liquidity.liquidityScore), // 0-100
+      liquidityFlags: liquidity.liquidityFlags, // Thresholds failed: 'spread', 'openInterest', 'volume'
+      meetsLiquidity: liquidity.liquidityFlags.length === 0,
+      extrinsicValue: Math.max(0, premium - intrinsicValue).toFixed(2), // Time value left in the premium
+      collateral: optionType === 'put' ? (o.strike * 100).toFixed(2) : null, // Cash secured per contract
+      returnPercent: returnPercent,
+      goalScore: goalScore > 0 ? goalScore.toFixed(3) : enhancedRatio,
+      returnAssignmentRatio: originalRatio, // Original ratio
+      returnAssignmentRatioEnhanced: enhancedRatio, // Enhanced ratio
+      meetsTarget: targetType !== 'none',
+      targetType: targetType,
+      daysToExpiry: Math.round(daysToExpiry)
+    };
+  };
+}
+
+// ATM implied volatility: the average of the call and put nearest the money, each resolved like any
+// contract (solved, vendor); the default volatility when neither has one
+function getAtmVolatility(opt, expiration, { currentPrice, settings = DEFAULT_SETTINGS, now = Date.now() }) {
+  const volatilities = [];
+  for (const [optionType, contracts] of [['call', opt.calls], ['put', opt.puts]]) {
+    if (!contracts?.length) continue;
+    const atm = contracts.reduce((best, c) => (Math.abs(c.strike - currentPrice) < Math.abs(best.strike - currentPrice) ? c : best));
+    const mapped = createOptionMapper({ currentPrice, expiration, optionType, settings, now })(atm);
+    if (mapped.volatilitySource !== 'default') volatilities.push(mapped.volatilityUsed);
+  }
+  return volatilities.length
+    ? { volatility: volatilities.reduce((sum, v) => sum + v, 0) / volatilities.length, source: 'atm' }
+    : { volatility: settings.defaultVolatility, source: 'default' };
+}
+
+const EVENT_LABELS = { earnings: 'earnings', exDividend: 'an ex-dividend date' };
+
+// A call whose time value is below the dividend is likely to be exercised early (the day before
+// ex-dividend) once it is in the money: the holder gains more from the dividend than they give up.
+// Out-of-the-money calls are never worth exercising, whatever their time value.
+function hasEarlyAssignmentRisk(contract, { currentPrice, dividend, optionType = 'call' }) {
+  return optionType === 'call' && dividend > 0 && contract.strike < currentPrice && parseFloat(contract.extrinsicValue) < dividend;
+}
+
+// Analyzes one expiration of a chain (`opt` is an entry of yahoo-finance2's `options` array).
+// `events` (see lib/events.js) flags expirations that span earnings or an ex-dividend date.
+function analyzeExpiration(opt, expiration, { currentPrice, optionType = 'call', settings = DEFAULT_SETTINGS, now = Date.now(), events = null }) {
+  const { low, high } = getOtmRange(currentPrice, optionType, settings);
+  const mapOption = createOptionMapper({ currentPrice, expiration, optionType, settings, now });
+
+  const spanned = eventsBetween(events, new Date(now), expiration);
+  const dividend = Math.max(0, ...spanned.exDividend.map(d => d.amount || 0));
+  const flagDividendRisk = (contract) => ({
+    ...contract,
+    earlyAssignmentRisk: hasEarlyAssignmentRisk(contract, { currentPrice, dividend, optionType }),
+  });
+  const avoided = (settings.avoidEvents || []).filter(type => spanned[type]?.length);
+
+  // Expected move (+/-1 sigma from ATM IV) and the simulated chance of finishing inside the OTM band
+  const timeToExpiry = (expiration.getTime() - now) / YEAR_MS;
+  const atm = getAtmVolatility(opt, expiration, { currentPrice, settings, now });
+  const move = expectedMove(currentPrice, atm.volatility, timeToExpiry);
+  const finishInOtmBand = simulateFinishWithin(currentPrice, timeToExpiry, settings.riskFreeRate, atm.volatility, low, high, { paths: settings.monteCarloPaths });
+
+  // Filter contracts for the OTM band
+  const allContracts = ((optionType === 'call' ? opt.calls : opt.puts) || [])
+    .filter(contract => contract.strike >= low && contract.strike <= high)
+    .map(mapOption)
+    .map(flagDividendRisk);
+
+  // Show ALL options within OTM range, but identify which meet targets
+  const qualifyingContracts = allContracts
+    .filter(contract => contract.meetsTarget)
+    .sort((a, b) => parseFloat(b.goalScore) - parseFloat(a.goalScore));
+  // Only contracts within the liquidity limits can be the best option
+  const tradeableContracts = qualifyingContracts.filter(contract => contract.meetsLiquidity);
+
+  // Sort all contracts by strike price
+  const finalContracts = allContracts.sort((a, b) => a.strike - b.strike);
+
+  const bestOption = avoided.length ? null : tradeableContracts[0] || null;
+  let bestOptionReason = '';
+
+  if (avoided.length) {
+    bestOptionReason = `Skipped: expiration spans ${avoided.map(type => EVENT_LABELS[type]).join(' and ')}.`;
+  } else if (bestOption) {
+    bestOptionReason = `Meets ${bestOption.targetType} target (${bestOption.returnPercent}% return) with ${bestOption.assignmentProbability}% assignment risk. ` +
+                      `Score: ${bestOption.goalScore} (higher is better for return/risk ratio).`;
+  } else if (qualifyingContracts.length) {
+    bestOptionReason = `${qualifyingContracts.length} contract(s) meet the return target but none pass the liquidity limits ` +
+                      `(spread ≤ ${settings.maxSpreadPercent}%, open interest ≥ ${settings.minOpenInterest}, volume ≥ ${settings.minVolume}).`;
+  }
+
+  return {
+    expiration: Math.floor((opt.expirationDate?.getTime?.() || expiration.getTime()) / 1000),
+    [optionType === 'call' ? 'calls' : 'puts']: finalContracts,
+    bestOption: bestOption,
+    bestOptionReason: bestOptionReason,
+    hasQualifyingOptions: qualifyingContracts.length > 0,
+    liquidContractCount: tradeableContracts.length, // Qualifying contracts within the liquidity limits
+    atmImpliedVolatility: Number(atm.volatility.toFixed(4)),
+    atmVolatilitySource: atm.source, // 'atm' or 'default'
+    expectedMove: {
+      amount: Number(move.amount.toFixed(2)),
+      percent: Number(move.percent.toFixed(2)),
+      low: Number(move.low.toFixed(2)),
+      high: Number(move.high.toFixed(2)),
+    },
+    finishInOtmBandProbability: (finishInOtmBand * 100).toFixed(1), // Monte Carlo, settings.monteCarloPaths paths
+    events: spanned, // Earnings and ex-dividend dates between now and expiry
+    spansEarnings: spanned.earnings.length > 0,
+    spansExDividend: spanned.exDividend.length > 0,
+    excludedByEvents: avoided.length > 0, // settings.avoidEvents kept this expiration out of bestOption
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  calculateDelta,
+  calculateAssignmentProbability,
+  calculateLiquidity,
+  calculateFillPrice,
+  getTargetType,
+  calculateReturnRiskScore,
+  calculateGoalBasedScore,
+  getOtmRange,
+  selectExpirations,
+  createOptionMapper,
+  getAtmVolatility,
+  hasEarlyAssignmentRisk,
+  analyzeExpiration,
+};
@@ -0,0 +1,188 @@
+const { DEFAULT_SETTINGS, calculateDelta, calculateAssignmentProbability } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { httpError } = require('../httpError');
+const { BACKTEST_DEFAULTS, realizedVolatility, validateBacktestOptions } = require('./simulate');
+const { DAY_MS, YEAR_MS } = require('../dates');
+
+const CALIBRATION_DEFAULTS = Object.freeze({
+  horizons: [7, 14], // Calendar days to expiry, like the weekly and bi-weekly buckets
+  stride: 5, // Trading days between sampled start dates
+  strikeStep: 1, // Percent between sampled strikes across the OTM band
+  bins: 10, // Reliability-curve buckets over [0, 1]
+});
+
+const MODELS = ['original', 'enhanced'];
+const dayMs = (date) => Date.parse(`${date}T00:00:00.000Z`);
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Percent OTM offsets to sample: multiples of `step` inside the settings' OTM band (its lower edge if none fit)
+function otmOffsets(settings, step) {
+  const low = (settings.callOtmRange[0] - 1) * 100;
+  const high = (settings.callOtmRange[1] - 1) * 100;
+  const offsets = [];
+  for (let pct = Math.ceil(low / step) * step; pct <= high + 1e-9; pct += step) offsets.push(Number(pct.toFixed(6)));
+  return offsets.length ? offsets : [low];
+}
+
+// Brier score, skill against always forecasting the base rate, expected calibration error and the reliability curve
+function scoreForecasts(samples, model, bins) {
+  const n = samples.length;
+  const baseRate = samples.reduce((sum, s) => sum + s.outcome, 0) / n;
+  const brierScore = samples.reduce((sum, s) => sum + (s[model] - s.outcome) ** 2, 0) / n;
+  const reference = baseRate * (1 - baseRate);
+
+  const buckets = Array.from({ length: bins }, (_, i) => ({ lower: i / bins, upper: (i + 1) / bins, count: 0, predicted: 0, observed: 0 }));
+  for (const s of samples) {
+    const bucket = buckets[Math.min(bins - 1, Math.floor(s[model] * bins))];
+    bucket.count++;
+    bucket.predicted += s[model];
+    bucket.observed += s.outcome;
+  }
+  let calibrationError = 0;
+  const reliability = buckets.map(b => {
+    const meanPredicted = b.count ? b.predicted / b.count : null;
+    const observedFrequency = b.count ? b.observed / b.count : null;
+    if (b.count) calibrationError += (b.count / n) * Math.abs(meanPredicted - observedFrequency);
+    return { lower: round(b.lower, 2), upper: round(b.upper, 2), count: b.count, meanPredicted: round(meanPredicted), observedFrequency: round(observedFrequency) };
+  });
+
+  return {
+    brierScore: round(brierScore),
+    brierSkillScore: reference > 0 ? round(1 - brierScore / reference) : null,
+    expectedCalibrationError: round(calibrationError),
+    meanPredicted: round(samples.reduce((sum, s) => sum + s[model], 0) / n),
+    reliability,
+  };
+}
+
+// Replays the original (N(d2)) and enhanced assignment probabilities over historical daily bars.
+// From every `stride`-th bar it prices strikes across the OTM band for each horizon, at the
+// configured or trailing realized volatility, and checks whether the strike finished in the money
+// on the last bar on or before the horizon date.
+function runCalibration(bars, {
+  symbol = '',
+  optionType = 'call',
+  settings = DEFAULT_SETTINGS,
+  volatility = BACKTEST_DEFAULTS.volatility,
+  volatilityWindow = BACKTEST_DEFAULTS.volatilityWindow,
+  horizons = CALIBRATION_DEFAULTS.horizons,
+  stride = CALIBRATION_DEFAULTS.stride,
+  strikeStep = CALIBRATION_DEFAULTS.strikeStep,
+  bins = CALIBRATION_DEFAULTS.bins,
+  start = null,
+  end = null,
+} = {}) {
+  let endIndex = bars.length - 1;
+  if (end) while (endIndex >= 0 && bars[endIndex].date > end) endIndex--;
+  let startIndex = start ? bars.findIndex(bar => bar.date >= start) : 0;
+  if (startIndex !== -1 && volatility === null) startIndex = Math.max(startIndex, volatilityWindow); // Warm-up for realized volatility
+  if (endIndex < 0 || startIndex === -1 || startIndex >= endIndex) throw httpError('Not enough price history for the calibration window', 400);
+
+  const offsets = otmOffsets(settings, strikeStep);
+  const lastDay = dayMs(bars[endIndex].date);
+  const samples = [];
+
+  for (let i = startIndex; i <= endIndex; i += stride) {
+    const spot = bars[i].close;
+    const vol = volatility ?? Math.max(BACKTEST_DEFAULTS.minVolatility, realizedVolatility(bars, i, volatilityWindow) || 0);
+    let expiryIndex = i;
+    for (const horizon of [...horizons].sort((a, b) => a - b)) {
+      const target = dayMs(bars[i].date) + horizon * DAY_MS;
+      if (target > lastDay) break; // Outcome not observed yet
+      while (expiryIndex < endIndex && dayMs(bars[expiryIndex + 1].date) <= target) expiryIndex++;
+      if (expiryIndex === i) continue;
+
+      const timeToExpiry = (dayMs(bars[expiryIndex].date) - dayMs(bars[i].date)) / YEAR_MS;
+      const finalPrice = bars[expiryIndex].close;
+      for (const offset of offsets) {
+        const strike = optionType === 'call' ? spot * (1 + offset / 100) : spot * (1 - offset / 100);
+        const delta = calculateDelta(spot, strike, timeToExpiry, settings.riskFreeRate, vol, optionType);
+        const probabilities = calculateAssignmentProbability(spot, strike, timeToExpiry, settings.riskFreeRate, vol, delta, optionType, settings);
+        samples.push({
+          horizon,
+          original: probabilities.original,
+          enhanced: probabilities.enhanced,
+          outcome: (optionType === 'call' ? finalPrice > strike : finalPrice < strike) ? 1 : 0,
+        });
+      }
+    }
+  }
+  if (!samples.length) throw httpError('No complete horizons in the calibration window', 400);
+
+  const summarize = (subset) => ({
+    count: subset.length,
+    itmFrequency: round(subset.reduce((sum, s) => sum + s.outcome, 0) / subset.length),
+    ...Object.fromEntries(MODELS.map(model => [model, scoreForecasts(subset, model, bins)])),
+  });
+  const overall = summarize(samples);
+  const { original, enhanced } = overall;
+
+  return {
+    symbol,
+    optionType,
+    start: bars[startIndex].date,
+    end: bars[endIndex].date,
+    parameters: {
+      volatility: volatility === null ? 'realized' : volatility,
+      volatilityWindow,
+      horizons,
+      stride,
+      otmOffsets: offsets,
+      bins,
+      settings: describeScreeningSettings(settings),
+    },
+    ...overall,
+    // Lower Brier score wins; ties within 0.0005 are too close to call
+    betterModel: Math.abs(original.brierScore - enhanced.brierScore) < 0.0005 ? 'tie' : (original.brierScore < enhanced.brierScore ? 'original' : 'enhanced'),
+    byHorizon: horizons.map(horizon => {
+      const subset = samples.filter(s => s.horizon === horizon);
+      if (!subset.length) return { horizon, count: 0 };
+      const { count, itmFrequency, original: o, enhanced: e } = summarize(subset);
+      return { horizon, count, itmFrequency, original: { brierScore: o.brierScore, expectedCalibrationError: o.expectedCalibrationError }, enhanced: { brierScore: e.brierScore, expectedCalibrationError: e.expectedCalibrationError } };
+    }),
+  };
+}
+
+// Validates calibration parameters on top of the shared backtest ones (volatility, volatilityWindow, start, end):
+// type (call or put), horizons (comma-separated days), stride, strikeStep (percent) and bins.
+function validateCalibrationOptions(input = {}) {
+  const shared = Object.fromEntries(['volatility', 'volatilityWindow', 'start', 'end'].filter(key => key in input).map(key => [key, input[key]]));
+  const { options: base, errors } = validateBacktestOptions(shared);
+  const options = { ...base };
+  const has = (field) => input[field] !== undefined && input[field] !== '';
+
+  if (has('type')) {
+    const optionType = String(input.type).toLowerCase();
+    if (optionType === 'call' || optionType === 'put') options.optionType = optionType;
+    else errors.push('type must be call or put');
+  }
+  if (has('horizons')) {
+    const horizons = (Array.isArray(input.horizons) ? input.horizons : String(input.horizons).split(',')).map(h => Number(String(h).trim()));
+    if (!horizons.length || horizons.length > 8 || horizons.some(h => !Number.isInteger(h) || h < 1 || h > 365)) {
+      errors.push('horizons must be 1 to 8 whole numbers of days between 1 and 365');
+    } else {
+      options.horizons = [...new Set(horizons)].sort((a, b) => a - b);
+    }
+  }
+  const integer = (field, min, max) => {
+    if (!has(field)) return;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) errors.push(`${field} must be a whole number between ${min} and ${max}`);
+    else options[field] = value;
+  };
+  integer('stride', 1, 60);
+  integer('bins', 2, 20);
+  if (has('strikeStep')) {
+    const value = Number(input.strikeStep);
+    if (!Number.isFinite(value) || value < 0.1 || value > 10) errors.push('strikeStep must be a number between 0.1 and 10');
+    else options.strikeStep = value;
+  }
+
+  return { options: errors.length ? null : options, errors };
+}
+
+module.exports = {
+  CALIBRATION_DEFAULTS,
+  runCalibration,
+  validateCalibrationOptions,
+};
@@ -0,0 +1,50 @@
+const { parseScreeningQuery } = require('../screeningParams');
+const { profileSettings } = require('../accounts/profile');
+const { parsePriceHistory } = require('../priceHistory');
+const { runBacktest, validateBacktestOptions } = require('./simulate');
+const { runCalibration, validateCalibrationOptions } = require('./calibration');
+
+const toSymbol = (value) => String(value || '').toUpperCase().trim();
+
+// Studies over daily price history: the weekly covered-call backtest and the assignment-probability
+// calibration. GET uses the history provider's daily bars; POST takes the history as CSV in the body
+// ({ csv, ...study params, settings: { ...screening params } }).
+const STUDIES = [
+  { path: '/api/backtest/:symbol', name: 'backtest', run: runBacktest, validate: validateBacktestOptions },
+  { path: '/api/calibration/:symbol', name: 'calibration', run: runCalibration, validate: validateCalibrationOptions },
+];
+
+function registerBacktestRoutes(app, { provider }) {
+  async function respond(req, res, study, symbol, loadBars, params, screening) {
+    const { options, errors } = study.validate(params);
+    if (!options) return res.status(400).json({ error: `Invalid ${study.name} parameters`, details: errors.join('; ') });
+    const { settings, errors: screeningErrors } = parseScreeningQuery(screening, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: screeningErrors.join('; ') });
+    try {
+      res.json(study.run(await loadBars(), { ...options, symbol, settings }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: `Failed to run ${study.name}`, details: err?.message });
+    }
+  }
+
+  for (const study of STUDIES) {
+    app.get(study.path, async (req, res) => {
+      const symbol = toSymbol(req.params.symbol);
+      if (!symbol) return res.status(400).json({ error: 'Missing symbol' });
+      await respond(req, res, study, symbol, () => provider.getHistory(symbol), req.query, req.query);
+    });
+
+    app.post(study.path, async (req, res) => {
+      const symbol = toSymbol(req.params.symbol);
+      if (!symbol) return res.status(400).json({ error: 'Missing symbol' });
+      const body = req.body || {};
+      if (typeof body.csv !== 'string' || !body.csv.trim()) return res.status(400).json({ error: 'csv must hold the daily price history' });
+      await respond(req, res, study, symbol, async () => parsePriceHistory(body.csv), body, body.settings || {});
+    });
+  }
+}
+
+module.exports = {
+  registerBacktestRoutes,
+};
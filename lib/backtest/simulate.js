@@ -0,0 +1,318 @@
+const bs = require('../blackScholes');
+const { DEFAULT_SETTINGS, analyzeExpiration } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { formatOccSymbol } = require('../occ');
+const { httpError } = require('../httpError');
+const { DAY_MS, YEAR_MS, toDateString } = require('../dates');
+
+const BACKTEST_DEFAULTS = Object.freeze({
+  volatility: null, // Annualized IV behind every premium; null prices at realized volatility
+  volatilityWindow: 20, // Trading days of returns behind the realized volatility
+  minVolatility: 0.05, // Floor for realized volatility after very quiet stretches
+  targetDelta: 0.2, // The "always sell this delta" comparison rule
+  lots: 1, // 100-share lots bought on the first day
+  lookbackDays: 365, // Default window when no start date is given, ending at the last bar
+});
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const dayMs = (date) => Date.parse(`${date}T00:00:00.000Z`);
+const money = (value) => Number(value.toFixed(2));
+
+// Monday of the bar's week, so holiday-shortened weeks still group together
+function weekKey(date) {
+  const ms = dayMs(date);
+  return ms - ((new Date(ms).getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+// Listed strike spacing by price
+function strikeIncrement(price) {
+  if (price < 25) return 0.5;
+  if (price < 100) return 1;
+  if (price < 300) return 2.5;
+  return 5;
+}
+
+// Annualized standard deviation of the daily log returns over `window` bars ending at `index`
+function realizedVolatility(bars, index, window) {
+  const returns = [];
+  for (let i = Math.max(1, index - window + 1); i <= index; i++) returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS_PER_YEAR);
+}
+
+// Calls priced by Black-Scholes at one volatility, shaped like a provider chain so the
+// options-weeks analysis can rank them unchanged. They are quoted with no spread, so they fill at the model price.
+function syntheticCallChain({ symbol, spot, entryDate, expiryDate, volatility, settings }) {
+  const step = strikeIncrement(spot);
+  const timeToExpiry = (dayMs(expiryDate) - dayMs(entryDate)) / YEAR_MS;
+  const low = Math.floor(spot * Math.min(1, settings.callOtmRange[0]) / step) * step;
+  const high = Math.ceil(spot * Math.max(1.25, settings.callOtmRange[1]) / step) * step;
+  const calls = [];
+  for (let strike = low; strike <= high + 1e-9; strike = Number((strike + step).toFixed(2))) {
+    const price = Math.round(bs.callPrice(spot, strike, timeToExpiry, settings.riskFreeRate, volatility) * 100) / 100;
+    if (price < 0.01) continue;
+    calls.push({
+      contractSymbol: formatOccSymbol({ symbol: symbol || 'X', expiration: dayMs(expiryDate), optionType: 'call', strike }),
+      strike,
+      lastPrice: price,
+      bid: price,
+      ask: price,
+      volume: 0,
+      openInterest: 0,
+      impliedVolatility: volatility,
+      inTheMoney: strike < spot,
+      delta: bs.delta(spot, strike, timeToExpiry, settings.riskFreeRate, volatility, 'call'),
+    });
+  }
+  return { expirationDate: new Date(dayMs(expiryDate)), calls, puts: [] };
+}
+
+// Strategy pickers: the contract to sell this week, or null to sit out
+const PICKERS = {
+  // The options-weeks best option (goal-based score)
+  goalScore(chain, { spot, entryDate, settings }) {
+    // The synthetic chain has no volume or open interest to hold against the liquidity limits
+    const unlimited = { ...settings, minOpenInterest: 0, minVolume: 0 };
+    const { bestOption } = analyzeExpiration(chain, chain.expirationDate, { currentPrice: spot, optionType: 'call', settings: unlimited, now: dayMs(entryDate) });
+    if (!bestOption) return null;
+    const call = chain.calls.find(c => c.strike === bestOption.strike);
+    return { contractSymbol: call.contractSymbol, strike: call.strike, premium: call.lastPrice, delta: call.delta };
+  },
+  // The OTM call nearest the target delta
+  targetDelta(chain, { spot, targetDelta }) {
+    const otm = chain.calls.filter(c => c.strike > spot);
+    if (!otm.length) return null;
+    const call = otm.reduce((best, c) => (Math.abs(c.delta - targetDelta) < Math.abs(best.delta - targetDelta) ? c : best));
+    return { contractSymbol: call.contractSymbol, strike: call.strike, premium: call.lastPrice, delta: call.delta };
+  },
+};
+
+function summarize(values, startDate, endDate) {
+  const startValue = values[0];
+  const endValue = values[values.length - 1];
+  let peak = startValue;
+  let maxDrawdown = 0;
+  for (const value of values) {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  }
+  const years = (dayMs(endDate) - dayMs(startDate)) / YEAR_MS;
+  return {
+    startValue: money(startValue),
+    endValue: money(endValue),
+    totalReturnPercent: Number(((endValue / startValue - 1) * 100).toFixed(2)),
+    annualizedReturnPercent: years > 0 ? Number((((endValue / startValue) ** (1 / years) - 1) * 100).toFixed(2)) : null,
+    maxDrawdownPercent: Number((maxDrawdown * 100).toFixed(2)),
+  };
+}
+
+// Simulates writing one weekly covered call per week over daily `bars` (lib/priceHistory.js shape):
+// the goal-score pick and the target-delta rule, each against buy-and-hold of the same shares.
+// Calls are sold at the close of the week's first bar and expire at the close of its last bar;
+// shares called away are bought back at the next week's first close, whatever the price, so every
+// strategy holds the same shares between trades. Premiums and open-call marks
+// are Black-Scholes at the configured volatility or the trailing realized volatility.
+function runBacktest(bars, {
+  symbol = '',
+  settings = DEFAULT_SETTINGS,
+  volatility = BACKTEST_DEFAULTS.volatility,
+  volatilityWindow = BACKTEST_DEFAULTS.volatilityWindow,
+  targetDelta = BACKTEST_DEFAULTS.targetDelta,
+  lots = BACKTEST_DEFAULTS.lots,
+  start = null,
+  end = null,
+} = {}) {
+  if (!bars.length) throw httpError('No price history', 400);
+  let endIndex = bars.length - 1;
+  if (end) while (endIndex >= 0 && bars[endIndex].date > end) endIndex--;
+  if (endIndex < 0) throw httpError(`No price history on or before ${end}`, 400);
+
+  const startDate = start || toDateString(dayMs(bars[endIndex].date) - BACKTEST_DEFAULTS.lookbackDays * DAY_MS);
+  let startIndex = bars.findIndex(bar => bar.date >= startDate);
+  if (startIndex !== -1 && volatility === null) startIndex = Math.max(startIndex, volatilityWindow); // Warm-up for realized volatility
+  if (startIndex === -1 || endIndex - startIndex < 5) {
+    throw httpError(`Not enough price history between ${startDate} and ${bars[endIndex].date}${volatility === null ? ` (realized volatility needs ${volatilityWindow} earlier bars)` : ''}`, 400);
+  }
+
+  const capital = lots * 100 * bars[startIndex].close;
+  const accounts = Object.keys(PICKERS).map(key => ({
+    key,
+    cash: 0,
+    shares: lots * 100,
+    openCall: null,
+    lastAssignedStrike: null,
+    trades: [],
+    weeksSkipped: 0,
+    premiumCollected: 0,
+    assignments: 0,
+    sharesCalledAway: 0,
+    buyBacks: 0,
+    buyBackCost: 0,
+    equity: [],
+  }));
+  const buyAndHold = [];
+  const equityCurve = [];
+
+  for (let i = startIndex; i <= endIndex; i++) {
+    const bar = bars[i];
+    const spot = bar.close;
+    const isWeekStart = i === startIndex || weekKey(bar.date) !== weekKey(bars[i - 1].date);
+
+    if (isWeekStart) {
+      // This week's expiry: its last bar in the full history, when the test window includes it
+      let expiryIndex = i;
+      while (expiryIndex + 1 < bars.length && weekKey(bars[expiryIndex + 1].date) === weekKey(bar.date)) expiryIndex++;
+      const canSell = expiryIndex > i && expiryIndex <= endIndex;
+      const vol = volatility ?? Math.max(BACKTEST_DEFAULTS.minVolatility, realizedVolatility(bars, i, volatilityWindow) || 0);
+      const chain = canSell ? syntheticCallChain({ symbol, spot, entryDate: bar.date, expiryDate: bars[expiryIndex].date, volatility: vol, settings }) : null;
+
+      for (const account of accounts) {
+        // Buy back shares called away last week; cash goes negative when they cost more than the strike paid
+        if (account.shares < lots * 100) {
+          const shares = lots * 100 - account.shares;
+          account.cash -= shares * spot;
+          account.shares += shares;
+          account.buyBacks++;
+          account.buyBackCost += (spot - account.lastAssignedStrike) * shares;
+        }
+        if (!chain || account.openCall) continue;
+
+        const pick = PICKERS[account.key](chain, { spot, entryDate: bar.date, settings, targetDelta });
+        if (!pick) {
+          account.weeksSkipped++;
+          continue;
+        }
+        const contracts = account.shares / 100;
+        account.cash += pick.premium * contracts * 100;
+        account.premiumCollected += pick.premium * contracts * 100;
+        const trade = {
+          date: bar.date,
+          expiration: bars[expiryIndex].date,
+          contractSymbol: pick.contractSymbol,
+          spot,
+          strike: pick.strike,
+          premium: pick.premium,
+          delta: Number(pick.delta.toFixed(3)),
+          volatility: Number(vol.toFixed(4)),
+          contracts,
+          outcome: 'open',
+          closeAtExpiry: null,
+        };
+        account.trades.push(trade);
+        account.openCall = { ...pick, contracts, expiryIndex, volatility: vol, trade };
+      }
+    }
+
+    for (const account of accounts) {
+      const call = account.openCall;
+      if (call && i === call.expiryIndex) {
+        // Settle at the expiry close: assigned when in the money
+        const shares = call.contracts * 100;
+        if (spot > call.strike) {
+          account.cash += call.strike * shares;
+          account.shares -= shares;
+          account.sharesCalledAway += shares;
+          account.assignments++;
+          account.lastAssignedStrike = call.strike;
+          call.trade.outcome = 'assigned';
+        } else {
+          call.trade.outcome = 'expired';
+        }
+        call.trade.closeAtExpiry = spot;
+        account.openCall = null;
+      }
+      const open = account.openCall;
+      const liability = open
+        ? bs.callPrice(spot, open.strike, (dayMs(bars[open.expiryIndex].date) - dayMs(bar.date)) / YEAR_MS, settings.riskFreeRate, open.volatility) * open.contracts * 100
+        : 0;
+      account.equity.push(account.cash + account.shares * spot - liability);
+    }
+    buyAndHold.push(lots * 100 * spot);
+
+    equityCurve.push({
+      date: bar.date,
+      close: spot,
+      ...Object.fromEntries(accounts.map(account => [account.key, money(account.equity[account.equity.length - 1])])),
+      buyAndHold: money(buyAndHold[buyAndHold.length - 1]),
+    });
+  }
+
+  const firstDate = bars[startIndex].date;
+  const lastDate = bars[endIndex].date;
+  const strategies = {};
+  for (const account of accounts) {
+    strategies[account.key] = {
+      ...summarize(account.equity, firstDate, lastDate),
+      callsSold: account.trades.length,
+      weeksSkipped: account.weeksSkipped,
+      premiumCollected: money(account.premiumCollected),
+      assignments: account.assignments,
+      sharesCalledAway: account.sharesCalledAway,
+      buyBacks: account.buyBacks,
+      buyBackCost: money(account.buyBackCost), // Paid above the strike when buying back called-away shares
+      trades: account.trades,
+    };
+  }
+  strategies.buyAndHold = summarize(buyAndHold, firstDate, lastDate);
+
+  return {
+    symbol,
+    start: firstDate,
+    end: lastDate,
+    startPrice: bars[startIndex].close,
+    endPrice: bars[endIndex].close,
+    capital: money(capital),
+    parameters: {
+      volatility: volatility === null ? 'realized' : volatility,
+      volatilityWindow,
+      targetDelta,
+      lots,
+      settings: describeScreeningSettings(settings),
+    },
+    strategies,
+    equityCurve,
+  };
+}
+
+// Validates backtest parameters (query strings or JSON numbers), in the units the API takes:
+// volatility in percent or "realized", targetDelta as delta x 100, dates as YYYY-MM-DD.
+// Returns { options, errors }; options is null when any parameter is invalid.
+function validateBacktestOptions(input = {}) {
+  const errors = [];
+  const options = {};
+  const has = (field) => input[field] !== undefined && input[field] !== '';
+  const number = (field, { min, max, integer = false }, scale = 1) => {
+    if (!has(field)) return;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      errors.push(`${field} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`);
+    } else {
+      options[field] = value * scale;
+    }
+  };
+
+  if (has('volatility') && String(input.volatility).toLowerCase() !== 'realized') number('volatility', { min: 1, max: 300 }, 1 / 100);
+  number('volatilityWindow', { min: 5, max: 252, integer: true });
+  number('targetDelta', { min: 1, max: 99 }, 1 / 100);
+  number('lots', { min: 1, max: 100, integer: true });
+  for (const field of ['start', 'end']) {
+    if (!has(field)) continue;
+    const date = String(input[field]);
+    if (!DATE_PATTERN.test(date) || Number.isNaN(dayMs(date))) errors.push(`${field} must be a YYYY-MM-DD date`);
+    else options[field] = date;
+  }
+  if (!errors.length && options.start && options.end && options.start >= options.end) errors.push('start must be before end');
+
+  return { options: errors.length ? null : options, errors };
+}
+
+module.exports = {
+  BACKTEST_DEFAULTS,
+  realizedVolatility,
+  runBacktest,
+  validateBacktestOptions,
+};
@@ -0,0 +1,143 @@
+// Black-Scholes pricing and Greeks for European options on a non-dividend-paying stock.
+// Parameter order follows the rest of the codebase:
+// (currentPrice, strikePrice, timeToExpiry in years, riskFreeRate, volatility, optionType)
+
+function normalCDF(x) {
+  // Abramowitz & Stegun 7.1.26 approximation of the cumulative normal distribution
+  const sign = x >= 0 ? 1 : -1;
+  x = Math.abs(x) / Math.sqrt(2);
+  const a1 = 0.254829592;
+  const a2 = -0.284496736;
+  const a3 = 1.421413741;
+  const a4 = -1.453152027;
+  const a5 = 1.061405429;
+  const p = 0.3275911;
+  const t = 1.0 / (1.0 + p * x);
+  const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+  return 0.5 * (1.0 + sign * y);
+}
+
+function normalPDF(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+function d1d2(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility) {
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const r = riskFreeRate;
+  const sigma = volatility;
+
+  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+  const d2 = d1 - sigma * Math.sqrt(T);
+  return { d1, d2 };
+}
+
+// Expired (or zero-vol) contracts collapse to their (discounted) intrinsic value
+function isDegenerate(timeToExpiry, volatility) {
+  return !(timeToExpiry > 0) || !(volatility > 0);
+}
+
+function optionPrice(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = Math.max(0, timeToExpiry);
+  const r = riskFreeRate;
+
+  if (isDegenerate(timeToExpiry, volatility)) {
+    const discountedStrike = K * Math.exp(-r * T);
+    return optionType === 'call' ? Math.max(0, S - discountedStrike) : Math.max(0, discountedStrike - S);
+  }
+
+  const { d1, d2 } = d1d2(S, K, T, r, volatility);
+  if (optionType === 'call') {
+    return S * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
+  }
+  return K * Math.exp(-r * T) * normalCDF(-d2) - S * normalCDF(-d1);
+}
+
+function callPrice(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility) {
+  return optionPrice(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, 'call');
+}
+
+function putPrice(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility) {
+  return optionPrice(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, 'put');
+}
+
+function delta(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  if (isDegenerate(timeToExpiry, volatility)) {
+    return optionType === 'call' ? (currentPrice > strikePrice ? 1 : 0) : (currentPrice < strikePrice ? -1 : 0);
+  }
+  const { d1 } = d1d2(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility);
+  return optionType === 'call' ? normalCDF(d1) : normalCDF(d1) - 1;
+}
+
+// Same for calls and puts
+function gamma(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility) {
+  if (isDegenerate(timeToExpiry, volatility)) return 0;
+  const { d1 } = d1d2(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility);
+  return normalPDF(d1) / (currentPrice * volatility * Math.sqrt(timeToExpiry));
+}
+
+// Per year; divide by 365 for per calendar day
+function theta(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  if (isDegenerate(timeToExpiry, volatility)) return 0;
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const r = riskFreeRate;
+  const { d1, d2 } = d1d2(S, K, T, r, volatility);
+
+  const decay = -(S * normalPDF(d1) * volatility) / (2 * Math.sqrt(T));
+  if (optionType === 'call') {
+    return decay - r * K * Math.exp(-r * T) * normalCDF(d2);
+  }
+  return decay + r * K * Math.exp(-r * T) * normalCDF(-d2);
+}
+
+// Per 1.00 change in volatility (divide by 100 for per vol point); same for calls and puts
+function vega(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility) {
+  if (isDegenerate(timeToExpiry, volatility)) return 0;
+  const { d1 } = d1d2(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility);
+  return currentPrice * normalPDF(d1) * Math.sqrt(timeToExpiry);
+}
+
+// Per 1.00 change in the risk-free rate (divide by 100 for per rate point)
+function rho(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  if (isDegenerate(timeToExpiry, volatility)) return 0;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const r = riskFreeRate;
+  const { d2 } = d1d2(currentPrice, K, T, r, volatility);
+  if (optionType === 'call') {
+    return K * T * Math.exp(-r * T) * normalCDF(d2);
+  }
+  return -K * T * Math.exp(-r * T) * normalCDF(-d2);
+}
+
+function greeks(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  const args = [currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility];
+  return {
+    price: optionPrice(...args, optionType),
+    delta: delta(...args, optionType),
+    gamma: gamma(...args),
+    theta: theta(...args, optionType),
+    vega: vega(...args),
+    rho: rho(...args, optionType),
+  };
+}
+
+module.exports = {
+  normalCDF,
+  normalPDF,
+  d1d2,
+  optionPrice,
+  callPrice,
+  putPrice,
+  delta,
+  gamma,
+  theta,
+  vega,
+  rho,
+  greeks,
+};
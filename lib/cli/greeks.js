@@ -0,0 +1,37 @@
+const { DEFAULT_SETTINGS, createOptionMapper } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { formatOccSymbol } = require('../occ');
+const { httpError } = require('../httpError');
+const { createFetchTracker } = require('../providers/cache');
+const { toDateString } = require('../dates');
+const { resolveContract } = require('../positions/contract');
+
+// One contract (OCC symbol) priced like a row of /api/options-weeks: the createOptionMapper fields
+// (premium, IV, Greeks, probabilities, liquidity, target) plus where the underlying trades
+async function contractGreeks(provider, contractSymbol, { settings = DEFAULT_SETTINGS, now = Date.now() } = {}) {
+  const tracker = createFetchTracker();
+  const { contract, expiration, raw } = await resolveContract(provider, contractSymbol, { now, tracker });
+  const { symbol, optionType } = contract;
+
+  const quote = await provider.getQuote(symbol, tracker);
+  const currentPrice = quote?.regularMarketPrice;
+  if (!currentPrice || !Number.isFinite(currentPrice)) throw httpError('Unable to get current stock price', 400);
+  if (!raw || !((raw.bid > 0 && raw.ask > 0) || raw.lastPrice > 0)) throw httpError(`${formatOccSymbol(contract)} is not quoted`, 404);
+
+  const { asOf, cached } = tracker.summary(now);
+  return {
+    symbol,
+    optionType,
+    currentPrice,
+    expiration: toDateString(expiration),
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+    ...createOptionMapper({ currentPrice, expiration, optionType, settings, now })(raw),
+    contractSymbol: formatOccSymbol(contract),
+  };
+}
+
+module.exports = {
+  contractGreeks,
+};
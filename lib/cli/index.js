@@ -0,0 +1,278 @@
+const { parseArgs } = require('util');
+const { analyzeSymbol } = require('../optionsWeeks');
+const { DEFAULT_SCAN_TOP, normalizeSymbols, scanSymbols } = require('../scan');
+const { SCREENING_PARAMS, parseScreeningQuery } = require('../screeningParams');
+const { createFetchTracker } = require('../providers/cache');
+const { parseOccSymbol } = require('../occ');
+const { exportAnalysis, exportScan, exportToCsv, toCsv } = require('../export');
+const { contractGreeks } = require('./greeks');
+const { formatTable, formatRecord } = require('./table');
+const { unixToDateString } = require('../dates');
+
+// Exit codes: whether weeks / scan / greeks found a contract meeting its return target (and the
+// liquidity limits), a usage error, or a failure to get or analyze the data
+const EXIT_CODES = Object.freeze({
+  met: 0,
+  notMet: 1,
+  usage: 2,
+  failed: 3,
+});
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+// Screening parameters as kebab-case flags: otmMin -> --otm-min
+const kebab = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+const SCREENING_FLAGS = [...Object.keys(SCREENING_PARAMS), 'avoidEvents'].map(name => [kebab(name), name]);
+// Parameter names in parseScreeningQuery errors, to report them as the flags that were typed
+const FLAG_NAME_PATTERN = new RegExp(`\\b(${SCREENING_FLAGS.map(([, name]) => name).join('|')})\\b`, 'g');
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'table' },
+  type: { type: 'string', short: 't', default: 'call' },
+  top: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  ...Object.fromEntries(SCREENING_FLAGS.map(([flag]) => [flag, { type: 'string' }])),
+};
+
+const USAGE = `Usage: options-analyzer <command> [options]
+
+Commands:
+  quote <symbol...>     Current price of one or more symbols
+  weeks <symbol>        Covered calls (or cash-secured puts) for the next expirations
+  scan <file>           Rank the best contracts across a watchlist file (symbols separated by
+                        commas, spaces or new lines; # starts a comment; - reads stdin)
+  greeks <contract>     Pricing, Greeks and probabilities of one contract (OCC symbol)
+
+Options:
+  -f, --format <table|json|csv>   Output format (default: table). json and csv use the
+                                  versioned export of /api/options-weeks and /api/scan
+  -t, --type <call|put>           Covered calls or cash-secured puts (default: call)
+  --top <n>                       Contracts to list from a scan (default: ${DEFAULT_SCAN_TOP})
+  -h, --help                      Show this help
+
+Screening (defaults as in the web app):
+${SCREENING_FLAGS.map(([flag, name]) => `  --${`${flag} <${name === 'avoidEvents' ? 'list' : 'n'}>`.padEnd(28)}  ${SCREENING_PARAMS[name]?.label ?? 'skip expirations spanning earnings, exDividend'}`).join('\n')}
+
+Exit codes: 0 a contract met its target, 1 none did (quote: 0 on success), 2 usage error,
+3 the data could not be fetched or analyzed.
+`;
+
+// Bad arguments found while running a command: reported with the usage hint and exit code 2
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+const fixed = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : null);
+const percent = (value) => (value === null || value === undefined ? null : `${value}%`);
+const qualifies = (contract) => contract.meetsTarget && contract.meetsLiquidity;
+
+// Watchlist file contents: a JSON array of symbols (or { symbols: [...] }) or plain text
+function parseWatchlist(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      throw usageError(`Watchlist is not valid JSON: ${err.message}`);
+    }
+    return Array.isArray(parsed) ? parsed : parsed?.symbols;
+  }
+  return trimmed.split('\n').flatMap(line => line.replace(/#.*/, '').split(/[\s,]+/)).filter(Boolean);
+}
+
+const CONTRACT_COLUMNS = [
+  ['Strike', c => c.strike],
+  ['OTM %', c => c.otmPercent],
+  ['Premium', c => c.premium],
+  ['Return %', c => c.returnPercent],
+  ['Assign %', c => c.assignmentProbabilityEnhanced],
+  ['Touch %', c => c.probabilityOfTouch],
+  ['Delta', c => c.delta],
+  ['Theta', c => c.theta],
+  ['IV %', c => fixed(c.volatilityUsed * 100, 1)],
+  ['Spread %', c => c.spreadPercent],
+  ['Liq', c => c.liquidityScore],
+  ['Score', c => c.goalScore],
+  ['Target', c => (c.meetsTarget ? c.targetType : '')],
+];
+
+const QUOTE_COLUMNS = [
+  ['Symbol', q => q.symbol],
+  ['Price', q => q.regularMarketPrice],
+  ['Change', q => fixed(q.regularMarketChange)],
+  ['Change %', q => fixed(q.regularMarketChangePercent)],
+  ['Currency', q => q.currency],
+  ['State', q => q.marketState],
+  ['As of', q => (q.asOf ? new Date(q.asOf * 1000).toISOString() : null)],
+];
+
+const GREEKS_FIELDS = [
+  ['Contract', g => g.contractSymbol],
+  ['Underlying', g => `${g.symbol} ${g.currentPrice}`],
+  ['Expiration', g => `${g.expiration} (${g.daysToExpiry}d)`],
+  ['Bid / Ask', g => `${g.bid ?? '-'} / ${g.ask ?? '-'}`],
+  ['Mid', g => g.midPrice],
+  ['Premium', g => g.premium],
+  ['IV', g => `${fixed(g.volatilityUsed * 100, 1)}% (${g.volatilitySource})`],
+  ['Delta', g => g.delta],
+  ['Gamma', g => g.gamma],
+  ['Theta/day', g => g.theta],
+  ['Vega', g => g.vega],
+  ['Rho', g => g.rho],
+  ['Theoretical', g => g.theoreticalPrice],
+  ['Edge', g => g.edge],
+  ['OTM', g => percent(g.otmPercent)],
+  ['Return', g => percent(g.returnPercent)],
+  ['Assignment (BS)', g => percent(g.assignmentProbability)],
+  ['Assignment (enh.)', g => percent(g.assignmentProbabilityEnhanced)],
+  ['Touch', g => percent(g.probabilityOfTouch)],
+  ['Liquidity', g => `${g.liquidityScore}${g.liquidityFlags.length ? ` (fails ${g.liquidityFlags.join(', ')})` : ''}`],
+  ['Meets target', g => (g.meetsTarget ? g.targetType : 'no')],
+];
+
+// Flat CSV columns for the greeks command
+const GREEKS_CSV_COLUMNS = ['contractSymbol', 'symbol', 'optionType', 'expiration', 'daysToExpiry', 'currentPrice', 'strike', 'bid', 'ask', 'midPrice', 'premium', 'volatilityUsed', 'volatilitySource', 'delta', 'gamma', 'theta', 'vega', 'rho', 'theoreticalPrice', 'edge', 'otmPercent', 'returnPercent', 'assignmentProbability', 'assignmentProbabilityEnhanced', 'probabilityOfTouch', 'liquidityScore', 'meetsLiquidity', 'meetsTarget', 'targetType'];
+
+function analysisTable(analysis) {
+  const contractsKey = analysis.optionType === 'put' ? 'puts' : 'calls';
+  const sections = analysis.expirations.map((exp) => {
+    const best = exp.bestOption ? `best $${exp.bestOption.strike} @ $${exp.bestOption.premium}` : 'no best option';
+    const heading = `${unixToDateString(exp.expiration)}: ${best}${exp.bestOptionReason ? ` - ${exp.bestOptionReason}` : ''}`;
+    return exp[contractsKey].length ? `${heading}\n${formatTable(exp[contractsKey], CONTRACT_COLUMNS)}` : `${heading}\n(no contracts in the OTM range)\n`;
+  });
+  const title = `${analysis.symbol} ${analysis.optionType === 'put' ? 'cash-secured puts' : 'covered calls'} at $${fixed(analysis.currentPrice)}, OTM $${fixed(analysis.otmRange.low)}-$${fixed(analysis.otmRange.high)}`;
+  return `${title}\n\n${sections.join('\n')}`;
+}
+
+function scanTable(scan) {
+  return formatTable(scan.results.map((c, i) => ({ rank: i + 1, ...c })), [
+    ['#', c => c.rank],
+    ['Symbol', c => c.symbol],
+    ['Expiration', c => unixToDateString(c.expiration)],
+    ['Price', c => fixed(c.currentPrice)],
+    ...CONTRACT_COLUMNS,
+  ]);
+}
+
+async function runQuote(symbols, { providers, format, out }) {
+  if (!symbols.length) throw usageError('quote needs at least one symbol');
+  const quotes = [];
+  const failures = [];
+  for (const symbol of symbols) {
+    try {
+      const tracker = createFetchTracker();
+      const quote = await providers.quotes.getQuote(symbol, tracker);
+      quotes.push({ ...quote, symbol: quote.symbol || symbol, ...tracker.summary() });
+    } catch (err) {
+      failures.push(`${symbol}: ${err?.message || 'Failed to fetch quote'}`);
+    }
+  }
+  if (format === 'json') out.stdout(`${JSON.stringify(quotes, null, 2)}\n`);
+  else if (format === 'csv') out.stdout(toCsv(quotes.map(q => Object.fromEntries(QUOTE_COLUMNS.map(([label, get]) => [label, get(q)]))), QUOTE_COLUMNS.map(([label]) => label)));
+  else if (quotes.length) out.stdout(formatTable(quotes, QUOTE_COLUMNS));
+  for (const failure of failures) out.stderr(`${failure}\n`);
+  return failures.length ? EXIT_CODES.failed : EXIT_CODES.met;
+}
+
+async function runWeeks([symbol], { providers, calendar, format, optionType, settings, out }) {
+  if (!symbol) throw usageError('weeks needs a symbol');
+  const analysis = await analyzeSymbol(providers.chains, symbol, { optionType, settings, calendar });
+  if (format === 'json') out.stdout(`${JSON.stringify(exportAnalysis(analysis), null, 2)}\n`);
+  else if (format === 'csv') out.stdout(exportToCsv(exportAnalysis(analysis)));
+  else out.stdout(analysisTable(analysis));
+  const contractsKey = optionType === 'put' ? 'puts' : 'calls';
+  const met = analysis.expirations.some(exp => !exp.excludedByEvents && exp[contractsKey].some(qualifies));
+  return met ? EXIT_CODES.met : EXIT_CODES.notMet;
+}
+
+async function runScan([file], { providers, calendar, format, optionType, settings, top, readFile, out }) {
+  if (!file) throw usageError('scan needs a watchlist file');
+  let text;
+  try {
+    text = await readFile(file);
+  } catch (err) {
+    throw usageError(`Cannot read ${file}: ${err.message}`);
+  }
+  const symbols = normalizeSymbols(parseWatchlist(text));
+  if (!symbols) throw usageError(`${file} must list 1 to 100 symbols`);
+  const scan = await scanSymbols(providers.chains, symbols, { optionType, settings, top, calendar });
+  if (format === 'json') out.stdout(`${JSON.stringify(exportScan(scan), null, 2)}\n`);
+  else if (format === 'csv') out.stdout(exportToCsv(exportScan(scan)));
+  else out.stdout(scan.results.length ? scanTable(scan) : 'No contracts met the target\n');
+  for (const failed of scan.symbols.filter(s => s.error)) out.stderr(`${failed.symbol}: ${failed.error}\n`);
+  if (scan.failedCount === symbols.length) return EXIT_CODES.failed;
+  return scan.results.length ? EXIT_CODES.met : EXIT_CODES.notMet;
+}
+
+async function runGreeks([contractSymbol], { providers, format, settings, out }) {
+  if (!parseOccSymbol(contractSymbol)) throw usageError('greeks needs an OCC contract symbol (e.g. AAPL250606C00200000)');
+  const greeks = await contractGreeks(providers.chains, contractSymbol, { settings });
+  if (format === 'json') out.stdout(`${JSON.stringify(greeks, null, 2)}\n`);
+  else if (format === 'csv') out.stdout(toCsv([{ ...greeks, volatilityUsed: Number(greeks.volatilityUsed.toFixed(4)) }], GREEKS_CSV_COLUMNS));
+  else out.stdout(formatRecord(GREEKS_FIELDS, greeks));
+  return qualifies(greeks) ? EXIT_CODES.met : EXIT_CODES.notMet;
+}
+
+const COMMANDS = {
+  quote: runQuote,
+  weeks: runWeeks,
+  scan: runScan,
+  greeks: runGreeks,
+};
+
+// Runs one command against `providers` (lib/providers) in-process and resolves to its exit code.
+// Output goes through stdout(text) / stderr(text); readFile(path) reads the scan watchlist.
+async function runCli(argv, { providers, calendar = null, stdout, stderr, readFile }) {
+  const out = { stdout, stderr };
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    stderr(`${err.message}\n\nRun options-analyzer --help for usage.\n`);
+    return EXIT_CODES.usage;
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr)(USAGE);
+    return values.help ? EXIT_CODES.met : EXIT_CODES.usage;
+  }
+
+  const run = COMMANDS[command];
+  const format = String(values.format).toLowerCase();
+  const optionType = String(values.type).toLowerCase();
+  const top = values.top === undefined ? DEFAULT_SCAN_TOP : Number(values.top);
+  const { settings, errors } = parseScreeningQuery(Object.fromEntries(SCREENING_FLAGS.map(([flag, name]) => [name, values[flag]])));
+  const problems = [
+    ...(!run ? [`Unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`] : []),
+    ...(!OUTPUT_FORMATS.includes(format) ? [`--format must be ${OUTPUT_FORMATS.join(', ')}`] : []),
+    ...(optionType !== 'call' && optionType !== 'put' ? ['--type must be call or put'] : []),
+    ...(!Number.isInteger(top) || top < 1 || top > 500 ? ['--top must be a whole number between 1 and 500'] : []),
+    ...errors.map(error => error.replace(FLAG_NAME_PATTERN, name => `--${kebab(name)}`)),
+  ];
+  if (problems.length) {
+    stderr(`${problems.join('\n')}\n\nRun options-analyzer --help for usage.\n`);
+    return EXIT_CODES.usage;
+  }
+
+  const symbols = command === 'greeks' || command === 'scan' ? args : args.map(s => s.toUpperCase().trim());
+  try {
+    return await run(symbols, { providers, calendar, format, optionType, settings, top, readFile, out });
+  } catch (err) {
+    if (err?.usage) {
+      stderr(`${err.message}\n\nRun options-analyzer --help for usage.\n`);
+      return EXIT_CODES.usage;
+    }
+    stderr(`${err?.message || 'Analysis failed'}\n`);
+    return EXIT_CODES.failed;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  OUTPUT_FORMATS,
+  parseWatchlist,
+  runCli,
+};
@@ -0,0 +1,24 @@
+// Plain-text tables for the terminal. Columns are [label, get(row)] pairs; like the web tables the
+// first column is left-aligned and the rest right-aligned. Missing values show as '-'.
+function formatTable(rows, columns) {
+  const cell = (value) => (value === null || value === undefined || value === '' ? '-' : String(value));
+  const lines = [columns.map(([label]) => label), ...rows.map(row => columns.map(([, get]) => cell(get(row))))];
+  const widths = columns.map((_, i) => Math.max(...lines.map(line => line[i].length)));
+  const pad = (value, i) => (i === 0 ? value.padEnd(widths[i]) : value.padStart(widths[i]));
+  const [header, ...body] = lines.map(line => line.map(pad).join('  ').trimEnd());
+  return [header, widths.map(w => '-'.repeat(w)).join('  '), ...body].join('\n') + '\n';
+}
+
+// Two columns of label / value, for a single record
+function formatRecord(fields, record) {
+  const width = Math.max(...fields.map(([label]) => label.length));
+  return fields.map(([label, get]) => {
+    const value = get(record);
+    return `${label.padEnd(width)}  ${value === null || value === undefined || value === '' ? '-' : value}`;
+  }).join('\n') + '\n';
+}
+
+module.exports = {
+  formatTable,
+  formatRecord,
+};
@@ -0,0 +1,16 @@
+// Date helpers shared across lib/. Expirations and event dates are compared as UTC calendar days.
+
+const DAY_MS = 24 * 3600 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// 'YYYY-MM-DD' (UTC) for a Date, an ISO string or epoch milliseconds
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+// ... and for unix seconds, as the analyses report expirations
+const unixToDateString = (unix) => toDateString(unix * 1000);
+
+module.exports = {
+  DAY_MS,
+  YEAR_MS,
+  toDateString,
+  unixToDateString,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { toDateString } = require('./dates');
+
+// Corporate events that change the risk of a short option:
+//   { earnings: ['YYYY-MM-DD', ...], exDividend: [{ date: 'YYYY-MM-DD', amount }, ...] }
+// They come from the chains provider (getEvents, when it has one) and/or a local JSON calendar
+// keyed by symbol in the same shape, e.g. { "AAPL": { "earnings": ["2025-07-31"], "exDividend": [{ "date": "2025-08-11", "amount": 0.26 }] } }.
+// The EVENTS_CALENDAR_FILE calendar adds to (and de-duplicates against) the provider's dates.
+
+const EVENT_TYPES = ['earnings', 'exDividend'];
+
+const isValidDate = (value) => value !== null && value !== undefined && value !== '' && !Number.isNaN(new Date(value).getTime());
+
+// Sorted, de-duplicated events with invalid entries dropped; dividends keep the larger amount for a date
+function normalizeEvents(...sources) {
+  const earnings = new Set();
+  const dividends = new Map();
+  for (const source of sources) {
+    for (const date of source?.earnings || []) if (isValidDate(date)) earnings.add(toDateString(date));
+    for (const dividend of source?.exDividend || []) {
+      if (!isValidDate(dividend?.date)) continue;
+      const date = toDateString(dividend.date);
+      const amount = Number(dividend.amount) > 0 ? Number(dividend.amount) : null;
+      const existing = dividends.get(date);
+      dividends.set(date, { date, amount: existing?.amount && (!amount || existing.amount > amount) ? existing.amount : amount });
+    }
+  }
+  return {
+    earnings: [...earnings].sort(),
+    exDividend: [...dividends.values()].sort((a, b) => (a.date < b.date ? -1 : 1)),
+  };
+}
+
+// Events falling between two dates, inclusive (YYYY-MM-DD strings or anything Date accepts)
+function eventsBetween(events, from, to) {
+  const start = toDateString(from);
+  const end = toDateString(to);
+  return {
+    earnings: (events?.earnings || []).filter(date => date >= start && date <= end),
+    exDividend: (events?.exDividend || []).filter(d => d.date >= start && d.date <= end),
+  };
+}
+
+// getEvents(symbol) -> { earnings, exDividend, sources, errors }. A failing source is reported in
+// `errors` rather than failing the analysis that asked for the events.
+function createEventCalendar({ provider = null, file = null } = {}) {
+  async function readFile() {
+    const calendar = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return Object.fromEntries(Object.entries(calendar || {}).map(([symbol, events]) => [symbol.toUpperCase(), events]));
+  }
+
+  return {
+    async getEvents(symbol, tracker) {
+      const found = [];
+      const sources = [];
+      const errors = [];
+      if (typeof provider?.getEvents === 'function') {
+        try {
+          found.push(await provider.getEvents(symbol, tracker));
+          sources.push(provider.name);
+        } catch (err) {
+          errors.push(`${provider.name}: ${err?.message || 'failed to load events'}`);
+        }
+      }
+      if (file) {
+        try {
+          const entry = (await readFile())[symbol.toUpperCase()];
+          if (entry) found.push(entry);
+          sources.push('calendar-file');
+        } catch (err) {
+          errors.push(`calendar file: ${err?.message || 'unreadable'}`);
+        }
+      }
+      return { ...normalizeEvents(...found), sources, errors };
+    },
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  normalizeEvents,
+  eventsBetween,
+  createEventCalendar,
+};
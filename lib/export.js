@@ -0,0 +1,125 @@
+// Exports of /api/options-weeks and /api/scan results: CSV, and JSON in a versioned schema that stays
+// stable as the analysis responses grow. Within a version fields are only ever added; renaming,
+// removing or changing the meaning of a field bumps EXPORT_VERSION.
+const { unixToDateString } = require('./dates');
+
+const EXPORT_SCHEMA = 'options-analyzer/contracts';
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'csv'];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// One row per contract. Percentages stay in percent (as in the analysis), prices per share.
+const CONTRACT_FIELDS = [
+  ['symbol', (c, ctx) => ctx.symbol],
+  ['optionType', (c, ctx) => ctx.optionType],
+  ['expiration', (c, ctx) => unixToDateString(ctx.expiration)],
+  ['daysToExpiry', c => c.daysToExpiry],
+  ['contractSymbol', c => c.contractSymbol],
+  ['underlyingPrice', (c, ctx) => ctx.currentPrice],
+  ['strike', c => c.strike],
+  ['bid', c => toNumber(c.bid)],
+  ['ask', c => toNumber(c.ask)],
+  ['midPrice', c => toNumber(c.midPrice)],
+  ['premium', c => toNumber(c.premium)], // Expected fill when selling
+  ['lastPrice', c => toNumber(c.lastPrice)],
+  ['volume', c => toNumber(c.volume)],
+  ['openInterest', c => toNumber(c.openInterest)],
+  ['spreadPercent', c => toNumber(c.spreadPercent)],
+  ['liquidityScore', c => toNumber(c.liquidityScore)],
+  ['meetsLiquidity', c => Boolean(c.meetsLiquidity)],
+  ['impliedVolatility', c => (Number.isFinite(c.volatilityUsed) ? Number(c.volatilityUsed.toFixed(4)) : null)], // Fraction, e.g. 0.25
+  ['volatilitySource', c => c.volatilitySource],
+  ['delta', c => toNumber(c.delta)], // x100
+  ['theta', c => toNumber(c.theta)],
+  ['otmPercent', c => toNumber(c.otmPercent)],
+  ['returnPercent', c => toNumber(c.returnPercent)],
+  ['assignmentProbability', c => toNumber(c.assignmentProbability)],
+  ['assignmentProbabilityEnhanced', c => toNumber(c.assignmentProbabilityEnhanced)],
+  ['probabilityOfTouch', c => toNumber(c.probabilityOfTouch)],
+  ['goalScore', c => toNumber(c.goalScore)],
+  ['targetType', c => c.targetType],
+  ['meetsTarget', c => Boolean(c.meetsTarget)],
+  ['isBestOption', (c, ctx) => ctx.bestContractSymbol === c.contractSymbol],
+  ['spansEarnings', (c, ctx) => Boolean(ctx.spansEarnings)],
+  ['spansExDividend', (c, ctx) => Boolean(ctx.spansExDividend)],
+];
+
+const contractRow = (contract, ctx) => Object.fromEntries(CONTRACT_FIELDS.map(([key, get]) => [key, get(contract, ctx)]));
+
+// Every contract of an analyzeSymbol() result (lib/optionsWeeks.js), expiration by expiration
+function analysisRows(analysis) {
+  const key = analysis.optionType === 'put' ? 'puts' : 'calls';
+  return analysis.expirations.flatMap(exp => exp[key].map(contract => contractRow(contract, {
+    ...analysis,
+    expiration: exp.expiration,
+    bestContractSymbol: exp.bestOption?.contractSymbol ?? null,
+    spansEarnings: exp.spansEarnings,
+    spansExDividend: exp.spansExDividend,
+  })));
+}
+
+// The ranked contracts of a scanSymbols() result (lib/scan.js), with their rank
+function scanRows(scan) {
+  return scan.results.map((contract, i) => ({
+    rank: i + 1,
+    ...contractRow(contract, { ...contract, optionType: scan.optionType, bestContractSymbol: null }),
+  }));
+}
+
+function exportAnalysis(analysis) {
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    source: 'options-weeks',
+    generatedAt: new Date().toISOString(),
+    asOf: analysis.asOf,
+    symbol: analysis.symbol,
+    optionType: analysis.optionType,
+    underlyingPrice: analysis.currentPrice,
+    settings: analysis.settings,
+    contracts: analysisRows(analysis),
+  };
+}
+
+function exportScan(scan) {
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    source: 'scan',
+    generatedAt: new Date().toISOString(),
+    asOf: scan.symbols.reduce((oldest, s) => (s.asOf && (oldest === null || s.asOf < oldest) ? s.asOf : oldest), null),
+    optionType: scan.optionType,
+    settings: scan.settings,
+    symbols: scan.symbols.map(s => ({ symbol: s.symbol, underlyingPrice: s.currentPrice ?? null, qualifyingCount: s.qualifyingCount, error: s.error })),
+    contracts: scanRows(scan),
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(key => row[key]))]
+    .map(values => values.map(csvValue).join(','))
+    .join('\n') + '\n';
+}
+
+// The contracts of an exportAnalysis() / exportScan() document as CSV, one header row
+function exportToCsv(document) {
+  const columns = [...(document.source === 'scan' ? ['rank'] : []), ...CONTRACT_FIELDS.map(([key]) => key)];
+  return toCsv(document.contracts, columns);
+}
+
+module.exports = {
+  EXPORT_SCHEMA,
+  EXPORT_VERSION,
+  EXPORT_FORMATS,
+  exportAnalysis,
+  exportScan,
+  exportToCsv,
+  toCsv,
+};
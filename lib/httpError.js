@@ -0,0 +1,10 @@
+// Error carrying the HTTP status the route layer should answer with instead of a 500
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  httpError,
+};
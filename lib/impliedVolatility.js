@@ -0,0 +1,62 @@
+const bs = require('./blackScholes');
+
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5; // 500%
+const PRICE_TOLERANCE = 1e-6;
+const MAX_NEWTON_ITERATIONS = 50;
+const MAX_BISECTION_ITERATIONS = 200;
+
+// Backs implied volatility out of an option price.
+// Newton-Raphson from a Brenner-Subrahmanyam starting guess, falling back to bisection when
+// vega vanishes or a step leaves the bracket. Returns { volatility, method, iterations, reason };
+// volatility is null (with a reason) when the price cannot be explained by any volatility.
+function solveImpliedVolatility(optionPrice, currentPrice, strikePrice, timeToExpiry, riskFreeRate, optionType = 'call') {
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const r = riskFreeRate;
+  const fail = (reason) => ({ volatility: null, method: null, iterations: 0, reason });
+
+  if (!(optionPrice > 0)) return fail('no-price');
+  if (!(T > 0)) return fail('expired');
+
+  // No-arbitrage bounds: discounted intrinsic value below, spot (call) or discounted strike (put) above
+  const discountedStrike = K * Math.exp(-r * T);
+  const lowerBound = optionType === 'call' ? Math.max(0, S - discountedStrike) : Math.max(0, discountedStrike - S);
+  const upperBound = optionType === 'call' ? S : discountedStrike;
+  if (optionPrice < lowerBound - PRICE_TOLERANCE) return fail('below-intrinsic');
+  if (optionPrice >= upperBound) return fail('above-max-value');
+
+  const priceAt = (sigma) => bs.optionPrice(S, K, T, r, sigma, optionType);
+
+  // Newton-Raphson
+  let sigma = Math.min(MAX_VOLATILITY, Math.max(0.05, Math.sqrt(2 * Math.PI / T) * optionPrice / S));
+  for (let i = 1; i <= MAX_NEWTON_ITERATIONS; i++) {
+    const diff = priceAt(sigma) - optionPrice;
+    if (Math.abs(diff) < PRICE_TOLERANCE) return { volatility: sigma, method: 'newton', iterations: i, reason: null };
+    const vega = bs.vega(S, K, T, r, sigma);
+    if (vega < 1e-8) break;
+    const next = sigma - diff / vega;
+    if (!(next > MIN_VOLATILITY && next < MAX_VOLATILITY)) break;
+    sigma = next;
+  }
+
+  // Bisection fallback (price is monotonic in volatility)
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (priceAt(high) < optionPrice) return fail('above-max-volatility');
+  if (priceAt(low) > optionPrice) return fail('below-min-volatility');
+  for (let i = 1; i <= MAX_BISECTION_ITERATIONS; i++) {
+    const mid = (low + high) / 2;
+    const diff = priceAt(mid) - optionPrice;
+    if (Math.abs(diff) < PRICE_TOLERANCE || (high - low) / 2 < 1e-8) {
+      return { volatility: mid, method: 'bisection', iterations: i, reason: null };
+    }
+    if (diff > 0) high = mid; else low = mid;
+  }
+  return fail('no-convergence');
+}
+
+module.exports = {
+  solveImpliedVolatility,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Where persisted state lives: DATA_DIR (default ./data) + file name
+function resolveDataFile(env, name) {
+  return path.join(env.DATA_DIR || DEFAULT_DATA_DIR, name);
+}
+
+// A list of records persisted as one JSON file. Writes are serialized and replace the file
+// atomically (write to a temp file, then rename), so a crash never leaves half a file behind.
+function createJsonCollection(file) {
+  let queue = Promise.resolve();
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function writeAll(items) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(items, null, 2) + '\n');
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Runs fn(items) -> { items, result } under the write lock and persists the new items
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      const { items, result } = await fn(await readAll());
+      await writeAll(items);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function insertUnless(record, isDuplicate) {
+    return mutate((items) => {
+      if (items.some(isDuplicate)) return { items, result: null };
+      const created = { id: crypto.randomUUID(), ...record, createdAt: new Date().toISOString() };
+      return { items: [...items, created], result: created };
+    });
+  }
+
+  return {
+    list: readAll,
+
+    async get(id) {
+      return (await readAll()).find(item => item.id === id) || null;
+    },
+
+    insert(record) {
+      return insertUnless(record, () => false);
+    },
+
+    // Inserts the record unless one already stored matches `isDuplicate`, checked under the same lock
+    // as the write; resolves to the new record or null
+    insertUnique(record, isDuplicate) {
+      return insertUnless(record, isDuplicate);
+    },
+
+    // Shallow-merges `record` into the stored one matching `isSame`, or inserts it when there is none,
+    // in one write that also drops every record `keep` rejects; resolves to the stored record
+    upsert(record, isSame, { keep = () => true } = {}) {
+      return mutate((items) => {
+        const next = items.filter(keep);
+        const index = next.findIndex(isSame);
+        const stored = index === -1
+          ? { id: crypto.randomUUID(), ...record, createdAt: new Date().toISOString() }
+          : { ...next[index], ...record, id: next[index].id, updatedAt: new Date().toISOString() };
+        if (index === -1) next.push(stored);
+        else next[index] = stored;
+        return { items: next, result: stored };
+      });
+    },
+
+    // Shallow-merges `changes` into the record; resolves to the updated record or null if missing
+    update(id, changes) {
+      return mutate((items) => {
+        const index = items.findIndex(item => item.id === id);
+        if (index === -1) return { items, result: null };
+        const updated = { ...items[index], ...changes, id, updatedAt: new Date().toISOString() };
+        const next = items.slice();
+        next[index] = updated;
+        return { items: next, result: updated };
+      });
+    },
+
+    // Resolves to true if a record was removed
+    remove(id) {
+      return mutate((items) => {
+        const next = items.filter(item => item.id !== id);
+        return { items: next, result: next.length !== items.length };
+      });
+    },
+  };
+}
+
+module.exports = {
+  resolveDataFile,
+  createJsonCollection,
+};
@@ -0,0 +1,68 @@
+const { unixToDateString } = require('../dates');
+
+// Numbers compare at 6 significant digits, so solver round-off between polls is not a change
+const rounded = (key, value) => (typeof value === 'number' ? Number(value.toPrecision(6)) : value);
+const same = (a, b) => JSON.stringify(a, rounded) === JSON.stringify(b, rounded);
+
+// Keys of `next` whose values differ from `previous` (added keys count, `skip` is ignored)
+function changedKeys(previous, next, skip = []) {
+  return Object.keys(next).filter(key => !skip.includes(key) && !same(previous[key], next[key]));
+}
+
+const bestSummary = (option) => (option ? { contractSymbol: option.contractSymbol, strike: option.strike, premium: option.premium } : null);
+
+// What changed between two analyzeSymbol() results (lib/optionsWeeks.js) for the same symbol and
+// settings: the price, and per expiration the expiration-level fields and the contract rows that
+// changed (whole rows, with the names of their changed fields), appeared or disappeared. Returns null
+// when nothing changed, and { reset: true } when the expirations themselves changed and the update
+// cannot be applied row by row.
+function diffAnalyses(previous, next) {
+  const contractsKey = next.optionType === 'put' ? 'puts' : 'calls';
+  // Expirations are matched by date: a replayed fixture moves them with the clock between polls
+  if (!same(previous.expirations.map(e => unixToDateString(e.expiration)), next.expirations.map(e => unixToDateString(e.expiration)))) return { reset: true };
+
+  const expirations = [];
+  const bestOptionChanges = [];
+  next.expirations.forEach((exp, i) => {
+    const before = previous.expirations[i];
+    const fieldNames = changedKeys(before, exp, [contractsKey, 'expiration']);
+    const fields = Object.fromEntries(fieldNames.map(key => [key, exp[key]]));
+
+    const oldRows = new Map(before[contractsKey].map(c => [c.contractSymbol, c]));
+    const rows = [];
+    const changedFields = {};
+    for (const contract of exp[contractsKey]) {
+      const old = oldRows.get(contract.contractSymbol);
+      const changed = old ? changedKeys(old, contract) : Object.keys(contract);
+      if (!changed.length) continue;
+      rows.push(contract);
+      changedFields[contract.contractSymbol] = changed;
+    }
+    const current = new Set(exp[contractsKey].map(c => c.contractSymbol));
+    const removed = [...oldRows.keys()].filter(symbol => !current.has(symbol));
+
+    if (before.bestOption?.contractSymbol !== exp.bestOption?.contractSymbol) {
+      bestOptionChanges.push({ expiration: exp.expiration, previous: bestSummary(before.bestOption), current: bestSummary(exp.bestOption), reason: exp.bestOptionReason });
+    }
+    if (fieldNames.length || rows.length || removed.length) {
+      expirations.push({ expiration: exp.expiration, date: unixToDateString(exp.expiration), fields, rows, changedFields, removed });
+    }
+  });
+
+  const priceChanged = previous.currentPrice !== next.currentPrice;
+  if (!priceChanged && !expirations.length) return null;
+  return {
+    symbol: next.symbol,
+    optionType: next.optionType,
+    asOf: next.asOf,
+    currentPrice: next.currentPrice,
+    previousPrice: previous.currentPrice,
+    otmRange: next.otmRange,
+    expirations,
+    bestOptionChanges,
+  };
+}
+
+module.exports = {
+  diffAnalyses,
+};
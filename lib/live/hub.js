@@ -0,0 +1,84 @@
+const { DEFAULT_SETTINGS } = require('../analytics');
+const { analyzeSymbol } = require('../optionsWeeks');
+const { isMarketHours } = require('../providers/cache');
+const { openEventStream, formatEvent } = require('../sse');
+const { diffAnalyses } = require('./diff');
+
+// Live /api/options-weeks analyses over Server-Sent Events. Subscribers of the same symbol, option
+// type and settings share one channel that re-runs the analysis every `intervalMs` (during market
+// hours unless `marketHoursOnly` is off) while anyone is connected. A subscriber first gets the whole
+// analysis as an `analysis` event, then an `update` event (lib/live/diff.js) whenever something
+// changed, or a fresh `analysis` when the expirations roll. A failed poll sends `poll-error`.
+// `clock` (epoch ms) is the time the analyses run at.
+function createLiveHub({ provider, calendar = null, intervalMs = 30000, marketHoursOnly = true, isOpen = isMarketHours, clock = Date.now }) {
+  const channels = new Map();
+  let sequence = 0;
+
+  function send(res, event, data) {
+    res.write(formatEvent(++sequence, event, data));
+  }
+
+  function broadcast(channel, event, data) {
+    for (const res of channel.clients) send(res, event, data);
+  }
+
+  // One analysis at a time per channel; a tick while one is running shares it
+  function poll(channel) {
+    if (!channel.polling) {
+      channel.polling = analyzeSymbol(provider, channel.symbol, { optionType: channel.optionType, settings: channel.settings, calendar, now: clock() })
+        .then((analysis) => {
+          const previous = channel.latest;
+          channel.latest = analysis;
+          const diff = previous ? diffAnalyses(previous, analysis) : { reset: true };
+          if (diff?.reset) broadcast(channel, 'analysis', analysis);
+          else if (diff) broadcast(channel, 'update', diff);
+        })
+        .catch(err => broadcast(channel, 'poll-error', { message: err?.message || 'Analysis failed', at: new Date().toISOString() }))
+        .finally(() => { channel.polling = null; });
+    }
+    return channel.polling;
+  }
+
+  function tick(channel) {
+    if (marketHoursOnly && !isOpen(new Date(clock()))) return Promise.resolve();
+    return poll(channel);
+  }
+
+  return {
+    subscribe(req, res, { symbol, optionType = 'call', settings = DEFAULT_SETTINGS }) {
+      const key = `${symbol}:${optionType}:${JSON.stringify(settings)}`;
+      let channel = channels.get(key);
+      if (!channel) {
+        channel = { symbol, optionType, settings, clients: new Set(), latest: null, polling: null, timer: null };
+        channels.set(key, channel);
+        channel.timer = setInterval(() => tick(channel), intervalMs);
+        channel.timer.unref?.();
+      }
+      // Headers first: nothing may be written to the stream before them
+      openEventStream(req, res, () => {
+        channel.clients.delete(res);
+        if (!channel.clients.size) {
+          clearInterval(channel.timer);
+          channels.delete(key);
+        }
+      });
+      channel.clients.add(res);
+      // The first subscriber waits for the first analysis (broadcast to everyone connected by then)
+      if (channel.latest) send(res, 'analysis', channel.latest);
+      else poll(channel);
+    },
+
+    // Re-runs every channel's analysis now, in or out of market hours
+    pollAll() {
+      return Promise.all([...channels.values()].map(poll));
+    },
+
+    get channelCount() {
+      return channels.size;
+    },
+  };
+}
+
+module.exports = {
+  createLiveHub,
+};
@@ -0,0 +1,32 @@
+// OCC option symbols: ROOT + YYMMDD + C/P + strike x 1000 padded to 8 digits, e.g. AAPL250606C00200000.
+// Roots may carry an adjustment digit (e.g. AAPL1) and some feeds pad the root with spaces to 6 characters.
+const OCC_PATTERN = /^([A-Z][A-Z0-9.]{0,5})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+
+// Returns { symbol, expiration (Date, midnight UTC), optionType, strike } or null when not an OCC symbol
+function parseOccSymbol(contractSymbol) {
+  const match = OCC_PATTERN.exec(String(contractSymbol || '').toUpperCase().trim());
+  if (!match) return null;
+  const [, root, yy, mm, dd, cp, strike] = match;
+  const expiration = new Date(Date.UTC(2000 + Number(yy), Number(mm) - 1, Number(dd)));
+  if (expiration.getUTCMonth() !== Number(mm) - 1 || expiration.getUTCDate() !== Number(dd)) return null;
+  return {
+    symbol: root,
+    expiration,
+    optionType: cp === 'C' ? 'call' : 'put',
+    strike: Number(strike) / 1000,
+  };
+}
+
+function formatOccSymbol({ symbol, expiration, optionType, strike }) {
+  const date = new Date(expiration);
+  const yymmdd = [date.getUTCFullYear() % 100, date.getUTCMonth() + 1, date.getUTCDate()]
+    .map(n => String(n).padStart(2, '0'))
+    .join('');
+  const strikeCode = String(Math.round(strike * 1000)).padStart(8, '0');
+  return `${symbol.toUpperCase()}${yymmdd}${optionType === 'put' ? 'P' : 'C'}${strikeCode}`;
+}
+
+module.exports = {
+  parseOccSymbol,
+  formatOccSymbol,
+};
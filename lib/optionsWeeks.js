@@ -0,0 +1,55 @@
+const {
+  DEFAULT_SETTINGS,
+  getOtmRange,
+  selectExpirations,
+  analyzeExpiration,
+} = require('./analytics');
+const { describeScreeningSettings } = require('./screeningParams');
+const { suggestStrategies } = require('./strategies/suggest');
+const { httpError } = require('./httpError');
+const { createFetchTracker } = require('./providers/cache');
+
+// Full /api/options-weeks analysis for one symbol, using a market-data provider (see lib/providers).
+// With an event calendar (lib/events.js), expirations spanning earnings or ex-dividend dates are flagged.
+// Call analyses also suggest the best collar and call credit spread per expiration (lib/strategies).
+async function analyzeSymbol(provider, symbol, { optionType = 'call', settings = DEFAULT_SETTINGS, calendar = null, now = Date.now() } = {}) {
+  const tracker = createFetchTracker();
+
+  // Get current stock price first
+  const quote = await provider.getQuote(symbol, tracker);
+  const currentPrice = quote?.regularMarketPrice;
+  if (!currentPrice || !Number.isFinite(currentPrice)) {
+    throw httpError('Unable to get current stock price', 400);
+  }
+
+  const expirations = await provider.getExpirations(symbol, tracker);
+  if (!expirations.length) throw httpError('No expirations available', 404);
+
+  const targets = selectExpirations(expirations, settings, new Date(now));
+  const otmRange = getOtmRange(currentPrice, optionType, settings);
+
+  // Fetch the chains (and events) in parallel, keeping expiration order
+  const [events, ...chains] = await Promise.all([
+    calendar ? calendar.getEvents(symbol, tracker) : null,
+    ...targets.map(target => provider.getChain(symbol, target, tracker)),
+  ]);
+  const results = [];
+  targets.forEach((target, i) => {
+    if (!chains[i]) return;
+    const result = analyzeExpiration(chains[i], target, { currentPrice, optionType, settings, now, events });
+    if (optionType === 'call') {
+      Object.assign(result, result.excludedByEvents
+        ? { bestCollar: null, bestSpread: null }
+        : suggestStrategies(chains[i], target, { currentPrice, settings, now }));
+    }
+    results.push(result);
+  });
+
+  // asOf: when the oldest data used was fetched (unix seconds); cached: whether any of it came from the cache
+  const { asOf, cached } = tracker.summary(now);
+  return { symbol, optionType, currentPrice, otmRange, settings: describeScreeningSettings(settings), asOf, cached, events, expirations: results };
+}
+
+module.exports = {
+  analyzeSymbol,
+};
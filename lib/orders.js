@@ -0,0 +1,102 @@
+const { formatOccSymbol } = require('./occ');
+const { httpError } = require('./httpError');
+const { toDateString } = require('./dates');
+const { resolveContract } = require('./positions/contract');
+
+const ORDER_FORMATS = ['json', 'ibkr', 'csv', 'fix'];
+const TIME_IN_FORCE = ['DAY', 'GTC'];
+
+// A sell-to-open limit order for `quantity` contracts of an OCC symbol, priced at the mid of the
+// current bid/ask (rounded to the cent) unless `limitPrice` is given.
+async function createOrderTicket(provider, contractSymbol, { quantity = 1, limitPrice = null, timeInForce = 'DAY', account = null, now = Date.now() } = {}) {
+  const { contract, raw } = await resolveContract(provider, contractSymbol, { now });
+  const { symbol, optionType, strike } = contract;
+  if (!raw) throw httpError(`${String(contractSymbol).toUpperCase()} is not listed`, 404);
+  const midPrice = raw.bid > 0 && raw.ask > 0 ? (raw.bid + raw.ask) / 2 : null;
+  if (limitPrice === null && midPrice === null) throw httpError(`${String(contractSymbol).toUpperCase()} has no two-sided quote to price at the mid; pass limitPrice`, 422);
+  const price = Number((limitPrice ?? midPrice).toFixed(2));
+
+  return {
+    side: 'sell',
+    positionEffect: 'open',
+    orderType: 'limit',
+    timeInForce,
+    quantity,
+    contractSymbol: formatOccSymbol(contract),
+    underlying: symbol,
+    optionType,
+    expiration: toDateString(contract.expiration),
+    strike,
+    limitPrice: price,
+    priceSource: limitPrice === null ? 'mid' : 'manual',
+    bid: raw.bid ?? null,
+    ask: raw.ask ?? null,
+    midPrice: midPrice === null ? null : Number(midPrice.toFixed(3)),
+    estimatedCredit: Number((price * 100 * quantity).toFixed(2)),
+    account,
+    createdAt: new Date(now).toISOString(),
+  };
+}
+
+// Interactive Brokers BasketTrader CSV (File > Import in the basket tool)
+function toIbkrBasket(ticket) {
+  const header = ['Action', 'Quantity', 'Symbol', 'SecType', 'LastTradingDayOrContractMonth', 'Strike', 'Right', 'Exchange', 'Currency', 'TimeInForce', 'OrderType', 'LmtPrice', 'Account', 'OrderRef'];
+  const row = [
+    'SELL', ticket.quantity, ticket.underlying, 'OPT', ticket.expiration.replace(/-/g, ''), ticket.strike,
+    ticket.optionType === 'call' ? 'C' : 'P', 'SMART', 'USD', ticket.timeInForce, 'LMT', ticket.limitPrice.toFixed(2),
+    ticket.account || '', ticket.contractSymbol,
+  ];
+  return `${header.join(',')}\n${row.join(',')}\n`;
+}
+
+// Generic order CSV keyed by OCC symbol, the layout most broker and spreadsheet imports map from
+function toOrderCsv(ticket) {
+  const header = ['Action', 'Symbol', 'Quantity', 'OrderType', 'LimitPrice', 'TimeInForce', 'Underlying', 'Expiration', 'Strike', 'CallPut', 'Account'];
+  const row = [
+    'SELL_TO_OPEN', ticket.contractSymbol, ticket.quantity, 'LIMIT', ticket.limitPrice.toFixed(2), ticket.timeInForce,
+    ticket.underlying, ticket.expiration, ticket.strike, ticket.optionType === 'call' ? 'CALL' : 'PUT', ticket.account || '',
+  ];
+  return `${header.join(',')}\n${row.join(',')}\n`;
+}
+
+// FIX 4.2 NewOrderSingle as readable tag=value text, fields separated by '|' instead of SOH
+function toFixText(ticket) {
+  const [year, month, day] = ticket.expiration.split('-');
+  const fields = [
+    [8, 'FIX.4.2'],
+    [35, 'D'], // NewOrderSingle
+    [11, `${ticket.contractSymbol}-${Date.parse(ticket.createdAt)}`], // ClOrdID
+    ...(ticket.account ? [[1, ticket.account]] : []),
+    [55, ticket.underlying],
+    [167, 'OPT'],
+    [200, `${year}${month}`], // MaturityMonthYear
+    [205, day], // MaturityDay
+    [201, ticket.optionType === 'call' ? 1 : 0], // PutOrCall
+    [202, ticket.strike],
+    [54, 2], // Side: sell
+    [77, 'O'], // OpenClose: open
+    [38, ticket.quantity],
+    [40, 2], // OrdType: limit
+    [44, ticket.limitPrice.toFixed(2)],
+    [59, ticket.timeInForce === 'GTC' ? 1 : 0],
+    [60, ticket.createdAt.replace(/-/g, '').replace('T', '-').replace('Z', '')], // TransactTime, UTC
+  ];
+  return `${fields.map(([tag, value]) => `${tag}=${value}`).join('|')}|\n`;
+}
+
+// { contentType, extension, body } for one of ORDER_FORMATS
+function formatOrderTicket(ticket, format) {
+  switch (format) {
+    case 'ibkr': return { contentType: 'text/csv', extension: 'csv', body: toIbkrBasket(ticket) };
+    case 'csv': return { contentType: 'text/csv', extension: 'csv', body: toOrderCsv(ticket) };
+    case 'fix': return { contentType: 'text/plain', extension: 'fix.txt', body: toFixText(ticket) };
+    default: return { contentType: 'application/json', extension: 'json', body: `${JSON.stringify(ticket, null, 2)}\n` };
+  }
+}
+
+module.exports = {
+  ORDER_FORMATS,
+  TIME_IN_FORCE,
+  createOrderTicket,
+  formatOrderTicket,
+};
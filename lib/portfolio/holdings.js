@@ -0,0 +1,63 @@
+const { httpError } = require('../httpError');
+
+const MAX_HOLDINGS = 100;
+
+// Header names accepted for each holdings column (lower-cased, spaces and underscores removed)
+const COLUMNS = {
+  symbol: ['symbol', 'ticker'],
+  shares: ['shares', 'quantity', 'qty'],
+  costBasis: ['costbasis', 'cost', 'basis', 'avgcost', 'averagecost', 'price'],
+};
+
+const normalizeHeader = (header) => header.trim().replace(/^"|"$/g, '').toLowerCase().replace(/[\s_]+/g, '');
+
+// Rows from a CSV with symbol, shares and cost basis columns (comma or semicolon separated)
+function rowsFromCsv(text) {
+  const lines = String(text || '').trim().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) throw httpError('Holdings CSV needs a header row and at least one holding', 400);
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const headers = lines[0].split(delimiter).map(normalizeHeader);
+  const index = Object.fromEntries(Object.entries(COLUMNS).map(([key, names]) => [key, headers.findIndex(h => names.includes(h))]));
+  if (index.symbol === -1 || index.shares === -1 || index.costBasis === -1) {
+    throw httpError('Holdings CSV must have symbol, shares and cost basis columns', 400);
+  }
+  return lines.slice(1).map(line => {
+    const values = line.split(delimiter).map(v => v.trim().replace(/^"|"$/g, ''));
+    return { symbol: values[index.symbol], shares: values[index.shares], costBasis: values[index.costBasis] };
+  });
+}
+
+// Holdings from a CSV string or a JSON array of { symbol, shares, costBasis }. Rows for the same
+// symbol are merged at their share-weighted cost basis. Throws a 400 listing every invalid row.
+function parseHoldings(input) {
+  const rows = typeof input === 'string' ? rowsFromCsv(input) : input;
+  if (!Array.isArray(rows) || !rows.length) throw httpError('holdings must be a non-empty list or CSV', 400);
+  if (rows.length > MAX_HOLDINGS) throw httpError(`At most ${MAX_HOLDINGS} holdings are supported`, 400);
+
+  const errors = [];
+  const bySymbol = new Map();
+  rows.forEach((row, i) => {
+    const symbol = String(row?.symbol || '').toUpperCase().trim();
+    const shares = Number(String(row?.shares ?? '').replace(/,/g, ''));
+    const costBasis = Number(String(row?.costBasis ?? '').replace(/[$,]/g, ''));
+    const problems = [];
+    if (!/^[A-Z][A-Z0-9.\-]{0,9}$/.test(symbol)) problems.push('symbol');
+    if (!Number.isInteger(shares) || shares <= 0) problems.push('shares must be a positive whole number');
+    if (!Number.isFinite(costBasis) || costBasis <= 0) problems.push('cost basis must be a positive price');
+    if (problems.length) {
+      errors.push(`row ${i + 1}${symbol ? ` (${symbol})` : ''}: ${problems.join(', ')}`);
+      return;
+    }
+    const existing = bySymbol.get(symbol);
+    bySymbol.set(symbol, existing
+      ? { symbol, shares: existing.shares + shares, costBasis: (existing.costBasis * existing.shares + costBasis * shares) / (existing.shares + shares) }
+      : { symbol, shares, costBasis });
+  });
+  if (errors.length) throw httpError(`Invalid holdings: ${errors.join('; ')}`, 400);
+  return [...bySymbol.values()];
+}
+
+module.exports = {
+  MAX_HOLDINGS,
+  parseHoldings,
+};
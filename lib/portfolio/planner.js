@@ -0,0 +1,188 @@
+const { DEFAULT_SETTINGS } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { analyzeSymbol } = require('../optionsWeeks');
+const { mapWithConcurrency, SCAN_CONCURRENCY } = require('../scan');
+
+const PLAN_DEFAULTS = Object.freeze({
+  incomeTarget: null, // Weekly premium to aim for ($); null writes as much as the limits allow
+  maxExpectedAssignments: 1, // Sum over the plan of contracts x enhanced assignment probability
+  maxAssignmentPercent: 30, // Highest enhanced assignment probability written on any one name
+});
+
+const money = (value) => Number(value.toFixed(2));
+
+// Calls a holding may be written against: at or above cost basis, inside the liquidity limits and the
+// per-name assignment limit, on expirations not excluded by events. Only the efficient ones are kept:
+// ordered by assignment probability, each pays more weekly income than every safer one.
+function callFrontier(holding, analysis, { maxAssignmentPercent }) {
+  const rejected = { belowCostBasis: 0, overAssignmentLimit: 0, illiquid: 0 };
+  const eligible = [];
+  for (const exp of analysis.expirations) {
+    if (exp.excludedByEvents) continue;
+    for (const call of exp.calls) {
+      const premium = parseFloat(call.premium);
+      const probability = parseFloat(call.assignmentProbabilityEnhanced);
+      if (call.strike < holding.costBasis) rejected.belowCostBasis++;
+      else if (probability > maxAssignmentPercent) rejected.overAssignmentLimit++;
+      else if (!call.meetsLiquidity) rejected.illiquid++;
+      else if (premium > 0) {
+        const weeklyIncome = premium * 100 * 7 / Math.max(1, call.daysToExpiry); // Per contract
+        eligible.push({ ...call, expiration: exp.expiration, weeklyIncome, probability: probability / 100 });
+      }
+    }
+  }
+  eligible.sort((a, b) => a.probability - b.probability || b.weeklyIncome - a.weeklyIncome);
+  const frontier = [];
+  for (const call of eligible) {
+    if (!frontier.length || call.weeklyIncome > frontier[frontier.length - 1].weeklyIncome) frontier.push(call);
+  }
+  return { frontier, rejected };
+}
+
+// Chooses how many covered calls to write on which contract for each holding: one line per name, at
+// most one contract per 100 shares. Starting from no calls, each step takes the move that adds the most
+// weekly income per unit of expected assignment (opening a name, or moving it to a richer strike or
+// expiration), until the income target is met or no move fits the expected-assignment budget.
+// Contract metrics are those of /api/options-weeks (lib/optionsWeeks.js); a symbol that fails to
+// load or has nothing eligible is reported in `skipped`.
+async function planPortfolio(provider, holdings, {
+  incomeTarget = PLAN_DEFAULTS.incomeTarget,
+  maxExpectedAssignments = PLAN_DEFAULTS.maxExpectedAssignments,
+  maxAssignmentPercent = PLAN_DEFAULTS.maxAssignmentPercent,
+  settings = DEFAULT_SETTINGS,
+  calendar = null,
+  concurrency = SCAN_CONCURRENCY,
+} = {}) {
+  const skipped = [];
+  const writable = holdings.filter(h => {
+    if (h.shares >= 100) return true;
+    skipped.push({ symbol: h.symbol, reason: 'Fewer than 100 shares' });
+    return false;
+  });
+
+  const analyses = await mapWithConcurrency(writable, concurrency, async (holding) => {
+    try {
+      return { holding, analysis: await analyzeSymbol(provider, holding.symbol, { optionType: 'call', settings, calendar }) };
+    } catch (err) {
+      return { holding, error: err?.message || 'Analysis failed' };
+    }
+  });
+
+  const names = [];
+  const analyzed = [];
+  for (const { holding, analysis, error } of analyses) {
+    if (error) {
+      skipped.push({ symbol: holding.symbol, reason: error });
+      continue;
+    }
+    analyzed.push(analysis);
+    const { frontier, rejected } = callFrontier(holding, analysis, { maxAssignmentPercent });
+    if (!frontier.length) {
+      skipped.push({ symbol: holding.symbol, reason: `No eligible calls (${rejected.belowCostBasis} below cost basis, ${rejected.overAssignmentLimit} over the assignment limit, ${rejected.illiquid} illiquid)` });
+      continue;
+    }
+    names.push({ holding, currentPrice: analysis.currentPrice, frontier, level: -1, contracts: 0, maxContracts: Math.floor(holding.shares / 100) });
+  }
+
+  const EPSILON = 1e-9;
+  let weeklyIncome = 0;
+  let expectedAssignments = 0;
+  while (incomeTarget === null || weeklyIncome < incomeTarget) {
+    let best = null;
+    for (const name of names) {
+      const current = name.level >= 0 ? name.frontier[name.level] : { weeklyIncome: 0, probability: 0 };
+      for (let level = name.level + 1; level < name.frontier.length; level++) {
+        const call = name.frontier[level];
+        let contracts = name.contracts;
+        if (name.level < 0) {
+          // A new line: as many contracts as the shares, the remaining budget and the target call for
+          const withinBudget = call.probability > 0 ? Math.floor((maxExpectedAssignments - expectedAssignments) / call.probability + EPSILON) : Infinity;
+          const toTarget = incomeTarget === null ? Infinity : Math.ceil((incomeTarget - weeklyIncome) / call.weeklyIncome - EPSILON);
+          contracts = Math.min(name.maxContracts, withinBudget, toTarget);
+          if (contracts <= 0) continue;
+        }
+        const addedIncome = (call.weeklyIncome - current.weeklyIncome) * contracts;
+        const addedAssignments = (call.probability - current.probability) * contracts;
+        if (expectedAssignments + addedAssignments > maxExpectedAssignments + EPSILON) continue;
+        const ratio = addedIncome / Math.max(addedAssignments, EPSILON);
+        if (!best || ratio > best.ratio || (ratio === best.ratio && addedIncome > best.addedIncome)) {
+          best = { name, level, contracts, ratio, addedIncome, addedAssignments };
+        }
+      }
+    }
+    if (!best) break;
+    best.name.level = best.level;
+    best.name.contracts = best.contracts;
+    weeklyIncome += best.addedIncome;
+    expectedAssignments += best.addedAssignments;
+  }
+
+  const lines = names.filter(n => n.level >= 0).map(n => ({ ...n, call: n.frontier[n.level] }));
+  const plan = lines.map(({ holding, currentPrice, call, contracts }) => ({
+    symbol: holding.symbol,
+    shares: holding.shares,
+    costBasis: money(holding.costBasis),
+    currentPrice,
+    contracts,
+    sharesCovered: contracts * 100,
+    contractSymbol: call.contractSymbol,
+    expiration: call.expiration,
+    daysToExpiry: call.daysToExpiry,
+    strike: call.strike,
+    premium: call.premium,
+    income: money(parseFloat(call.premium) * 100 * contracts),
+    weeklyIncome: money(call.weeklyIncome * contracts),
+    returnPercent: call.returnPercent,
+    assignmentProbabilityEnhanced: call.assignmentProbabilityEnhanced,
+    expectedAssignments: Number((call.probability * contracts).toFixed(3)),
+    gainIfCalled: money((call.strike - holding.costBasis) * 100 * contracts), // Never negative: strike >= cost basis
+    liquidityScore: call.liquidityScore,
+  })).sort((a, b) => b.weeklyIncome - a.weeklyIncome);
+
+  const { asOf, cached } = analyzed.reduce((acc, analysis) => ({
+    asOf: acc.asOf === null ? analysis.asOf : Math.min(acc.asOf, analysis.asOf),
+    cached: acc.cached || analysis.cached,
+  }), { asOf: null, cached: false });
+
+  return {
+    plan,
+    skipped,
+    totals: {
+      contracts: plan.reduce((sum, line) => sum + line.contracts, 0),
+      income: money(plan.reduce((sum, line) => sum + line.income, 0)),
+      weeklyIncome: money(weeklyIncome),
+      expectedAssignments: Number(expectedAssignments.toFixed(3)),
+      incomeTarget,
+      targetMet: incomeTarget === null ? null : weeklyIncome >= incomeTarget - 0.005,
+      shortfall: incomeTarget === null ? null : money(Math.max(0, incomeTarget - weeklyIncome)),
+    },
+    limits: { maxExpectedAssignments, maxAssignmentPercent },
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+  };
+}
+
+// Planner parameters from a request body. Returns { options, errors }; options is null when any is invalid.
+function validatePlanOptions(input = {}) {
+  const errors = [];
+  const options = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null && input[field] !== '';
+  const number = (field, { min, max }) => {
+    if (!has(field)) return;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < min || value > max) errors.push(`${field} must be a number between ${min} and ${max}`);
+    else options[field] = value;
+  };
+
+  number('incomeTarget', { min: 0.01, max: 10000000 });
+  number('maxExpectedAssignments', { min: 0, max: 10000 });
+  number('maxAssignmentPercent', { min: 0, max: 100 });
+  return { options: errors.length ? null : options, errors };
+}
+
+module.exports = {
+  PLAN_DEFAULTS,
+  planPortfolio,
+  validatePlanOptions,
+};
@@ -0,0 +1,34 @@
+const { parseScreeningQuery } = require('../screeningParams');
+const { profileSettings } = require('../accounts/profile');
+const { parseHoldings } = require('./holdings');
+const { planPortfolio, validatePlanOptions } = require('./planner');
+const { chargeRequest } = require('../accounts/routes');
+const { requestCost } = require('../accounts/rateLimit');
+
+// Covered-call planning across share holdings. A signed-in user's holdings live in their profile
+// (lib/accounts/profile.js), which the plan uses when the request brings none; /api/positions only
+// tracks the options written against them. `provider` is the chains provider and `calendar` the event
+// calendar (lib/events.js) used to honour settings.avoidEvents.
+function registerPortfolioRoutes(app, { provider, calendar }) {
+  // Body: { holdings?: [{ symbol, shares, costBasis }] | csv?: '...' (default: the profile's holdings),
+  // incomeTarget?, maxExpectedAssignments?, maxAssignmentPercent?, settings?: { ...screening params } }
+  app.post('/api/plan', async (req, res) => {
+    const body = req.body || {};
+    const { options, errors } = validatePlanOptions(body);
+    if (!options) return res.status(400).json({ error: 'Invalid plan parameters', details: errors.join('; ') });
+    const { settings, errors: screeningErrors } = parseScreeningQuery(body.settings || {}, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: screeningErrors.join('; ') });
+    try {
+      const holdings = parseHoldings(typeof body.csv === 'string' ? body.csv : body.holdings ?? req.user?.profile.holdings);
+      if (!chargeRequest(req, res, requestCost(holdings.length, settings.expirationCount))) return;
+      res.json(await planPortfolio(provider, holdings, { ...options, settings, calendar }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to build plan', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  registerPortfolioRoutes,
+};
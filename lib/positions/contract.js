@@ -0,0 +1,32 @@
+const { parseOccSymbol } = require('../occ');
+const { httpError } = require('../httpError');
+const { DAY_MS, toDateString } = require('../dates');
+
+// Finds `date` among the expirations listed for `symbol`. Providers date expirations at midnight UTC
+// of the expiry day and the contracts trade through that day, so an expiration is live until the next
+// midnight (400 after that). Resolves to { expiration, expirations } (ascending); a date that is not
+// listed is used as given, or answers 404 with `listedOnly`.
+async function findExpiration(provider, symbol, date, { now = Date.now(), tracker, listedOnly = false } = {}) {
+  const expirations = (await provider.getExpirations(symbol, tracker)).slice().sort((a, b) => a - b);
+  const listed = expirations.find(exp => toDateString(exp) === toDateString(date));
+  if (!listed && listedOnly) throw httpError(`${symbol} has no ${toDateString(date)} expiration`, 404);
+  const expiration = listed || new Date(date);
+  if (expiration.getTime() + DAY_MS <= now) throw httpError(`${symbol} ${toDateString(expiration)} has expired`, 400);
+  return { expiration, expirations };
+}
+
+// Looks up a contract by OCC symbol (400 when it is not one): its expiration as findExpiration finds
+// it, that expiration's chain and `raw`, the chain's row for the strike (null when it is not listed)
+async function resolveContract(provider, contractSymbol, { now = Date.now(), tracker } = {}) {
+  const contract = parseOccSymbol(contractSymbol);
+  if (!contract) throw httpError('contractSymbol must be an OCC option symbol (e.g. AAPL250606C00200000)', 400);
+  const { expiration, expirations } = await findExpiration(provider, contract.symbol, contract.expiration, { now, tracker });
+  const chain = await provider.getChain(contract.symbol, expiration, tracker);
+  const raw = ((contract.optionType === 'call' ? chain?.calls : chain?.puts) || []).find(c => c.strike === contract.strike) || null;
+  return { contract, expiration, expirations, chain, raw };
+}
+
+module.exports = {
+  findExpiration,
+  resolveContract,
+};
@@ -0,0 +1,119 @@
+const bs = require('../blackScholes');
+const { DEFAULT_SETTINGS, createOptionMapper } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { httpError } = require('../httpError');
+const { createFetchTracker } = require('../providers/cache');
+const { DAY_MS, toDateString } = require('../dates');
+const { resolveContract } = require('./contract');
+
+const PRICE_POINTS = 81; // Underlying prices per curve
+const SCENARIO_MOVES = [-15, -10, -7.5, -5, -2.5, 0, 2.5, 5, 7.5, 10, 15]; // Underlying move, %
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Payoff of selling the contract against `shares`: a covered call (long shares bought at costBasis,
+// short calls) or a cash-secured put. The premium is the options-weeks fill price. Curves give the
+// P&L across underlying prices at expiry and, from Black-Scholes at the contract's volatility, today
+// and at intermediate dates; the scenario grid crosses underlying moves with days passed.
+async function analyzePayoff(provider, contractSymbol, { shares = 100, costBasis = null, settings = DEFAULT_SETTINGS, now = Date.now() } = {}) {
+  const tracker = createFetchTracker();
+  const { contract, expiration, raw } = await resolveContract(provider, contractSymbol, { now, tracker });
+  const { symbol, optionType, strike } = contract;
+
+  const quote = await provider.getQuote(symbol, tracker);
+  const underlyingPrice = quote?.regularMarketPrice;
+  if (!underlyingPrice || !Number.isFinite(underlyingPrice)) throw httpError('Unable to get current stock price', 400);
+  if (!raw || !((raw.bid > 0 && raw.ask > 0) || raw.lastPrice > 0)) throw httpError(`${String(contractSymbol).toUpperCase()} is not quoted`, 404);
+
+  const metrics = createOptionMapper({ currentPrice: underlyingPrice, expiration, optionType, settings, now })(raw);
+  const premium = parseFloat(metrics.premium);
+  const volatility = metrics.volatilityUsed;
+  const basis = costBasis ?? underlyingPrice;
+  const daysToExpiry = Math.max(0, (expiration.getTime() - now) / DAY_MS);
+
+  // P&L per share with `daysPassed` days gone, the option valued by Black-Scholes on what is left
+  const optionValue = (price, daysPassed) => {
+    const timeLeft = Math.max(0, daysToExpiry - daysPassed) / 365;
+    return timeLeft > 0
+      ? bs.optionPrice(price, strike, timeLeft, settings.riskFreeRate, volatility, optionType)
+      : Math.max(0, optionType === 'call' ? price - strike : strike - price);
+  };
+  const pnlPerShare = (price, daysPassed) => (optionType === 'call' ? price - basis : 0) + premium - optionValue(price, daysPassed);
+
+  // Price axis: at least +/-20%, or 3 standard deviations to expiry, wide enough to show the strike
+  const halfWidth = Math.max(0.2, 3 * volatility * Math.sqrt(daysToExpiry / 365), 1.1 * Math.abs(strike / underlyingPrice - 1));
+  const low = underlyingPrice * Math.max(0.01, 1 - halfWidth);
+  const high = underlyingPrice * (1 + halfWidth);
+  const prices = Array.from({ length: PRICE_POINTS }, (_, i) => round(low + (high - low) * i / (PRICE_POINTS - 1)));
+
+  const wholeDays = Math.floor(daysToExpiry);
+  const curveDays = [...new Set([0, Math.round(wholeDays / 3), Math.round(2 * wholeDays / 3)])].filter(d => d < daysToExpiry);
+  const curves = [
+    ...curveDays.map(daysPassed => ({
+      label: daysPassed === 0 ? 'Today' : `In ${daysPassed}d`,
+      date: toDateString(now + daysPassed * DAY_MS),
+      daysPassed,
+      points: prices.map(price => ({ price, pnl: round(pnlPerShare(price, daysPassed) * shares) })),
+    })),
+    {
+      label: 'Expiry',
+      date: toDateString(expiration),
+      daysPassed: round(daysToExpiry, 1),
+      points: prices.map(price => ({ price, pnl: round(pnlPerShare(price, daysToExpiry) * shares) })),
+    },
+  ];
+
+  const scenarioDays = [...new Set([0, Math.round(wholeDays / 4), Math.round(wholeDays / 2), Math.round(3 * wholeDays / 4), wholeDays])];
+  const scenarios = {
+    moves: SCENARIO_MOVES,
+    days: scenarioDays,
+    // pnl[i][j]: total P&L for moves[i] after days[j]
+    pnl: SCENARIO_MOVES.map(move => scenarioDays.map(daysPassed => round(pnlPerShare(underlyingPrice * (1 + move / 100), daysPassed) * shares))),
+  };
+
+  // Covered call: capital is the shares at cost; profit is capped at the strike and the downside is the stock.
+  // Cash-secured put: capital is the strike; profit is the premium and the downside is assignment at the strike.
+  const capital = optionType === 'call' ? basis : strike;
+  const breakeven = optionType === 'call' ? basis - premium : strike - premium;
+  const maxProfit = optionType === 'call' ? strike - basis + premium : premium;
+  const maxLoss = breakeven; // Underlying to zero
+  const staticReturn = pnlPerShare(underlyingPrice, daysToExpiry) / capital; // Underlying unchanged at expiry
+  const ifCalledReturn = optionType === 'call' ? (strike - basis + premium) / capital : null;
+  const annualize = (fraction) => (daysToExpiry > 0 ? round(fraction * 365 / daysToExpiry * 100, 1) : null);
+
+  const { asOf, cached } = tracker.summary();
+  return {
+    contractSymbol: String(contractSymbol).toUpperCase().replace(/\s+/g, ''),
+    symbol,
+    optionType,
+    strategy: optionType === 'call' ? 'covered-call' : 'cash-secured-put',
+    strike,
+    expiration: Math.floor(expiration.getTime() / 1000),
+    underlyingPrice,
+    costBasis: round(basis),
+    shares,
+    contracts: shares / 100,
+    premium,
+    premiumTotal: round(premium * shares),
+    volatility: round(volatility, 4),
+    volatilitySource: metrics.volatilitySource,
+    daysToExpiry: Math.round(daysToExpiry),
+    breakeven: round(breakeven),
+    maxProfit: round(maxProfit * shares),
+    maxLoss: round(maxLoss * shares),
+    capital: round(capital * shares),
+    staticReturnPercent: round(staticReturn * 100, 3),
+    staticReturnAnnualizedPercent: annualize(staticReturn),
+    ifCalledReturnPercent: ifCalledReturn !== null ? round(ifCalledReturn * 100, 3) : null,
+    ifCalledReturnAnnualizedPercent: ifCalledReturn !== null ? annualize(ifCalledReturn) : null,
+    curves,
+    scenarios,
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+  };
+}
+
+module.exports = {
+  analyzePayoff,
+};
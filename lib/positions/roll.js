@@ -0,0 +1,131 @@
+const bs = require('../blackScholes');
+const { DEFAULT_SETTINGS, createOptionMapper, calculateReturnRiskScore } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { httpError } = require('../httpError');
+const { createFetchTracker } = require('../providers/cache');
+const { DAY_MS, YEAR_MS } = require('../dates');
+const { resolveContract } = require('./contract');
+
+const DEFAULT_ROLL_MAX_DAYS = 60;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Mid, then last, as the mark for a contract; null when it is not quoted. `fillSpreadFraction` of the
+// spread is added to the mid: what buying it back is likely to cost.
+function quotedPrice(o, fillSpreadFraction = 0) {
+  if (o?.bid > 0 && o?.ask > 0) return { price: (o.bid + o.ask) / 2 + fillSpreadFraction * (o.ask - o.bid), source: 'mid' };
+  if (o?.lastPrice > 0) return { price: o.lastPrice, source: 'last' };
+  return null;
+}
+
+// Compares rolling a short option to every later expiration (within maxDays) at the same or a
+// further OTM strike: higher for calls, lower for puts. Both legs are priced at a realistic fill,
+// settings.fillSpreadFraction of the spread away from the mid like the options-weeks premium.
+// Candidates are ranked by the goal-score return/risk ratio on the net credit, scaled for liquidity.
+async function analyzeRoll(provider, contractSymbol, { contracts = 1, maxDays = DEFAULT_ROLL_MAX_DAYS, settings = DEFAULT_SETTINGS, now = Date.now() } = {}) {
+  const tracker = createFetchTracker();
+  const { contract, expiration: current, expirations, raw: listed } = await resolveContract(provider, contractSymbol, { now, tracker });
+  const { symbol, optionType, strike } = contract;
+  const raw = listed || { contractSymbol, strike };
+
+  const quote = await provider.getQuote(symbol, tracker);
+  const underlyingPrice = quote?.regularMarketPrice;
+  if (!underlyingPrice || !Number.isFinite(underlyingPrice)) throw httpError('Unable to get current stock price', 400);
+  const mapCurrent = createOptionMapper({ currentPrice: underlyingPrice, expiration: current, optionType, settings, now });
+
+  // Buy-to-close above the mid (or at the last); unquoted contracts fall back to the model
+  let close = quotedPrice(raw, settings.fillSpreadFraction);
+  if (!close) {
+    const timeToExpiry = Math.max(0, current.getTime() - now) / YEAR_MS;
+    const volatility = raw.impliedVolatility || settings.defaultVolatility;
+    close = { price: bs.optionPrice(underlyingPrice, strike, timeToExpiry, settings.riskFreeRate, volatility, optionType), source: 'model' };
+  }
+  close.price = round(close.price); // Quoted in cents, like the premiums it is netted against
+  const currentMetrics = mapCurrent({ ...raw, lastPrice: raw.lastPrice || close.price });
+  const currentDays = Math.max(0, (current.getTime() - now) / DAY_MS);
+
+  const later = expirations.filter(exp => exp > current && exp.getTime() - now <= maxDays * DAY_MS);
+  const chains = await Promise.all(later.map(exp => provider.getChain(symbol, exp, tracker)));
+  const multiplier = contracts * 100;
+
+  const candidates = [];
+  later.forEach((expiration, i) => {
+    const options = (optionType === 'call' ? chains[i]?.calls : chains[i]?.puts) || [];
+    const mapOption = createOptionMapper({ currentPrice: underlyingPrice, expiration, optionType, settings, now });
+    for (const o of options) {
+      if (optionType === 'call' ? o.strike < strike : o.strike > strike) continue;
+      if (!quotedPrice(o)) continue;
+
+      const metrics = mapOption(o);
+      const premium = parseFloat(metrics.premium);
+      const netCredit = premium - close.price; // Per share; negative is a debit
+      const daysAdded = (expiration.getTime() - now) / DAY_MS - currentDays;
+      // Capital at work as in the options-weeks return: shares for calls, collateral (new strike) for puts
+      const netReturn = netCredit / (optionType === 'put' ? o.strike : underlyingPrice);
+      const rollScore = calculateReturnRiskScore(netReturn, parseFloat(metrics.assignmentProbabilityEnhanced), settings, metrics.liquidityScore);
+
+      candidates.push({
+        contractSymbol: metrics.contractSymbol,
+        expiration: Math.floor(expiration.getTime() / 1000),
+        strike: o.strike,
+        bid: o.bid,
+        ask: o.ask,
+        volume: o.volume,
+        openInterest: o.openInterest,
+        premium: metrics.premium,
+        spreadPercent: metrics.spreadPercent,
+        liquidityScore: metrics.liquidityScore,
+        meetsLiquidity: metrics.meetsLiquidity,
+        netCredit: round(netCredit),
+        netCreditTotal: round(netCredit * multiplier),
+        isCredit: netCredit > 0,
+        daysToExpiry: metrics.daysToExpiry,
+        daysAdded: Math.round(daysAdded),
+        otmPercent: metrics.otmPercent,
+        assignmentProbability: metrics.assignmentProbability,
+        assignmentProbabilityEnhanced: metrics.assignmentProbabilityEnhanced,
+        delta: metrics.delta,
+        volatilitySource: metrics.volatilitySource,
+        returnPercent: round(netReturn * 100, 3), // Net credit as % of capital
+        annualizedReturnPercent: daysAdded > 0 ? round(netReturn * 365 / daysAdded * 100, 1) : null,
+        rollScore: round(rollScore, 3),
+      });
+    }
+  });
+
+  // Best score first; debits score below every credit
+  candidates.sort((a, b) => b.rollScore - a.rollScore);
+
+  const { asOf, cached } = tracker.summary();
+  return {
+    contractSymbol: String(contractSymbol).toUpperCase().replace(/\s+/g, ''),
+    symbol,
+    optionType,
+    strike,
+    expiration: Math.floor(current.getTime() / 1000),
+    underlyingPrice,
+    contracts,
+    daysToExpiry: Math.round(currentDays),
+    buyToClose: {
+      price: close.price,
+      source: close.source,
+      bid: raw.bid ?? null,
+      ask: raw.ask ?? null,
+      total: round(close.price * multiplier),
+      assignmentProbability: currentMetrics.assignmentProbability,
+      assignmentProbabilityEnhanced: currentMetrics.assignmentProbabilityEnhanced,
+    },
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+    // Matrix axes
+    expirations: later.filter((exp, i) => chains[i]).map(exp => Math.floor(exp.getTime() / 1000)),
+    strikes: [...new Set(candidates.map(c => c.strike))].sort((a, b) => (optionType === 'call' ? a - b : b - a)),
+    candidates,
+  };
+}
+
+module.exports = {
+  DEFAULT_ROLL_MAX_DAYS,
+  analyzeRoll,
+};
@@ -0,0 +1,79 @@
+const { mapWithConcurrency } = require('../scan');
+const { ownerOf, isOwnedBy } = require('../accounts/owner');
+const { MAX_POSITIONS, validatePosition, revaluePosition } = require('./valuation');
+
+const REVALUE_CONCURRENCY = 4;
+
+// CRUD for the caller's open short options (lib/accounts/owner.js); every read revalues against current
+// market data. `positions` is a JSON collection (lib/jsonStore.js), `provider` the chains provider.
+function registerPositionRoutes(app, { positions, provider }) {
+  // The position when the caller owns it, else null (answered as not found)
+  async function ownPosition(req) {
+    const position = await positions.get(req.params.id);
+    return isOwnedBy(position, ownerOf(req)) ? position : null;
+  }
+
+  async function withValuation(position) {
+    try {
+      return { ...position, valuation: await revaluePosition(position, provider), valuationError: null };
+    } catch (err) {
+      return { ...position, valuation: null, valuationError: err?.message || 'Revaluation failed' };
+    }
+  }
+
+  app.get('/api/positions', async (req, res) => {
+    try {
+      const owned = (await positions.list()).filter(p => isOwnedBy(p, ownerOf(req)));
+      res.json({ positions: await mapWithConcurrency(owned, REVALUE_CONCURRENCY, withValuation) });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load positions', details: err?.message });
+    }
+  });
+
+  app.get('/api/positions/:id', async (req, res) => {
+    try {
+      const position = await ownPosition(req);
+      if (!position) return res.status(404).json({ error: 'Position not found' });
+      res.json(await withValuation(position));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load position', details: err?.message });
+    }
+  });
+
+  app.post('/api/positions', async (req, res) => {
+    const { position, errors } = validatePosition(req.body || {});
+    if (!position) return res.status(400).json({ error: 'Invalid position', details: errors.join('; ') });
+    try {
+      const owned = (await positions.list()).filter(p => isOwnedBy(p, ownerOf(req)));
+      if (owned.length >= MAX_POSITIONS) return res.status(409).json({ error: `At most ${MAX_POSITIONS} positions per user; delete one first` });
+      res.status(201).json(await withValuation(await positions.insert({ ...position, userId: ownerOf(req) })));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to save position', details: err?.message });
+    }
+  });
+
+  app.put('/api/positions/:id', async (req, res) => {
+    const { position, errors } = validatePosition(req.body || {}, { partial: true });
+    if (!position) return res.status(400).json({ error: 'Invalid position', details: errors.join('; ') });
+    try {
+      const updated = (await ownPosition(req)) && (await positions.update(req.params.id, position));
+      if (!updated) return res.status(404).json({ error: 'Position not found' });
+      res.json(await withValuation(updated));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to save position', details: err?.message });
+    }
+  });
+
+  app.delete('/api/positions/:id', async (req, res) => {
+    try {
+      if (!(await ownPosition(req)) || !(await positions.remove(req.params.id))) return res.status(404).json({ error: 'Position not found' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to delete position', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  registerPositionRoutes,
+};
@@ -0,0 +1,152 @@
+const bs = require('../blackScholes');
+const { DEFAULT_SETTINGS, createOptionMapper } = require('../analytics');
+const { parseOccSymbol } = require('../occ');
+const { resolveContract } = require('./contract');
+const { DAY_MS, YEAR_MS, toDateString } = require('../dates');
+
+// When to suggest closing or managing an open short option
+const POSITION_RULES = Object.freeze({
+  closeAtProfitPercent: 80, // Share of max profit captured
+  assignmentRiskPercent: 50, // Enhanced assignment probability
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_POSITIONS = 100; // Per user (and for the anonymous positions together); every read revalues them all
+
+// Validates a position payload. With `partial`, only the fields present are checked (for updates).
+// Returns { position, errors }; position holds the stored fields plus those derived from the OCC symbol.
+function validatePosition(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const position = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null && input[field] !== '';
+
+  if (has('contractSymbol') || !partial) {
+    const contract = parseOccSymbol(input.contractSymbol);
+    if (!contract) {
+      errors.push('contractSymbol must be an OCC option symbol (e.g. AAPL250606C00200000)');
+    } else {
+      Object.assign(position, {
+        contractSymbol: String(input.contractSymbol).toUpperCase().replace(/\s+/g, ''),
+        symbol: contract.symbol,
+        optionType: contract.optionType,
+        strike: contract.strike,
+        expiration: toDateString(contract.expiration),
+      });
+    }
+  }
+
+  if (has('sharesCovered') || !partial) {
+    const shares = Number(input.sharesCovered);
+    if (!Number.isInteger(shares) || shares <= 0 || shares % 100 !== 0) {
+      errors.push('sharesCovered must be a positive multiple of 100');
+    } else {
+      position.sharesCovered = shares;
+    }
+  }
+
+  if (has('fillPrice') || !partial) {
+    const fillPrice = Number(input.fillPrice);
+    if (!Number.isFinite(fillPrice) || fillPrice <= 0) {
+      errors.push('fillPrice must be a positive premium per share');
+    } else {
+      position.fillPrice = fillPrice;
+    }
+  }
+
+  if (has('openDate')) {
+    const openDate = String(input.openDate);
+    if (!DATE_PATTERN.test(openDate) || Number.isNaN(Date.parse(openDate))) {
+      errors.push('openDate must be a YYYY-MM-DD date');
+    } else {
+      position.openDate = openDate;
+    }
+  } else if (!partial) {
+    position.openDate = toDateString(Date.now());
+  }
+
+  if (has('notes')) position.notes = String(input.notes).slice(0, 500);
+
+  return { position: errors.length ? null : position, errors };
+}
+
+// Revalues an open short option with the same pricing and assignment-probability code as
+// /api/options-weeks, and works out P&L, profit captured and management flags.
+async function revaluePosition(position, provider, { settings = DEFAULT_SETTINGS, rules = POSITION_RULES, now = Date.now() } = {}) {
+  const { symbol, optionType, strike, contractSymbol } = position;
+  const contracts = position.sharesCovered / 100;
+  const multiplier = contracts * 100;
+
+  const quote = await provider.getQuote(symbol);
+  const underlyingPrice = quote?.regularMarketPrice;
+  if (!underlyingPrice || !Number.isFinite(underlyingPrice)) throw new Error(`Unable to get current price for ${symbol}`);
+
+  // Providers date expirations at midnight UTC of the expiry day, like the options-weeks analysis;
+  // a live contract is looked up the way every other contract route does (lib/positions/contract.js)
+  let expiration = new Date(`${position.expiration}T00:00:00.000Z`);
+  const expired = expiration.getTime() + DAY_MS <= now;
+
+  let raw = null;
+  if (!expired) ({ expiration, raw } = await resolveContract(provider, contractSymbol, { now }));
+
+  let markSource;
+  if (expired) {
+    const intrinsic = optionType === 'call' ? Math.max(0, underlyingPrice - strike) : Math.max(0, strike - underlyingPrice);
+    raw = { contractSymbol, strike, lastPrice: intrinsic };
+    markSource = 'intrinsic';
+  } else if (!raw || !((raw.bid && raw.ask) || raw.lastPrice)) {
+    // Not quoted: fall back to the model at the vendor IV (if any) or the default volatility
+    const timeToExpiry = (expiration.getTime() - now) / YEAR_MS;
+    const volatility = raw?.impliedVolatility || settings.defaultVolatility;
+    raw = { ...raw, contractSymbol, strike, bid: 0, ask: 0, lastPrice: bs.optionPrice(underlyingPrice, strike, timeToExpiry, settings.riskFreeRate, volatility, optionType) };
+    markSource = 'model';
+  } else {
+    markSource = raw.bid && raw.ask ? 'mid' : 'last';
+  }
+
+  const metrics = createOptionMapper({ currentPrice: underlyingPrice, expiration, optionType, settings, now })(raw);
+  const mark = raw.bid && raw.ask ? (raw.bid + raw.ask) / 2 : (raw.lastPrice || 0);
+
+  const maxProfit = position.fillPrice * multiplier;
+  const pnl = (position.fillPrice - mark) * multiplier;
+  const profitCapturedPercent = (position.fillPrice - mark) / position.fillPrice * 100;
+  const inTheMoney = optionType === 'call' ? underlyingPrice > strike : underlyingPrice < strike;
+  const assignmentProbabilityEnhanced = expired ? (inTheMoney ? 100 : 0) : parseFloat(metrics.assignmentProbabilityEnhanced);
+
+  const closeAtProfit = !expired && profitCapturedPercent >= rules.closeAtProfitPercent;
+  const atRiskOfAssignment = !expired && (inTheMoney || assignmentProbabilityEnhanced >= rules.assignmentRiskPercent);
+
+  const suggestions = [];
+  if (expired) suggestions.push(inTheMoney ? 'Expired in the money: expect assignment' : 'Expired worthless: remove the position');
+  if (closeAtProfit) suggestions.push(`Close: ${profitCapturedPercent.toFixed(0)}% of max profit captured (target ${rules.closeAtProfitPercent}%)`);
+  if (atRiskOfAssignment) {
+    suggestions.push(inTheMoney
+      ? `At risk of assignment: ${symbol} is through the $${strike} strike, consider rolling out${optionType === 'call' ? ' and up' : ' and down'}`
+      : `At risk of assignment: ${assignmentProbabilityEnhanced.toFixed(1)}% enhanced probability, consider rolling`);
+  }
+
+  return {
+    underlyingPrice,
+    mark: Number(mark.toFixed(2)),
+    markSource,
+    contracts,
+    pnl: Number(pnl.toFixed(2)),
+    maxProfit: Number(maxProfit.toFixed(2)),
+    profitCapturedPercent: Number(profitCapturedPercent.toFixed(1)),
+    daysToExpiry: Math.max(0, metrics.daysToExpiry),
+    inTheMoney,
+    assignmentProbability: expired ? (inTheMoney ? '100.0' : '0.0') : metrics.assignmentProbability,
+    assignmentProbabilityEnhanced: assignmentProbabilityEnhanced.toFixed(1),
+    delta: metrics.delta,
+    theta: metrics.theta,
+    volatilitySource: metrics.volatilitySource,
+    flags: { closeAtProfit, atRiskOfAssignment, expired },
+    suggestions,
+  };
+}
+
+module.exports = {
+  MAX_POSITIONS,
+  POSITION_RULES,
+  validatePosition,
+  revaluePosition,
+};
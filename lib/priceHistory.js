@@ -0,0 +1,37 @@
+const { httpError } = require('./httpError');
+
+// Daily bars from CSV: Stooq's daily history (Date,Open,High,Low,Close,Volume) or any CSV with
+// Date and Close columns (comma or semicolon separated; Yahoo's "Adj Close" is ignored in favor of Close).
+// Returns [{ date: 'YYYY-MM-DD', open, high, low, close, volume }] oldest first, one bar per date.
+function parsePriceHistory(text) {
+  const lines = String(text || '').trim().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) throw httpError('Price history needs a header row and at least one bar', 400);
+
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const headers = lines[0].split(delimiter).map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+  const column = (name) => headers.indexOf(name);
+  const dateIndex = column('date');
+  const closeIndex = column('close');
+  if (dateIndex === -1 || closeIndex === -1) throw httpError('Price history must have Date and Close columns', 400);
+
+  const byDate = new Map();
+  for (const line of lines.slice(1)) {
+    const values = line.split(delimiter).map(v => v.trim().replace(/^"|"$/g, ''));
+    const date = values[dateIndex];
+    const close = Number(values[closeIndex]);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !(close > 0)) continue; // Skips "null" rows and footers
+    const number = (name) => {
+      const value = Number(values[column(name)]);
+      return column(name) !== -1 && Number.isFinite(value) ? value : null;
+    };
+    byDate.set(date, { date, open: number('open'), high: number('high'), low: number('low'), close, volume: number('volume') });
+  }
+
+  const bars = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+  if (!bars.length) throw httpError('Price history has no valid rows', 400);
+  return bars;
+}
+
+module.exports = {
+  parsePriceHistory,
+};
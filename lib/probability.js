@@ -0,0 +1,69 @@
+const { normalCDF } = require('./blackScholes');
+
+// Path probabilities under the same lognormal model as Black-Scholes (drift r - sigma^2/2 in log price).
+// Parameter order follows lib/blackScholes.js.
+
+// Probability the price trades through the strike at any time before expiry (reflection principle).
+// 1 when the option is already in the money.
+function probabilityOfTouch(currentPrice, strikePrice, timeToExpiry, riskFreeRate, volatility, optionType = 'call') {
+  const S = currentPrice;
+  const K = strikePrice;
+  const T = timeToExpiry;
+  const sigma = volatility;
+  if (optionType === 'call' ? S >= K : S <= K) return 1;
+  if (!(T > 0) || !(sigma > 0)) return 0;
+
+  const barrier = Math.log(K / S); // Above zero for calls, below for puts
+  const drift = riskFreeRate - 0.5 * sigma * sigma;
+  const sd = sigma * Math.sqrt(T);
+  const reflection = Math.exp(2 * drift * barrier / (sigma * sigma));
+  const probability = optionType === 'call'
+    ? normalCDF((drift * T - barrier) / sd) + reflection * normalCDF((-barrier - drift * T) / sd)
+    : normalCDF((barrier - drift * T) / sd) + reflection * normalCDF((barrier + drift * T) / sd);
+  return Math.min(1, Math.max(0, probability));
+}
+
+// One standard deviation move implied by a (typically ATM) volatility: spot * sigma * sqrt(T)
+function expectedMove(currentPrice, volatility, timeToExpiry) {
+  const amount = currentPrice * volatility * Math.sqrt(Math.max(0, timeToExpiry));
+  return {
+    amount,
+    percent: (amount / currentPrice) * 100,
+    low: currentPrice - amount,
+    high: currentPrice + amount,
+  };
+}
+
+// Deterministic uniform generator (mulberry32) so repeated requests report the same estimate
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Monte Carlo estimate of the chance the price finishes between `low` and `high` at expiry
+function simulateFinishWithin(currentPrice, timeToExpiry, riskFreeRate, volatility, low, high, { paths = 10000, seed = 1 } = {}) {
+  if (!(timeToExpiry > 0) || !(volatility > 0)) return currentPrice >= low && currentPrice <= high ? 1 : 0;
+  const random = createRandom(seed);
+  const drift = (riskFreeRate - 0.5 * volatility * volatility) * timeToExpiry;
+  const sd = volatility * Math.sqrt(timeToExpiry);
+  let inside = 0;
+  for (let i = 0; i < paths; i++) {
+    // Box-Muller
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    const finalPrice = currentPrice * Math.exp(drift + sd * z);
+    if (finalPrice >= low && finalPrice <= high) inside++;
+  }
+  return inside / paths;
+}
+
+module.exports = {
+  probabilityOfTouch,
+  expectedMove,
+  simulateFinishWithin,
+};
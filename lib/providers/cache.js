@@ -0,0 +1,116 @@
+// In-memory TTL cache with request coalescing around a market-data provider.
+// Entries live for `marketHoursTtlMs` during the US equity session and `afterHoursTtlMs` otherwise.
+// Concurrent identical requests share one in-flight fetch; failures are not cached. Expired entries are
+// swept whenever one is stored, and price histories are capped apart from quotes and chains.
+//
+// Callers can pass a fetch tracker (see createFetchTracker) as the last argument of any provider
+// method to learn when the data was fetched and whether it came from the cache.
+
+const DEFAULT_MARKET_HOURS_TTL_MS = 60 * 1000;
+const DEFAULT_AFTER_HOURS_TTL_MS = 15 * 60 * 1000;
+const MAX_ENTRIES = 2000;
+const MAX_HISTORY_ENTRIES = 50; // Years of daily bars each, so far fewer than quotes and chains
+
+const nyClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23',
+});
+
+// Regular session: Monday to Friday, 9:30 to 16:00 New York time (exchange holidays not modeled)
+function isMarketHours(now = Date.now()) {
+  const parts = Object.fromEntries(nyClock.formatToParts(new Date(now)).map(p => [p.type, p.value]));
+  if (parts.weekday === 'Sat' || parts.weekday === 'Sun') return false;
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return minutes >= 9 * 60 + 30 && minutes < 16 * 60;
+}
+
+// Collects { fetchedAt, cached } for every provider call made on behalf of one response
+function createFetchTracker() {
+  const fetches = [];
+  return {
+    record(fetchedAt, cached) {
+      fetches.push({ fetchedAt, cached });
+    },
+    // asOf is the oldest data used (unix seconds); cached is true if any of it came from the cache
+    summary(now = Date.now()) {
+      const oldest = fetches.length ? Math.min(...fetches.map(f => f.fetchedAt)) : now;
+      return { asOf: Math.floor(oldest / 1000), cached: fetches.some(f => f.cached) };
+    },
+  };
+}
+
+const isTracker = (value) => value && typeof value.record === 'function';
+
+function createCachingProvider(inner, { marketHoursTtlMs = DEFAULT_MARKET_HOURS_TTL_MS, afterHoursTtlMs = DEFAULT_AFTER_HOURS_TTL_MS, now = () => Date.now() } = {}) {
+  const entries = new Map(); // key -> { value, fetchedAt, expiresAt }
+  const history = new Map(); // getHistory results, capped on their own
+  const inflight = new Map(); // key -> Promise<{ value, fetchedAt }>
+
+  function ttl() {
+    return isMarketHours(now()) ? marketHoursTtlMs : afterHoursTtlMs;
+  }
+
+  // Drops expired entries before storing one, then the oldest beyond the cap
+  function store(map, max, key, entry) {
+    for (const [k, e] of map) if (e.expiresAt <= entry.fetchedAt) map.delete(k);
+    map.set(key, entry);
+    if (map.size > max) map.delete(map.keys().next().value);
+  }
+
+  async function cached(method, args) {
+    const tracker = isTracker(args[args.length - 1]) ? args.pop() : null;
+    const key = [method, ...args.map(a => (a instanceof Date ? a.getTime() : a))].join(':');
+    const map = method === 'getHistory' ? history : entries;
+
+    const entry = map.get(key);
+    if (entry && entry.expiresAt > now()) {
+      tracker?.record(entry.fetchedAt, true);
+      return entry.value;
+    }
+    if (entry) map.delete(key);
+
+    let pending = inflight.get(key);
+    if (!pending) {
+      pending = (async () => {
+        const value = await inner[method](...args);
+        const fetchedAt = now();
+        store(map, map === history ? MAX_HISTORY_ENTRIES : MAX_ENTRIES, key, { value, fetchedAt, expiresAt: fetchedAt + ttl() });
+        return { value, fetchedAt };
+      })();
+      inflight.set(key, pending);
+      pending.then(() => inflight.delete(key), () => inflight.delete(key));
+    }
+    const { value, fetchedAt } = await pending;
+    tracker?.record(fetchedAt, false);
+    return value;
+  }
+
+  return {
+    name: inner.name,
+    getQuote: (...args) => cached('getQuote', args),
+    getExpirations: (...args) => cached('getExpirations', args),
+    getChain: (...args) => cached('getChain', args),
+    getHistory: (...args) => cached('getHistory', args),
+    getEvents: (...args) => cached('getEvents', args),
+    // Entries held, expired ones included until the next store sweeps them
+    size() {
+      return entries.size + history.size;
+    },
+    clear() {
+      entries.clear();
+      history.clear();
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MARKET_HOURS_TTL_MS,
+  DEFAULT_AFTER_HOURS_TTL_MS,
+  MAX_HISTORY_ENTRIES,
+  isMarketHours,
+  createFetchTracker,
+  createCachingProvider,
+};
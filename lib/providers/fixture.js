@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('../httpError');
+const { formatOccSymbol } = require('../occ');
+const { parsePriceHistory } = require('../priceHistory');
+
+const MATCH_TOLERANCE_MS = 12 * 3600 * 1000;
+
+// Replays recorded market data from <dir>/<SYMBOL>.json:
+// { symbol, recordedAt, quote: {...}, chains: [{ expirationDate, hasMiniOptions, calls: [...], puts: [...] }],
+//   events?: { earnings: [date], exDividend: [{ date, amount }] } }
+// With shiftToNow (the default) every timestamp moves forward by (now - recordedAt), so a replay always
+// sees the same days-to-expiry the recording did; contract symbols are re-dated to match.
+// Daily price history comes from <dir>/<SYMBOL>.history.csv (Stooq format) and is never shifted.
+function createFixtureProvider({ dir, shiftToNow = true, now = () => Date.now() }) {
+  async function load(symbol) {
+    if (!/^[A-Z0-9.^-]+$/.test(symbol)) throw httpError(`No fixture for ${symbol}`, 404);
+    let raw;
+    try {
+      raw = await fs.promises.readFile(path.join(dir, `${symbol}.json`), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(`No fixture for ${symbol}`, 404);
+      throw err;
+    }
+    const fixture = JSON.parse(raw);
+    const shift = shiftToNow ? now() - Date.parse(fixture.recordedAt) : 0;
+    const chains = (fixture.chains || []).map(chain => {
+      const expirationDate = new Date(Date.parse(chain.expirationDate) + shift);
+      if (!shift) return { ...chain, expirationDate };
+      const redate = (optionType) => (o) => ({ ...o, contractSymbol: formatOccSymbol({ symbol, expiration: expirationDate, optionType, strike: o.strike }) });
+      return { ...chain, expirationDate, calls: (chain.calls || []).map(redate('call')), puts: (chain.puts || []).map(redate('put')) };
+    });
+    return { fixture, shift, chains };
+  }
+
+  return {
+    name: 'fixture',
+
+    async getQuote(symbol) {
+      const { fixture, shift } = await load(symbol);
+      return {
+        ...fixture.quote,
+        regularMarketTime: Math.floor((Date.parse(fixture.recordedAt) + shift) / 1000),
+      };
+    },
+
+    async getExpirations(symbol) {
+      const { chains } = await load(symbol);
+      return chains.map(chain => chain.expirationDate);
+    },
+
+    async getChain(symbol, expiration) {
+      const { chains } = await load(symbol);
+      // The shift moves with the clock between calls, so match within half a day (expirations are days apart)
+      return chains.find(chain => Math.abs(chain.expirationDate.getTime() - expiration.getTime()) < MATCH_TOLERANCE_MS) || null;
+    },
+
+    async getEvents(symbol) {
+      const { fixture, shift } = await load(symbol);
+      const shifted = (date) => new Date(Date.parse(date) + shift);
+      return {
+        earnings: (fixture.events?.earnings || []).map(shifted),
+        exDividend: (fixture.events?.exDividend || []).map(d => ({ ...d, date: shifted(d.date) })),
+      };
+    },
+
+    async getHistory(symbol) {
+      if (!/^[A-Z0-9.^-]+$/.test(symbol)) throw httpError(`No price history fixture for ${symbol}`, 404);
+      try {
+        return parsePriceHistory(await fs.promises.readFile(path.join(dir, `${symbol}.history.csv`), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw httpError(`No price history fixture for ${symbol}`, 404);
+        throw err;
+      }
+    },
+  };
+}
+
+// Captures a provider's current data for `symbol` in the fixture format above
+async function recordFixture(provider, symbol, { expirationCount = 4, now = Date.now() } = {}) {
+  const quote = await provider.getQuote(symbol);
+  const expirations = (await provider.getExpirations(symbol))
+    .filter(exp => exp.getTime() >= now)
+    .sort((a, b) => a.getTime() - b.getTime())
+    .slice(0, expirationCount);
+  const chains = [];
+  for (const expiration of expirations) {
+    const chain = await provider.getChain(symbol, expiration);
+    if (!chain) continue;
+    chains.push({
+      expirationDate: expiration.toISOString(),
+      hasMiniOptions: chain.hasMiniOptions || false,
+      calls: chain.calls || [],
+      puts: chain.puts || [],
+    });
+  }
+  const events = typeof provider.getEvents === 'function' ? await provider.getEvents(symbol).catch(() => null) : null;
+  return { symbol, recordedAt: new Date(now).toISOString(), quote, chains, ...(events ? { events } : {}) };
+}
+
+module.exports = {
+  createFixtureProvider,
+  recordFixture,
+};
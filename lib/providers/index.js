@@ -0,0 +1,57 @@
+const path = require('path');
+const { createYahooProvider } = require('./yahoo');
+const { createStooqProvider } = require('./stooq');
+const { createFixtureProvider } = require('./fixture');
+const { createCachingProvider, DEFAULT_MARKET_HOURS_TTL_MS, DEFAULT_AFTER_HOURS_TTL_MS } = require('./cache');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Every provider implements getQuote(symbol), getExpirations(symbol) -> Date[] and
+// getChain(symbol, expiration) -> { expirationDate, calls, puts } | null; history sources also
+// implement getHistory(symbol) -> daily bars, oldest first (see lib/priceHistory.js), and chain
+// sources may implement getEvents(symbol) -> earnings and ex-dividend dates (see lib/events.js).
+// The app uses three roles: `quotes` serves /api/quote, `chains` serves the options analysis
+// (including its own spot price) and `history` serves the backtests.
+//
+// MARKET_DATA_PROVIDER selects the source:
+//   live (default) - Stooq quotes and history, yahoo-finance2 chains
+//   yahoo          - yahoo-finance2 for everything
+//   fixture        - recorded JSON from MARKET_DATA_FIXTURES (default: ./fixtures);
+//                    set MARKET_DATA_FIXTURE_SHIFT=false to replay at the recorded dates
+//
+// Network providers are wrapped in an in-memory cache (lib/providers/cache.js) unless
+// MARKET_DATA_CACHE=off; CACHE_TTL_SECONDS and CACHE_TTL_AFTER_HOURS_SECONDS set its TTLs.
+function secondsToMs(value, fallbackMs) {
+  const seconds = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : fallbackMs;
+}
+
+function createProviders({ env = process.env, yf, http } = {}) {
+  const source = String(env.MARKET_DATA_PROVIDER || 'live').toLowerCase();
+
+  if (source === 'fixture') {
+    const fixtures = createFixtureProvider({
+      dir: env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURE_DIR,
+      shiftToNow: env.MARKET_DATA_FIXTURE_SHIFT !== 'false',
+    });
+    return { quotes: fixtures, chains: fixtures, history: fixtures };
+  }
+  const withCache = (provider) => (String(env.MARKET_DATA_CACHE).toLowerCase() === 'off' ? provider : createCachingProvider(provider, {
+    marketHoursTtlMs: secondsToMs(env.CACHE_TTL_SECONDS, DEFAULT_MARKET_HOURS_TTL_MS),
+    afterHoursTtlMs: secondsToMs(env.CACHE_TTL_AFTER_HOURS_SECONDS, DEFAULT_AFTER_HOURS_TTL_MS),
+  }));
+  if (source === 'yahoo') {
+    const yahoo = withCache(createYahooProvider(yf));
+    return { quotes: yahoo, chains: yahoo, history: yahoo };
+  }
+  if (source === 'live') {
+    const stooq = withCache(createStooqProvider(http));
+    return { quotes: stooq, chains: withCache(createYahooProvider(yf)), history: stooq };
+  }
+  throw new Error(`Unknown MARKET_DATA_PROVIDER "${source}" (expected live, yahoo or fixture)`);
+}
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  createProviders,
+};
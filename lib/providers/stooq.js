@@ -0,0 +1,69 @@
+const { httpError } = require('../httpError');
+const { parsePriceHistory } = require('../priceHistory');
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15',
+  'Accept': 'text/csv, text/plain, */*',
+};
+
+// Stooq prefers country suffix (US equities as .US)
+const toStooqSymbol = (symbol) => (/\.\w+$/.test(symbol) ? symbol.toLowerCase() : `${symbol.toLowerCase()}.us`);
+
+// Quotes from Stooq's lightweight CSV endpoint and daily history from its download endpoint
+// (`http` is an axios instance). Stooq has no option chains.
+function createStooqProvider(http) {
+  const unsupported = async () => {
+    throw new Error('Stooq does not provide option chains');
+  };
+
+  return {
+    name: 'stooq',
+
+    async getQuote(symbol) {
+      const url = `https://stooq.com/q/l/?s=${encodeURIComponent(toStooqSymbol(symbol))}&f=sd2t2ohlcv&e=csv`;
+      const { data: csv } = await http.get(url, { timeout: 10000, headers: REQUEST_HEADERS, responseType: 'text' });
+      // Stooq lightweight CSV usually returns a single data row without headers
+      const lines = String(csv).trim().split(/\r?\n/).filter(Boolean);
+      if (!lines.length) throw httpError('Quote not found', 404);
+      let record;
+      if (lines.length >= 2 && /Symbol/i.test(lines[0])) {
+        const headers = lines[0].split(',');
+        const values = lines[1].split(',');
+        record = Object.fromEntries(headers.map((h, i) => [h, values[i]]));
+      } else {
+        // fields order per f=sd2t2ohlcv → Symbol,Date,Time,Open,High,Low,Close,Volume
+        const values = lines[lines.length - 1].split(',');
+        const headers = ['Symbol','Date','Time','Open','High','Low','Close','Volume'];
+        record = Object.fromEntries(headers.map((h, i) => [h, values[i]]));
+      }
+      const price = Number(record.Close);
+      if (!Number.isFinite(price)) throw httpError('Invalid price', 404);
+      return {
+        symbol: symbol,
+        shortName: symbol,
+        currency: 'USD',
+        marketState: 'REGULAR',
+        regularMarketPrice: price,
+        regularMarketChange: null,
+        regularMarketChangePercent: null,
+        regularMarketTime: Math.floor(new Date(`${record.Date}T${record.Time || '00:00:00'}Z`).getTime()/1000) || Math.floor(Date.now()/1000),
+        exchange: 'STOOQ',
+      };
+    },
+
+    // Daily bars, oldest first (Date,Open,High,Low,Close,Volume)
+    async getHistory(symbol) {
+      const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(toStooqSymbol(symbol))}&i=d`;
+      const { data: csv } = await http.get(url, { timeout: 15000, headers: REQUEST_HEADERS, responseType: 'text' });
+      if (!/date/i.test(String(csv).split(/\r?\n/)[0] || '')) throw httpError(`No price history for ${symbol}`, 404); // "No data"
+      return parsePriceHistory(csv);
+    },
+
+    getExpirations: unsupported,
+    getChain: unsupported,
+  };
+}
+
+module.exports = {
+  createStooqProvider,
+};
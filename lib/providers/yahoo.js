@@ -0,0 +1,72 @@
+const { toDateString } = require('../dates');
+
+const HISTORY_YEARS = 10;
+
+// Market data from yahoo-finance2 (`yf` is its default export)
+function createYahooProvider(yf) {
+  return {
+    name: 'yahoo',
+
+    async getQuote(symbol) {
+      const summary = await yf.quoteSummary(symbol, { modules: ['price'] });
+      const price = summary?.price || {};
+      return {
+        symbol: price.symbol || symbol,
+        shortName: price.shortName || symbol,
+        currency: price.currency || 'USD',
+        marketState: price.marketState || null,
+        regularMarketPrice: price.regularMarketPrice,
+        regularMarketChange: price.regularMarketChange ?? null,
+        regularMarketChangePercent: price.regularMarketChangePercent ?? null,
+        regularMarketTime: price.regularMarketTime ? Math.floor(new Date(price.regularMarketTime).getTime() / 1000) : Math.floor(Date.now() / 1000),
+        exchange: price.exchangeName || 'YAHOO',
+      };
+    },
+
+    async getExpirations(symbol) {
+      const base = await yf.options(symbol);
+      return base?.expirationDates || [];
+    },
+
+    // One expiration: { expirationDate, hasMiniOptions, calls, puts } or null
+    async getChain(symbol, expiration) {
+      const chain = await yf.options(symbol, { date: expiration });
+      return chain?.options?.[0] || null;
+    },
+
+    // Next earnings date(s) and ex-dividend date in the lib/events.js shape
+    async getEvents(symbol) {
+      const summary = await yf.quoteSummary(symbol, { modules: ['calendarEvents', 'summaryDetail'] });
+      const calendar = summary?.calendarEvents || {};
+      const detail = summary?.summaryDetail || {};
+      const exDividendDate = calendar.exDividendDate || detail.exDividendDate;
+      // Yahoo reports the annual dividend rate; US dividends are usually paid quarterly
+      const amount = detail.dividendRate ? detail.dividendRate / 4 : null;
+      return {
+        earnings: calendar.earnings?.earningsDate || [], // One date, or the two ends of an estimated window
+        exDividend: exDividendDate ? [{ date: exDividendDate, amount }] : [],
+      };
+    },
+
+    // Daily bars for the last HISTORY_YEARS years, oldest first, in the lib/priceHistory.js shape
+    async getHistory(symbol) {
+      const period1 = new Date();
+      period1.setUTCFullYear(period1.getUTCFullYear() - HISTORY_YEARS);
+      const chart = await yf.chart(symbol, { period1, interval: '1d' });
+      return (chart?.quotes || [])
+        .filter(q => q.close > 0)
+        .map(q => ({
+          date: toDateString(q.date),
+          open: q.open ?? null,
+          high: q.high ?? null,
+          low: q.low ?? null,
+          close: q.close,
+          volume: q.volume ?? null,
+        }));
+    },
+  };
+}
+
+module.exports = {
+  createYahooProvider,
+};
@@ -0,0 +1,357 @@
+const { parseScreeningQuery } = require('./screeningParams');
+const { analyzeSymbol } = require('./optionsWeeks');
+const { MAX_SCAN_SYMBOLS, DEFAULT_SCAN_TOP, normalizeSymbols, scanSymbols } = require('./scan');
+const { createFetchTracker } = require('./providers/cache');
+const { resolveDataFile, createJsonCollection } = require('./jsonStore');
+const { registerPositionRoutes } = require('./positions/routes');
+const { DEFAULT_ROLL_MAX_DAYS, analyzeRoll } = require('./positions/roll');
+const { analyzePayoff } = require('./positions/payoff');
+const { registerBacktestRoutes } = require('./backtest/routes');
+const { registerVolatilityRoutes } = require('./volatility/routes');
+const { createIvHistory } = require('./volatility/ivHistory');
+const { registerPortfolioRoutes } = require('./portfolio/routes');
+const { registerStrategyRoutes } = require('./strategies/routes');
+const { registerSnapshotRoutes } = require('./snapshots/routes');
+const { createSnapshotStores } = require('./snapshots/store');
+const { createRecordingProvider } = require('./snapshots/recorder');
+const { createLiveHub } = require('./live/hub');
+const { registerAlertRoutes } = require('./alerts/routes');
+const { createAlertEngine } = require('./alerts/engine');
+const { createWebhookNotifier, createAlertStream } = require('./alerts/notify');
+const { createAlertScheduler } = require('./alerts/scheduler');
+const { parseWebhookHosts } = require('./alerts/webhooks');
+const { createEventCalendar } = require('./events');
+const { EXPORT_FORMATS, exportAnalysis, exportScan, exportToCsv } = require('./export');
+const { ORDER_FORMATS, TIME_IN_FORCE, createOrderTicket, formatOrderTicket } = require('./orders');
+const { createAccounts } = require('./accounts/accounts');
+const { registerAccountRoutes, chargeRequest, holdStream } = require('./accounts/routes');
+const { createRateLimiter, createStreamLimiter, requestCost } = require('./accounts/rateLimit');
+const { profileSettings } = require('./accounts/profile');
+const { ownerOf } = require('./accounts/owner');
+
+function toUpperNoSpaces(input) {
+  return String(input || '').toUpperCase().trim();
+}
+
+function parseOptionType(value) {
+  const optionType = String(value || 'call').toLowerCase();
+  return optionType === 'call' || optionType === 'put' ? optionType : null;
+}
+
+// Export format ('json' or 'csv', see lib/export.js): undefined when absent, null when not supported
+function parseExportFormat(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const format = String(value).toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Sends an export document as versioned JSON or as a CSV download
+function sendExport(res, document, format, filename) {
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`).type('text/csv').send(exportToCsv(document));
+  } else {
+    res.attachment(`${filename}.json`).json(document);
+  }
+}
+
+// Options for the cors middleware: no cross-origin access unless CORS_ORIGINS lists the origins
+// (comma-separated) allowed to call the API, with cookies
+function corsOptions(env = process.env) {
+  const origins = String(env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  return origins.length ? { origin: origins, credentials: true } : { origin: false };
+}
+
+// Registers the API on an Express app. Shared by the Express server (server/index.js) and the
+// Vercel handler (api/index.js); `providers` comes from lib/providers. Persisted state goes under
+// DATA_DIR (see lib/jsonStore.js). Background failures (alert runs) go to `logger.error`. Returns the
+// alert scheduler, which only a long-running server starts.
+function registerRoutes(app, { providers, env = process.env, logger = null }) {
+  // Earnings and ex-dividend dates from the chains provider plus the optional EVENTS_CALENDAR_FILE
+  const calendar = createEventCalendar({ provider: providers.chains, file: env.EVENTS_CALENDAR_FILE || null });
+  // Options-weeks analyses are kept per user with the data behind it unless SNAPSHOTS=off: at most one per symbol,
+  // type and settings every SNAPSHOTS_MIN_INTERVAL_SECONDS (default 300), for SNAPSHOTS_RETENTION_DAYS (default 90)
+  const snapshots = env.SNAPSHOTS === 'off' ? null : createSnapshotStores(env.SNAPSHOTS_DIR || resolveDataFile(env, 'snapshots'), {
+    retentionDays: Number(env.SNAPSHOTS_RETENTION_DAYS ?? 90) || null,
+    minIntervalMs: Number(env.SNAPSHOTS_MIN_INTERVAL_SECONDS ?? 300) * 1000 || 0,
+  });
+  const liveHub = createLiveHub({
+    provider: providers.chains,
+    calendar,
+    intervalMs: (Number(env.LIVE_INTERVAL_SECONDS) || 30) * 1000,
+    marketHoursOnly: env.LIVE_MARKET_HOURS_ONLY !== 'false',
+  });
+
+  // Accounts first: their middleware identifies the caller (req.user) and meters every /api route
+  // after it. AUTH_REQUIRED=true turns anonymous access off; RATE_LIMIT_PER_MINUTE=0 turns metering off,
+  // AUTH_RATE_LIMIT_PER_MINUTE=0 that of the /api/auth routes (per IP) and STREAMS_PER_CALLER=0 the cap
+  // on open event streams. Requests count once per symbol analyzed (requestCost), so the default leaves
+  // room for a full watchlist scan (MAX_SCAN_SYMBOLS) a minute.
+  const perMinute = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  const rateLimit = perMinute(env.RATE_LIMIT_PER_MINUTE, 120);
+  const authRateLimit = perMinute(env.AUTH_RATE_LIMIT_PER_MINUTE, 10);
+  const streamsPerCaller = perMinute(env.STREAMS_PER_CALLER, 5);
+  const accounts = createAccounts({
+    users: createJsonCollection(env.USERS_FILE || resolveDataFile(env, 'users.json')),
+    sessions: createJsonCollection(resolveDataFile(env, 'sessions.json')),
+    tokens: createJsonCollection(resolveDataFile(env, 'api-tokens.json')),
+  });
+  registerAccountRoutes(app, {
+    accounts,
+    authRequired: env.AUTH_REQUIRED === 'true',
+    signup: env.SIGNUP !== 'off',
+    rateLimiter: rateLimit > 0 ? createRateLimiter({ limit: rateLimit, windowMs: 60000 }) : null,
+    authRateLimiter: authRateLimit > 0 ? createRateLimiter({ limit: authRateLimit, windowMs: 60000 }) : null,
+    streamLimiter: streamsPerCaller > 0 ? createStreamLimiter({ limit: streamsPerCaller }) : null,
+    secureCookies: env.COOKIE_SECURE === 'true',
+  });
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ ok: true, provider: { quotes: providers.quotes.name, chains: providers.chains.name, history: providers.history.name } });
+  });
+
+  // Get real-time quote for a symbol (Stooq for resilience unless MARKET_DATA_PROVIDER says otherwise)
+  app.get('/api/quote/:symbol', async (req, res) => {
+    const symbol = toUpperNoSpaces(req.params.symbol);
+    if (!symbol) {
+      return res.status(400).json({ error: 'Missing symbol' });
+    }
+    try {
+      const tracker = createFetchTracker();
+      const quote = await providers.quotes.getQuote(symbol, tracker);
+      res.json({ ...quote, ...tracker.summary() });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to fetch quote', details: err?.message });
+    }
+  });
+
+  // Get options for the current week (nearest expiration within 7 days)
+  app.get('/api/options/:symbol', async (req, res) => {
+    const symbol = toUpperNoSpaces(req.params.symbol);
+    if (!symbol) {
+      return res.status(400).json({ error: 'Missing symbol' });
+    }
+    try {
+      const expirations = await providers.chains.getExpirations(symbol);
+      if (!expirations.length) return res.status(404).json({ error: 'No expirations available' });
+      const nowMs = Date.now();
+      const oneWeekMs = 7 * 24 * 3600 * 1000;
+      const withinWeek = expirations.filter((d) => d.getTime() >= nowMs && d.getTime() <= nowMs + oneWeekMs);
+      let target = withinWeek.length ? new Date(Math.min(...withinWeek.map((d)=>d.getTime()))) : new Date(Math.min(...expirations.map((d)=>d.getTime())));
+
+      const opt = await providers.chains.getChain(symbol, target);
+      if (!opt) return res.status(404).json({ error: 'No options for selected expiration' });
+
+      const mapOption = (o) => ({
+        contractSymbol: o.contractSymbol,
+        strike: o.strike,
+        lastPrice: o.lastPrice,
+        bid: o.bid,
+        ask: o.ask,
+        change: o.change,
+        percentChange: o.percentChange,
+        volume: o.volume,
+        openInterest: o.openInterest,
+        impliedVolatility: o.impliedVolatility,
+        inTheMoney: o.inTheMoney,
+      });
+
+      res.json({
+        symbol,
+        expiration: Math.floor((opt.expirationDate?.getTime?.() || target.getTime())/1000),
+        hasMiniOptions: opt.hasMiniOptions,
+        calls: (opt.calls || []).map(mapOption),
+        puts: (opt.puts || []).map(mapOption),
+      });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to fetch options', details: err?.message });
+    }
+  });
+
+  // Get covered calls (or cash-secured puts with ?type=put) for the next expirations.
+  // Screening thresholds default to the caller's saved profile (lib/accounts/profile.js), else DEFAULT_SETTINGS,
+  // and can be overridden on the query string (see lib/screeningParams.js).
+  // ?format=csv|json downloads the contracts as an export instead (lib/export.js).
+  app.get('/api/options-weeks/:symbol', async (req, res) => {
+    const symbol = toUpperNoSpaces(req.params.symbol);
+    if (!symbol) return res.status(400).json({ error: 'Missing symbol' });
+    const optionType = parseOptionType(req.query.type ?? req.user?.profile.optionType);
+    if (!optionType) return res.status(400).json({ error: 'Invalid type, expected call or put' });
+    const format = parseExportFormat(req.query.format);
+    if (format === null) return res.status(400).json({ error: `Invalid format, expected ${EXPORT_FORMATS.join(' or ')}` });
+    const { settings, errors } = parseScreeningQuery(req.query, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    if (!chargeRequest(req, res, requestCost(1, settings.expirationCount))) return;
+    try {
+      // Export downloads are not recorded
+      const recorder = snapshots && !format ? createRecordingProvider(providers.chains) : null;
+      const analysis = await analyzeSymbol(recorder ? recorder.provider : providers.chains, symbol, { optionType, settings, calendar });
+      if (recorder) {
+        // A failed save is reported on the response rather than failing the analysis
+        try {
+          const { id, takenAt, reused } = await snapshots.forUser(ownerOf(req)).save({ symbol, optionType, ...recorder.captured(), analysis });
+          analysis.snapshot = reused ? { id, takenAt, reused } : { id, takenAt };
+        } catch (err) {
+          analysis.snapshot = { id: null, error: err?.message || 'Failed to save snapshot' };
+        }
+      }
+      if (format) return sendExport(res, exportAnalysis(analysis), format, `${symbol}-${optionType}s`);
+      res.json(analysis);
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to fetch weekly options', details: err?.message });
+    }
+  });
+
+  // Server-Sent Events for an open analysis: the same query as /api/options-weeks, re-analyzed every
+  // LIVE_INTERVAL_SECONDS; `analysis` events carry the whole analysis, `update` events only what changed
+  app.get('/api/options-weeks/:symbol/stream', (req, res) => {
+    const symbol = toUpperNoSpaces(req.params.symbol);
+    if (!symbol) return res.status(400).json({ error: 'Missing symbol' });
+    const optionType = parseOptionType(req.query.type ?? req.user?.profile.optionType);
+    if (!optionType) return res.status(400).json({ error: 'Invalid type, expected call or put' });
+    const { settings, errors } = parseScreeningQuery(req.query, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    if (!chargeRequest(req, res, requestCost(1, settings.expirationCount)) || !holdStream(req, res)) return;
+    liveHub.subscribe(req, res, { symbol, optionType, settings });
+  });
+
+  // Scan a watchlist and rank the best contracts across all symbols, screened like options-weeks.
+  // Body: { symbols: ['AAPL', ...], type?: 'call' | 'put', top?: number, format?: 'csv' | 'json', settings?: { ...screening params } }
+  app.post('/api/scan', async (req, res) => {
+    const body = req.body || {};
+    const symbols = normalizeSymbols(body.symbols);
+    if (!symbols) return res.status(400).json({ error: `symbols must be a list of 1 to ${MAX_SCAN_SYMBOLS} tickers` });
+    const optionType = parseOptionType(body.type ?? req.user?.profile.optionType);
+    if (!optionType) return res.status(400).json({ error: 'Invalid type, expected call or put' });
+    const top = body.top === undefined ? DEFAULT_SCAN_TOP : Number(body.top);
+    if (!Number.isInteger(top) || top < 1 || top > 500) return res.status(400).json({ error: 'top must be a whole number between 1 and 500' });
+    const format = parseExportFormat(body.format);
+    if (format === null) return res.status(400).json({ error: `Invalid format, expected ${EXPORT_FORMATS.join(' or ')}` });
+    const { settings, errors } = parseScreeningQuery(body.settings || {}, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    if (!chargeRequest(req, res, requestCost(symbols.length, settings.expirationCount))) return;
+    try {
+      const scan = await scanSymbols(providers.chains, symbols, { optionType, settings, top, calendar });
+      if (format) return sendExport(res, exportScan(scan), format, `scan-${optionType}s`);
+      res.json(scan);
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to scan watchlist', details: err?.message });
+    }
+  });
+
+  // Compare rolling a short option (OCC symbol) out to later expirations and further OTM strikes.
+  // Query: contracts (default 1), maxDays (default 60) plus the screening parameters.
+  app.get('/api/roll/:contractSymbol', async (req, res) => {
+    const contracts = req.query.contracts === undefined ? 1 : Number(req.query.contracts);
+    if (!Number.isInteger(contracts) || contracts < 1 || contracts > 1000) return res.status(400).json({ error: 'contracts must be a whole number between 1 and 1000' });
+    const maxDays = req.query.maxDays === undefined ? DEFAULT_ROLL_MAX_DAYS : Number(req.query.maxDays);
+    if (!Number.isInteger(maxDays) || maxDays < 1 || maxDays > 730) return res.status(400).json({ error: 'maxDays must be a whole number between 1 and 730' });
+    const { settings, errors } = parseScreeningQuery(req.query, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    // Reads about one chain per week out to maxDays
+    if (!chargeRequest(req, res, requestCost(1, Math.ceil(maxDays / 7)))) return;
+    try {
+      res.json(await analyzeRoll(providers.chains, req.params.contractSymbol, { contracts, maxDays, settings }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to analyze roll', details: err?.message });
+    }
+  });
+
+  // Payoff curves and a scenario grid for selling a contract (OCC symbol) against a share count.
+  // Query: shares (default 100, whole contracts), costBasis (default: the current price) plus the screening parameters.
+  app.get('/api/payoff/:contractSymbol', async (req, res) => {
+    const shares = req.query.shares === undefined ? 100 : Number(req.query.shares);
+    if (!Number.isInteger(shares) || shares < 100 || shares > 100000 || shares % 100 !== 0) {
+      return res.status(400).json({ error: 'shares must be a multiple of 100 between 100 and 100000' });
+    }
+    const costBasis = req.query.costBasis === undefined || req.query.costBasis === '' ? null : Number(req.query.costBasis);
+    if (costBasis !== null && !(Number.isFinite(costBasis) && costBasis > 0)) return res.status(400).json({ error: 'costBasis must be a positive price per share' });
+    const { settings, errors } = parseScreeningQuery(req.query, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    try {
+      res.json(await analyzePayoff(providers.chains, req.params.contractSymbol, { shares, costBasis, settings }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to build payoff', details: err?.message });
+    }
+  });
+
+  // Sell-to-open order ticket for a contract (OCC symbol), limit at the mid unless limitPrice is given.
+  // Body: { contractSymbol, quantity?, limitPrice?, timeInForce?: 'DAY' | 'GTC', account?, format?: 'json' | 'ibkr' | 'csv' | 'fix' }.
+  // Without a format the response holds the ticket and its text in every format.
+  app.post('/api/orders', async (req, res) => {
+    const body = req.body || {};
+    const quantity = body.quantity === undefined ? 1 : Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 1000) return res.status(400).json({ error: 'quantity must be a whole number between 1 and 1000' });
+    const limitPrice = body.limitPrice === undefined || body.limitPrice === null || body.limitPrice === '' ? null : Number(body.limitPrice);
+    if (limitPrice !== null && !(Number.isFinite(limitPrice) && limitPrice > 0)) return res.status(400).json({ error: 'limitPrice must be a positive price' });
+    const timeInForce = String(body.timeInForce || 'DAY').toUpperCase();
+    if (!TIME_IN_FORCE.includes(timeInForce)) return res.status(400).json({ error: `timeInForce must be ${TIME_IN_FORCE.join(' or ')}` });
+    if (body.format !== undefined && !ORDER_FORMATS.includes(body.format)) return res.status(400).json({ error: `Invalid format, expected ${ORDER_FORMATS.join(', ')}` });
+    const account = body.account ? String(body.account).trim() : null;
+    if (account !== null && !/^[A-Za-z0-9._-]{1,32}$/.test(account)) return res.status(400).json({ error: 'account must be up to 32 letters, digits, dots, dashes or underscores' });
+    try {
+      const ticket = await createOrderTicket(providers.chains, body.contractSymbol, { quantity, limitPrice, timeInForce, account });
+      if (body.format) {
+        const { contentType, extension, body: text } = formatOrderTicket(ticket, body.format);
+        return res.attachment(`${ticket.contractSymbol}-order.${extension}`).type(contentType).send(text);
+      }
+      const formats = Object.fromEntries(ORDER_FORMATS.filter(f => f !== 'json').map(f => [f, formatOrderTicket(ticket, f).body]));
+      res.json({ ticket, formats });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to create order ticket', details: err?.message });
+    }
+  });
+
+  registerPositionRoutes(app, {
+    positions: createJsonCollection(env.POSITIONS_FILE || resolveDataFile(env, 'positions.json')),
+    provider: providers.chains,
+  });
+
+  registerBacktestRoutes(app, { provider: providers.history });
+
+  registerVolatilityRoutes(app, {
+    provider: providers.chains,
+    ivHistory: createIvHistory(createJsonCollection(env.IV_HISTORY_FILE || resolveDataFile(env, 'iv-history.json'))),
+  });
+
+  registerPortfolioRoutes(app, { provider: providers.chains, calendar });
+
+  registerStrategyRoutes(app, { provider: providers.chains });
+
+  if (snapshots) registerSnapshotRoutes(app, { snapshots });
+
+  // Alerts: rules in ALERTS_FILE, screened with their owner's profile, triggered alerts to
+  // ALERTS_WEBHOOK_URL (or the rule's own, on an ALERTS_WEBHOOK_HOSTS host) and the browser stream
+  const alertRules = createJsonCollection(env.ALERTS_FILE || resolveDataFile(env, 'alerts.json'));
+  const alertStream = createAlertStream();
+  const webhookHosts = parseWebhookHosts(env.ALERTS_WEBHOOK_HOSTS);
+  const alertEngine = createAlertEngine({
+    rules: alertRules,
+    provider: providers.chains,
+    calendar,
+    settingsFor: async (userId) => profileSettings(userId ? (await accounts.getUser(userId))?.profile : null),
+    notifiers: [alertStream, createWebhookNotifier({ url: env.ALERTS_WEBHOOK_URL || null, allowedHosts: webhookHosts })],
+  });
+  registerAlertRoutes(app, { rules: alertRules, engine: alertEngine, stream: alertStream, webhookHosts });
+
+  const alertScheduler = createAlertScheduler({
+    engine: alertEngine,
+    intervalMs: (Number(env.ALERTS_INTERVAL_SECONDS) || 300) * 1000,
+    marketHoursOnly: env.ALERTS_MARKET_HOURS_ONLY !== 'false',
+    onError: (err) => logger?.error('Alert evaluation failed:', err),
+  });
+  return { alertScheduler };
+}
+
+module.exports = {
+  corsOptions,
+  toUpperNoSpaces,
+  parseOptionType,
+  registerRoutes,
+};
@@ -0,0 +1,79 @@
+const { DEFAULT_SETTINGS } = require('./analytics');
+const { describeScreeningSettings } = require('./screeningParams');
+const { analyzeSymbol } = require('./optionsWeeks');
+
+const SCAN_CONCURRENCY = 4; // Symbols analyzed at once, to stay clear of Yahoo rate limits
+const MAX_SCAN_SYMBOLS = 100;
+const DEFAULT_SCAN_TOP = 25;
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Upper-cased, de-duplicated symbol list, or null if the input is not a usable list
+function normalizeSymbols(symbols) {
+  if (!Array.isArray(symbols)) return null;
+  const cleaned = symbols
+    .map(s => String(s || '').toUpperCase().trim())
+    .filter(Boolean);
+  const unique = [...new Set(cleaned)];
+  return unique.length && unique.length <= MAX_SCAN_SYMBOLS ? unique : null;
+}
+
+// Runs the per-symbol analysis over a watchlist and ranks qualifying contracts across all
+// symbols by goalScore. A failing symbol is reported in `symbols[].error` instead of failing the scan.
+// Expirations excluded by settings.avoidEvents and contracts outside the liquidity limits are left out.
+async function scanSymbols(provider, symbols, { optionType = 'call', settings = DEFAULT_SETTINGS, top = DEFAULT_SCAN_TOP, concurrency = SCAN_CONCURRENCY, calendar = null } = {}) {
+  const analyses = await mapWithConcurrency(symbols, concurrency, async (symbol) => {
+    try {
+      return { symbol, analysis: await analyzeSymbol(provider, symbol, { optionType, settings, calendar }) };
+    } catch (err) {
+      return { symbol, error: err?.message || 'Analysis failed' };
+    }
+  });
+
+  const contractsKey = optionType === 'call' ? 'calls' : 'puts';
+  const ranked = [];
+  const summaries = analyses.map(({ symbol, analysis, error }) => {
+    if (error) return { symbol, error, qualifyingCount: 0 };
+    let qualifyingCount = 0;
+    for (const exp of analysis.expirations) {
+      if (exp.excludedByEvents) continue;
+      for (const contract of exp[contractsKey]) {
+        if (!contract.meetsTarget || !contract.meetsLiquidity) continue;
+        qualifyingCount++;
+        ranked.push({ symbol, currentPrice: analysis.currentPrice, expiration: exp.expiration, spansEarnings: exp.spansEarnings, spansExDividend: exp.spansExDividend, ...contract });
+      }
+    }
+    return { symbol, currentPrice: analysis.currentPrice, qualifyingCount, asOf: analysis.asOf, cached: analysis.cached, error: null };
+  });
+
+  ranked.sort((a, b) => parseFloat(b.goalScore) - parseFloat(a.goalScore));
+
+  return {
+    optionType,
+    settings: describeScreeningSettings(settings),
+    symbols: summaries,
+    failedCount: summaries.filter(s => s.error).length,
+    results: ranked.slice(0, top),
+  };
+}
+
+module.exports = {
+  SCAN_CONCURRENCY,
+  MAX_SCAN_SYMBOLS,
+  DEFAULT_SCAN_TOP,
+  mapWithConcurrency,
+  normalizeSymbols,
+  scanSymbols,
+};
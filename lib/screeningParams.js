@@ -0,0 +1,116 @@
+const { DEFAULT_SETTINGS } = require('./analytics');
+const { EVENT_TYPES } = require('./events');
+
+// Screening parameters accepted on the query string, in the units traders type them (percent, days).
+// Each maps onto one or more fields of the analytics settings object.
+const SCREENING_PARAMS = {
+  expirations: { min: 1, max: 12, integer: true, label: 'number of expirations' },
+  otmMin: { min: 0, max: 50, label: 'minimum OTM %' },
+  otmMax: { min: 0, max: 50, label: 'maximum OTM %' },
+  weeklyTarget: { min: 0, max: 10, label: 'weekly return target %' },
+  biweeklyTarget: { min: 0, max: 20, label: 'bi-weekly return target %' },
+  riskFreeRate: { min: 0, max: 20, label: 'risk-free rate %' },
+  maxAssignment: { min: 0, max: 100, label: 'assignment penalty threshold %' },
+  weeklyMaxDays: { min: 1, max: 60, integer: true, label: 'weekly bucket days' },
+  biweeklyMaxDays: { min: 1, max: 120, integer: true, label: 'bi-weekly bucket days' },
+  maxSpread: { min: 0, max: 200, label: 'maximum bid/ask spread % of mid' },
+  minOpenInterest: { min: 0, max: 1000000, integer: true, label: 'minimum open interest' },
+  minVolume: { min: 0, max: 1000000, integer: true, label: 'minimum volume' },
+  fillSpread: { min: 0, max: 50, label: 'spread % given up from the mid' },
+};
+
+const round = (value) => Number(value.toFixed(6));
+
+// Current settings expressed as query parameters (echoed back in responses)
+function describeScreeningSettings(settings = DEFAULT_SETTINGS) {
+  return {
+    expirations: settings.expirationCount,
+    otmMin: round((settings.callOtmRange[0] - 1) * 100),
+    otmMax: round((settings.callOtmRange[1] - 1) * 100),
+    weeklyTarget: round(settings.weeklyTarget * 100),
+    biweeklyTarget: round(settings.biweeklyTarget * 100),
+    riskFreeRate: round(settings.riskFreeRate * 100),
+    maxAssignment: settings.highProbabilityThreshold,
+    weeklyMaxDays: settings.weeklyMaxDays,
+    biweeklyMaxDays: settings.biweeklyMaxDays,
+    maxSpread: settings.maxSpreadPercent,
+    minOpenInterest: settings.minOpenInterest,
+    minVolume: settings.minVolume,
+    fillSpread: round(settings.fillSpreadFraction * 100),
+    avoidEvents: [...(settings.avoidEvents || [])],
+  };
+}
+
+// avoidEvents: 'earnings,exDividend' on the query string, or an array in a JSON body; 'none' clears it
+function parseAvoidEvents(raw, errors) {
+  const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+  if (!list) {
+    errors.push(`avoidEvents must be a comma-separated list of ${EVENT_TYPES.join(', ')}`);
+    return null;
+  }
+  const types = [...new Set(list.map(t => String(t).trim()).filter(t => t && t !== 'none'))];
+  const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+  if (unknown.length) {
+    errors.push(`avoidEvents: unknown event type ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})`);
+    return null;
+  }
+  return types;
+}
+
+// Validates screening parameters (query strings, or numbers from a JSON body) on top of `base`.
+// Returns { settings, errors }; settings is null when any parameter is invalid.
+function parseScreeningQuery(query = {}, base = DEFAULT_SETTINGS) {
+  const errors = [];
+  const values = describeScreeningSettings(base);
+
+  for (const [name, rule] of Object.entries(SCREENING_PARAMS)) {
+    const raw = query[name];
+    if (raw === undefined || raw === '') continue;
+    const value = Number(raw);
+    if ((typeof raw !== 'string' && typeof raw !== 'number') || !Number.isFinite(value)) {
+      errors.push(`${name} (${rule.label}) must be a number`);
+    } else if (rule.integer && !Number.isInteger(value)) {
+      errors.push(`${name} (${rule.label}) must be a whole number`);
+    } else if (value < rule.min || value > rule.max) {
+      errors.push(`${name} (${rule.label}) must be between ${rule.min} and ${rule.max}`);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  if (query.avoidEvents !== undefined && query.avoidEvents !== '') {
+    const types = parseAvoidEvents(query.avoidEvents, errors);
+    if (types) values.avoidEvents = types;
+  }
+
+  if (!errors.length && values.otmMin >= values.otmMax) errors.push('otmMin must be below otmMax');
+  if (!errors.length && values.weeklyMaxDays >= values.biweeklyMaxDays) errors.push('weeklyMaxDays must be below biweeklyMaxDays');
+  if (errors.length) return { settings: null, errors };
+
+  return {
+    settings: {
+      ...base,
+      expirationCount: values.expirations,
+      callOtmRange: [1 + values.otmMin / 100, 1 + values.otmMax / 100],
+      putOtmRange: [1 - values.otmMax / 100, 1 - values.otmMin / 100],
+      weeklyTarget: values.weeklyTarget / 100,
+      biweeklyTarget: values.biweeklyTarget / 100,
+      riskFreeRate: values.riskFreeRate / 100,
+      highProbabilityThreshold: values.maxAssignment,
+      weeklyMaxDays: values.weeklyMaxDays,
+      biweeklyMaxDays: values.biweeklyMaxDays,
+      maxSpreadPercent: values.maxSpread,
+      minOpenInterest: values.minOpenInterest,
+      minVolume: values.minVolume,
+      fillSpreadFraction: values.fillSpread / 100,
+      avoidEvents: values.avoidEvents,
+    },
+    errors,
+  };
+}
+
+module.exports = {
+  SCREENING_PARAMS,
+  describeScreeningSettings,
+  parseScreeningQuery,
+};
@@ -0,0 +1,65 @@
+const toIso = (date) => new Date(date).toISOString();
+
+// Wraps a market-data provider (see lib/providers) to keep what an analysis fetched: the quote, the
+// listed expirations and each chain. `captured()` returns them in the form snapshots store.
+function createRecordingProvider(provider) {
+  let quote = null;
+  let expirations = [];
+  const chains = new Map(); // ISO expiration -> chain
+
+  return {
+    provider: {
+      ...provider,
+      async getQuote(symbol, tracker) {
+        quote = await provider.getQuote(symbol, tracker);
+        return quote;
+      },
+      async getExpirations(symbol, tracker) {
+        expirations = await provider.getExpirations(symbol, tracker);
+        return expirations;
+      },
+      async getChain(symbol, expiration, tracker) {
+        const chain = await provider.getChain(symbol, expiration, tracker);
+        if (chain) chains.set(toIso(expiration), chain);
+        return chain;
+      },
+    },
+
+    captured() {
+      return {
+        quote,
+        expirations: expirations.map(toIso),
+        chains: [...chains].map(([expiration, chain]) => ({ expiration, calls: chain.calls || [], puts: chain.puts || [] })),
+      };
+    },
+  };
+}
+
+// A provider that serves a stored snapshot's data as if it were being fetched at `takenAt`, so
+// analyzeSymbol (lib/optionsWeeks.js) can re-run on it. Chains that were not stored come back null.
+function createSnapshotProvider(snapshot) {
+  const fetchedAt = Date.parse(snapshot.takenAt);
+  const record = (tracker) => tracker?.record(fetchedAt, false);
+
+  return {
+    name: 'snapshot',
+    async getQuote(symbol, tracker) {
+      record(tracker);
+      return snapshot.quote;
+    },
+    async getExpirations(symbol, tracker) {
+      record(tracker);
+      return snapshot.expirations.map(exp => new Date(exp));
+    },
+    async getChain(symbol, expiration, tracker) {
+      record(tracker);
+      const chain = snapshot.chains.find(c => c.expiration === toIso(expiration));
+      return chain ? { expirationDate: new Date(chain.expiration), calls: chain.calls, puts: chain.puts } : null;
+    },
+  };
+}
+
+module.exports = {
+  createRecordingProvider,
+  createSnapshotProvider,
+};
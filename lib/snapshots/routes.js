@@ -0,0 +1,83 @@
+const { parseScreeningQuery } = require('../screeningParams');
+const { analyzeSymbol } = require('../optionsWeeks');
+const { snapshotDate } = require('./store');
+const { createSnapshotProvider } = require('./recorder');
+const { ownerOf } = require('../accounts/owner');
+
+const MAX_LIST_LIMIT = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The caller's past /api/options-weeks analyses; `snapshots` holds a store per owner (createSnapshotStores
+// in lib/snapshots/store.js)
+function registerSnapshotRoutes(app, { snapshots }) {
+  // Symbols with snapshots and the dates they were taken on
+  app.get('/api/snapshots', async (req, res) => {
+    try {
+      res.json({ symbols: await snapshots.forUser(ownerOf(req)).symbols() });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to list snapshots', details: err?.message });
+    }
+  });
+
+  // Query: from, to (YYYY-MM-DD, inclusive), type (call or put), limit (default 50). Newest first.
+  app.get('/api/snapshots/:symbol', async (req, res) => {
+    const symbol = String(req.params.symbol || '').toUpperCase().trim();
+    const { from, to, type, limit } = req.query;
+    const errors = [];
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && !DATE_PATTERN.test(value)) errors.push(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    if (type !== undefined && type !== 'call' && type !== 'put') errors.push('type must be call or put');
+    const count = limit === undefined ? undefined : Number(limit);
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_LIST_LIMIT)) errors.push(`limit must be a whole number between 1 and ${MAX_LIST_LIMIT}`);
+    if (errors.length) return res.status(400).json({ error: 'Invalid snapshot query', details: errors.join('; ') });
+    try {
+      res.json({ symbol, snapshots: await snapshots.forUser(ownerOf(req)).list(symbol, { from, to, optionType: type, limit: count }) });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to list snapshots', details: err?.message });
+    }
+  });
+
+  // The analysis exactly as it was returned, with the quote it used
+  app.get('/api/snapshots/:symbol/:id', async (req, res) => {
+    try {
+      const snapshot = await loadSnapshot(snapshots, req);
+      if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+      const { id, symbol, optionType, takenAt, quote, analysis } = snapshot;
+      res.json({ id, symbol, optionType, takenAt, quote, analysis });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load snapshot', details: err?.message });
+    }
+  });
+
+  // Re-runs the analysis on the stored quote and chains as of when they were taken. Screening
+  // parameters on the query override the ones the snapshot was taken with.
+  app.get('/api/snapshots/:symbol/:id/replay', async (req, res) => {
+    try {
+      const snapshot = await loadSnapshot(snapshots, req);
+      if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+      const { settings, errors } = parseScreeningQuery({ ...snapshot.analysis.settings, ...req.query });
+      if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+      const analysis = await analyzeSymbol(createSnapshotProvider(snapshot), snapshot.symbol, {
+        optionType: snapshot.optionType,
+        settings,
+        calendar: { getEvents: async () => snapshot.analysis.events },
+        now: Date.parse(snapshot.takenAt),
+      });
+      res.json({ id: snapshot.id, symbol: snapshot.symbol, optionType: snapshot.optionType, takenAt: snapshot.takenAt, quote: snapshot.quote, analysis });
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to replay snapshot', details: err?.message });
+    }
+  });
+}
+
+async function loadSnapshot(snapshots, req) {
+  const symbol = String(req.params.symbol || '').toUpperCase().trim();
+  if (!snapshotDate(req.params.id)) return null;
+  return snapshots.forUser(ownerOf(req)).get(symbol, req.params.id);
+}
+
+module.exports = {
+  registerSnapshotRoutes,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DAY_MS, toDateString } = require('../dates');
+
+const DEFAULT_LIST_LIMIT = 50;
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// 20250602T140000Z-1a2b3c: when it was taken (which also names the file), then a random suffix
+const ID_PATTERN = /^(\d{4})(\d{2})(\d{2})T\d{6}Z-[0-9a-f]{6}$/;
+const USER_ID_PATTERN = /^[0-9a-f-]{36}$/; // crypto.randomUUID(), see lib/jsonStore.js
+
+function snapshotId(takenAt) {
+  return `${takenAt.replace(/[-:]/g, '').replace(/\.\d+/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// The date (YYYY-MM-DD) a snapshot id was taken on, or null for a malformed id
+function snapshotDate(id) {
+  const match = ID_PATTERN.exec(String(id));
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// The list entry for a snapshot: when, at what price and what was recommended, without the chains
+function summarize(snapshot) {
+  const contractsKey = snapshot.optionType === 'put' ? 'puts' : 'calls';
+  return {
+    id: snapshot.id,
+    symbol: snapshot.symbol,
+    optionType: snapshot.optionType,
+    takenAt: snapshot.takenAt,
+    underlyingPrice: snapshot.analysis?.currentPrice ?? null,
+    settings: snapshot.analysis?.settings ?? null,
+    expirations: (snapshot.analysis?.expirations || []).map(exp => ({
+      expiration: exp.expiration,
+      contractCount: exp[contractsKey]?.length ?? 0,
+      atmImpliedVolatility: exp.atmImpliedVolatility ?? null,
+      bestOption: exp.bestOption
+        ? { contractSymbol: exp.bestOption.contractSymbol, strike: exp.bestOption.strike, premium: exp.bestOption.premium, returnPercent: exp.bestOption.returnPercent, assignmentProbabilityEnhanced: exp.bestOption.assignmentProbabilityEnhanced }
+        : null,
+      bestOptionReason: exp.bestOptionReason,
+    })),
+  };
+}
+
+// Append-only history of analyses: one JSON line per snapshot in <dir>/<SYMBOL>/<YYYY-MM-DD>.jsonl
+// (UTC date taken). Lines are only ever appended, so a crash loses at most the line being written;
+// a truncated last line is skipped when reading. A symbol's day files older than `retentionDays` are
+// deleted as it is saved again, and the same symbol, option type and settings are stored at most once
+// every `minIntervalMs` (0 and null turn either off).
+function createSnapshotStore(dir, { retentionDays = null, minIntervalMs = 0 } = {}) {
+  let queue = Promise.resolve();
+  // Last stored { id, takenAt } per symbol, option type and settings, and the day each symbol was last pruned
+  const latest = new Map();
+  const prunedOn = new Map();
+
+  const fileFor = (symbol, date) => path.join(dir, symbol, `${date}.jsonl`);
+
+  async function readFile(file) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const snapshots = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch {
+        // Partial line from an interrupted write
+      }
+    }
+    return snapshots;
+  }
+
+  async function listDir(target) {
+    try {
+      return await fs.promises.readdir(target);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function datesFor(symbol) {
+    return (await listDir(path.join(dir, symbol)))
+      .map(name => name.replace(/\.jsonl$/, ''))
+      .filter(date => DATE_PATTERN.test(date))
+      .sort();
+  }
+
+  async function prune(symbol, takenAt) {
+    const today = toDateString(takenAt);
+    if (!retentionDays || prunedOn.get(symbol) === today) return;
+    prunedOn.set(symbol, today);
+    const cutoff = toDateString(takenAt.getTime() - retentionDays * DAY_MS);
+    for (const date of await datesFor(symbol)) {
+      if (date < cutoff) await fs.promises.rm(fileFor(symbol, date), { force: true });
+    }
+  }
+
+  return {
+    // Stores { symbol, optionType, quote, expirations, chains, analysis }; resolves to the stored snapshot,
+    // or to { id, takenAt, reused: true } of the one stored less than `minIntervalMs` earlier
+    save(snapshot, takenAt = new Date()) {
+      const iso = takenAt.toISOString();
+      const record = { id: snapshotId(iso), takenAt: iso, ...snapshot };
+      const key = `${record.symbol}:${record.optionType}:${JSON.stringify(record.analysis?.settings ?? null)}`;
+      const run = queue.then(async () => {
+        const previous = latest.get(key);
+        if (previous && minIntervalMs && takenAt - Date.parse(previous.takenAt) < minIntervalMs) return { ...previous, reused: true };
+        const file = fileFor(record.symbol, record.takenAt.slice(0, 10));
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(record)}\n`);
+        latest.set(key, { id: record.id, takenAt: record.takenAt });
+        await prune(record.symbol, takenAt);
+        return record;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // Symbols with snapshots and the dates they were taken on, oldest first
+    async symbols() {
+      const names = (await listDir(dir)).filter(name => SYMBOL_PATTERN.test(name)).sort();
+      const entries = await Promise.all(names.map(async symbol => ({ symbol, dates: await datesFor(symbol) })));
+      return entries.filter(entry => entry.dates.length);
+    },
+
+    // Summaries (see summarize) taken between the `from` and `to` dates (inclusive), newest first
+    async list(symbol, { from = null, to = null, optionType = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+      if (!SYMBOL_PATTERN.test(symbol)) return [];
+      const dates = (await datesFor(symbol)).filter(date => (!from || date >= from) && (!to || date <= to)).reverse();
+      const summaries = [];
+      for (const date of dates) {
+        const snapshots = (await readFile(fileFor(symbol, date))).filter(s => !optionType || s.optionType === optionType);
+        summaries.push(...snapshots.reverse().map(summarize));
+        if (summaries.length >= limit) break;
+      }
+      return summaries.slice(0, limit);
+    },
+
+    // The full snapshot, or null
+    async get(symbol, id) {
+      const date = snapshotDate(id);
+      if (!date || !SYMBOL_PATTERN.test(symbol)) return null;
+      return (await readFile(fileFor(symbol, date))).find(s => s.id === id) || null;
+    },
+  };
+}
+
+// One store per owner (lib/accounts/owner.js), created on first use: `dir` itself for anonymous
+// callers and <dir>/users/<user id> for each signed-in user, with the same options
+function createSnapshotStores(dir, options = {}) {
+  const stores = new Map();
+
+  return {
+    forUser(userId = null) {
+      if (userId !== null && !USER_ID_PATTERN.test(userId)) throw new Error(`Invalid user id ${userId}`);
+      if (!stores.has(userId)) stores.set(userId, createSnapshotStore(userId === null ? dir : path.join(dir, 'users', userId), options));
+      return stores.get(userId);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIST_LIMIT,
+  snapshotDate,
+  createSnapshotStore,
+  createSnapshotStores,
+};
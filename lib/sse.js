@@ -0,0 +1,27 @@
+// Server-Sent Events plumbing shared by the alert stream (lib/alerts/notify.js) and live analyses
+// (lib/live/hub.js)
+
+const RETRY_MS = 5000;
+const HEARTBEAT_MS = 25000; // Keeps proxies from closing an idle stream
+
+// Turns `res` into an event stream: headers, the browser's reconnect delay and a heartbeat comment.
+// `onClose` runs once the client disconnects.
+function openEventStream(req, res, onClose = () => {}) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref?.();
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+}
+
+// One `event` frame carrying `data` as JSON
+const formatEvent = (id, event, data) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = {
+  openEventStream,
+  formatEvent,
+};
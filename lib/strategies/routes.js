@@ -0,0 +1,27 @@
+const { parseScreeningQuery } = require('../screeningParams');
+const { profileSettings } = require('../accounts/profile');
+const { validateStrategyOptions, analyzeStrategy } = require('./strategy');
+
+// Multi-leg strategies priced from the chains provider (`provider`)
+function registerStrategyRoutes(app, { provider }) {
+  // Body: { expiration: 'YYYY-MM-DD', legs: [{ type: 'call' | 'put' | 'stock', side: 'short' | 'long',
+  // strike?, quantity? }], costBasis?, settings?: { ...screening params } }
+  app.post('/api/strategy/:symbol', async (req, res) => {
+    const symbol = String(req.params.symbol || '').toUpperCase().trim();
+    const body = req.body || {};
+    const { options, errors } = validateStrategyOptions(body);
+    if (!options) return res.status(400).json({ error: 'Invalid strategy', details: errors.join('; ') });
+    const { settings, errors: screeningErrors } = parseScreeningQuery(body.settings || {}, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: screeningErrors.join('; ') });
+    try {
+      res.json(await analyzeStrategy(provider, symbol, { ...options, settings }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to analyze strategy', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  registerStrategyRoutes,
+};
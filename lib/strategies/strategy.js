@@ -0,0 +1,272 @@
+const { normalCDF } = require('../blackScholes');
+const { DEFAULT_SETTINGS, createOptionMapper } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { httpError } = require('../httpError');
+const { createFetchTracker } = require('../providers/cache');
+const { DAY_MS, toDateString } = require('../dates');
+const { findExpiration } = require('../positions/contract');
+
+const MAX_OPTION_LEGS = 4;
+const MAX_CONTRACTS = 1000; // Per leg
+const LEG_TYPES = ['call', 'put', 'stock'];
+const LEG_SIDES = ['short', 'long'];
+const PRICE_POINTS = 41; // Underlying prices on the payoff curve
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Expected fill when buying: the mid plus the share of the spread settings.fillSpreadFraction gives up
+// (the mirror of calculateFillPrice in lib/analytics.js), or the last price without a two-sided quote
+function calculateBuyPrice(o, settings = DEFAULT_SETTINGS) {
+  if (!(o.bid > 0 && o.ask > 0)) return o.lastPrice || 0;
+  return (o.bid + o.ask) / 2 + settings.fillSpreadFraction * (o.ask - o.bid);
+}
+
+// A chain contract as a strategy leg: priced at the fill for its side, with its per-share Greeks
+// from createOptionMapper (delta as a fraction, theta per day, vega per vol point)
+function optionLeg(raw, mapped, { type, side, quantity }, settings = DEFAULT_SETTINGS) {
+  return {
+    type,
+    side,
+    quantity,
+    strike: raw.strike,
+    contractSymbol: raw.contractSymbol,
+    bid: raw.bid ?? null,
+    ask: raw.ask ?? null,
+    price: side === 'short' ? parseFloat(mapped.premium) : calculateBuyPrice(raw, settings),
+    volatility: mapped.volatilityUsed,
+    delta: parseFloat(mapped.delta) / 100,
+    gamma: parseFloat(mapped.gamma),
+    theta: parseFloat(mapped.theta),
+    vega: parseFloat(mapped.vega),
+    liquidityScore: mapped.liquidityScore,
+    meetsLiquidity: mapped.meetsLiquidity,
+    assignmentProbabilityEnhanced: parseFloat(mapped.assignmentProbabilityEnhanced),
+  };
+}
+
+// Shares held against the options, entered at `price` (the cost basis)
+function stockLeg({ side, quantity }, price) {
+  return { type: 'stock', side, quantity, price, delta: 1, gamma: 0, theta: 0, vega: 0 };
+}
+
+const legSign = (leg) => (leg.side === 'short' ? -1 : 1);
+const legMultiplier = (leg) => (leg.type === 'stock' ? leg.quantity : leg.quantity * 100);
+const valueAtExpiry = (leg, price) => {
+  if (leg.type === 'stock') return price;
+  return Math.max(0, leg.type === 'call' ? price - leg.strike : leg.strike - price);
+};
+
+// Total P&L of the position if the underlying finishes at `price`
+function pnlAtExpiry(legs, price) {
+  return legs.reduce((sum, leg) => sum + legSign(leg) * legMultiplier(leg) * (valueAtExpiry(leg, price) - leg.price), 0);
+}
+
+// Names the common shapes; anything else is 'custom'
+function classifyStrategy(legs) {
+  const stock = legs.filter(l => l.type === 'stock');
+  const options = legs.filter(l => l.type !== 'stock');
+  const find = (type, side) => options.filter(l => l.type === type && l.side === side);
+  const [shortCalls, longCalls, shortPuts, longPuts] = [find('call', 'short'), find('call', 'long'), find('put', 'short'), find('put', 'long')];
+  const longStock = stock.length === 1 && stock[0].side === 'long';
+
+  if (longStock && options.length === 2 && shortCalls.length === 1 && longPuts.length === 1) return 'collar';
+  if (longStock && options.length === 1 && shortCalls.length === 1) return 'covered-call';
+  if (stock.length) return 'custom';
+  if (options.length === 1) return `${options[0].side}-${options[0].type}`;
+  if (options.length !== 2) return 'custom';
+  if (shortCalls.length === 1 && longCalls.length === 1) {
+    return shortCalls[0].strike < longCalls[0].strike ? 'call-credit-spread' : 'call-debit-spread';
+  }
+  if (shortPuts.length === 1 && longPuts.length === 1) {
+    return shortPuts[0].strike > longPuts[0].strike ? 'put-credit-spread' : 'put-debit-spread';
+  }
+  if (shortCalls.length === 1 && shortPuts.length === 1) {
+    return shortCalls[0].strike === shortPuts[0].strike ? 'short-straddle' : 'short-strangle';
+  }
+  if (longCalls.length === 1 && longPuts.length === 1) {
+    return longCalls[0].strike === longPuts[0].strike ? 'long-straddle' : 'long-strangle';
+  }
+  return 'custom';
+}
+
+// Net credit, combined Greeks and the expiry payoff of priced legs (optionLeg / stockLeg). The payoff is
+// piecewise linear with kinks at the strikes, so extremes and breakevens come from the kinks and the
+// slope above the highest strike; maxProfit / maxLoss are null when unlimited. Probability of profit
+// is the lognormal (Black-Scholes) chance of finishing where the payoff is positive, at the average
+// volatility of the option legs. Dollar amounts are for the whole position.
+function evaluateStrategy(legs, { currentPrice, timeToExpiry, settings = DEFAULT_SETTINGS }) {
+  const options = legs.filter(l => l.type !== 'stock');
+  const netCredit = -options.reduce((sum, leg) => sum + legSign(leg) * legMultiplier(leg) * leg.price, 0);
+  const greek = (name) => legs.reduce((sum, leg) => sum + legSign(leg) * legMultiplier(leg) * leg[name], 0);
+
+  const kinks = [0, ...new Set(options.map(l => l.strike).sort((a, b) => a - b))];
+  const values = kinks.map(price => pnlAtExpiry(legs, price));
+  const slopeAbove = legs.reduce((sum, leg) => sum + (leg.type === 'put' ? 0 : legSign(leg) * legMultiplier(leg)), 0);
+  const top = kinks[kinks.length - 1];
+  const topValue = values[values.length - 1];
+
+  // Zero crossings between kinks, then beyond the highest one
+  const breakevens = [];
+  for (let i = 1; i < kinks.length; i++) {
+    const [a, b, pa, pb] = [kinks[i - 1], kinks[i], values[i - 1], values[i]];
+    if ((pa > 0) !== (pb > 0)) breakevens.push(a + (b - a) * (0 - pa) / (pb - pa));
+  }
+  if (slopeAbove !== 0 && (topValue > 0) !== (slopeAbove > 0)) breakevens.push(top - topValue / slopeAbove);
+
+  const maxProfit = slopeAbove > 0 ? null : Math.max(...values);
+  const maxLoss = slopeAbove < 0 ? null : Math.max(0, -Math.min(...values));
+
+  const volatilities = options.map(l => l.volatility).filter(v => v > 0);
+  const volatility = volatilities.length ? volatilities.reduce((a, b) => a + b, 0) / volatilities.length : settings.defaultVolatility;
+  const r = settings.riskFreeRate;
+  const finishAbove = (price) => {
+    if (price <= 0) return 1;
+    if (price === Infinity) return 0;
+    if (!(timeToExpiry > 0)) return currentPrice > price ? 1 : 0;
+    const sd = volatility * Math.sqrt(timeToExpiry);
+    return normalCDF((Math.log(currentPrice / price) + (r - 0.5 * volatility * volatility) * timeToExpiry) / sd);
+  };
+  // Each stretch between breakevens is all profit or all loss; test it at one inside price
+  const bounds = [0, ...breakevens, Infinity];
+  let probabilityOfProfit = 0;
+  for (let i = 1; i < bounds.length; i++) {
+    const [a, b] = [bounds[i - 1], bounds[i]];
+    const inside = b === Infinity ? (a === 0 ? currentPrice : a * 1.1) : (a + b) / 2;
+    if (pnlAtExpiry(legs, inside) > 0) probabilityOfProfit += finishAbove(a) - finishAbove(b);
+  }
+
+  // Reward per dollar at risk, weighted by the chance of a profit and the least liquid option leg
+  const returnOnRisk = maxProfit !== null && maxLoss ? maxProfit / maxLoss : null;
+  const liquidityScore = options.length ? Math.min(...options.map(l => l.liquidityScore ?? 100)) : 100;
+  const liquidityFactor = 1 - settings.liquidityWeight * (1 - liquidityScore / 100);
+  const score = returnOnRisk !== null && maxProfit > 0 ? returnOnRisk * probabilityOfProfit * liquidityFactor : null;
+
+  return {
+    strategy: classifyStrategy(legs),
+    netCredit: round(netCredit),
+    stockCost: round(legs.filter(l => l.type === 'stock').reduce((sum, leg) => sum + legSign(leg) * legMultiplier(leg) * leg.price, 0)),
+    greeks: {
+      delta: round(greek('delta')), // Share equivalents
+      gamma: round(greek('gamma'), 4),
+      theta: round(greek('theta')), // $ per calendar day
+      vega: round(greek('vega')), // $ per vol point
+    },
+    maxProfit: maxProfit === null ? null : round(maxProfit),
+    maxLoss: maxLoss === null ? null : round(maxLoss),
+    breakevens: breakevens.map(price => round(price)),
+    probabilityOfProfit: round(probabilityOfProfit * 100, 1),
+    volatility: round(volatility, 4),
+    returnOnRisk: returnOnRisk === null ? null : round(returnOnRisk, 3),
+    meetsLiquidity: options.every(l => l.meetsLiquidity !== false),
+    score: score === null ? null : round(score, 4),
+  };
+}
+
+// Validates a strategy request: { expiration: 'YYYY-MM-DD', legs: [{ type, side, strike?, quantity? }],
+// costBasis? }. Option legs need a strike and default to 1 contract; a stock leg (at most one)
+// defaults to 100 shares. Returns { options, errors }.
+function validateStrategyOptions(input = {}) {
+  const errors = [];
+  const expiration = /^\d{4}-\d{2}-\d{2}$/.test(String(input.expiration || '')) ? new Date(`${input.expiration}T00:00:00Z`) : null;
+  if (!expiration || Number.isNaN(expiration.getTime())) errors.push('expiration must be a date (YYYY-MM-DD)');
+
+  const legs = [];
+  if (!Array.isArray(input.legs) || !input.legs.length) {
+    errors.push('legs must be a non-empty array');
+  } else {
+    input.legs.forEach((leg, i) => {
+      const label = `leg ${i + 1}`;
+      const type = String(leg?.type || '').toLowerCase();
+      const side = String(leg?.side || '').toLowerCase();
+      if (!LEG_TYPES.includes(type)) return errors.push(`${label}: type must be one of ${LEG_TYPES.join(', ')}`);
+      if (!LEG_SIDES.includes(side)) return errors.push(`${label}: side must be short or long`);
+      const quantity = leg.quantity === undefined || leg.quantity === null || leg.quantity === '' ? (type === 'stock' ? 100 : 1) : Number(leg.quantity);
+      const maxQuantity = type === 'stock' ? MAX_CONTRACTS * 100 : MAX_CONTRACTS;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+        return errors.push(`${label}: quantity must be a whole number between 1 and ${maxQuantity}`);
+      }
+      if (type === 'stock') return legs.push({ type, side, quantity });
+      const strike = Number(leg.strike);
+      if (!(strike > 0)) return errors.push(`${label}: strike must be a positive number`);
+      legs.push({ type, side, strike, quantity });
+    });
+    if (legs.filter(l => l.type === 'stock').length > 1) errors.push('legs may include at most one stock leg');
+    if (legs.filter(l => l.type !== 'stock').length > MAX_OPTION_LEGS) errors.push(`legs may include at most ${MAX_OPTION_LEGS} option legs`);
+    if (legs.length && legs.every(l => l.type === 'stock')) errors.push('legs must include an option');
+  }
+
+  let costBasis = null;
+  if (input.costBasis !== undefined && input.costBasis !== null && input.costBasis !== '') {
+    costBasis = Number(input.costBasis);
+    if (!(costBasis > 0)) errors.push('costBasis must be a positive price');
+  }
+
+  return { options: errors.length ? null : { expiration, legs, costBasis }, errors };
+}
+
+// Prices leg definitions (validateStrategyOptions) against one expiration's chain and evaluates the
+// position. The stock leg enters at costBasis, or the current price. Adds the P&L curve at expiry.
+async function analyzeStrategy(provider, symbol, { expiration: requested, legs, costBasis = null, settings = DEFAULT_SETTINGS, now = Date.now() }) {
+  const tracker = createFetchTracker();
+  const quote = await provider.getQuote(symbol, tracker);
+  const currentPrice = quote?.regularMarketPrice;
+  if (!currentPrice || !Number.isFinite(currentPrice)) throw httpError('Unable to get current stock price', 400);
+
+  const { expiration } = await findExpiration(provider, symbol, requested, { now, tracker, listedOnly: true });
+
+  const chain = await provider.getChain(symbol, expiration, tracker);
+  const mappers = {
+    call: createOptionMapper({ currentPrice, expiration, optionType: 'call', settings, now }),
+    put: createOptionMapper({ currentPrice, expiration, optionType: 'put', settings, now }),
+  };
+  const priced = legs.map(leg => {
+    if (leg.type === 'stock') return stockLeg(leg, costBasis ?? currentPrice);
+    const raw = ((leg.type === 'call' ? chain?.calls : chain?.puts) || []).find(c => c.strike === leg.strike);
+    if (!raw) throw httpError(`No ${leg.strike} ${leg.type} listed for ${symbol} ${toDateString(expiration)}`, 404);
+    if (!((raw.bid > 0 && raw.ask > 0) || raw.lastPrice > 0)) throw httpError(`${raw.contractSymbol || `${leg.strike} ${leg.type}`} is not quoted`, 422);
+    return optionLeg(raw, mappers[leg.type](raw), leg, settings);
+  });
+
+  const daysToExpiry = Math.max(0, (expiration.getTime() - now) / DAY_MS);
+  const evaluation = evaluateStrategy(priced, { currentPrice, timeToExpiry: daysToExpiry / 365, settings });
+
+  // Price axis: at least +/-20%, wide enough to show every strike
+  const strikes = priced.filter(l => l.type !== 'stock').map(l => l.strike);
+  const halfWidth = Math.max(0.2, ...strikes.map(strike => 1.1 * Math.abs(strike / currentPrice - 1)));
+  const low = currentPrice * Math.max(0.01, 1 - halfWidth);
+  const high = currentPrice * (1 + halfWidth);
+  const payoff = Array.from({ length: PRICE_POINTS }, (_, i) => {
+    const price = round(low + (high - low) * i / (PRICE_POINTS - 1));
+    return { price, pnl: round(pnlAtExpiry(priced, price)) };
+  });
+
+  const { asOf, cached } = tracker.summary();
+  return {
+    symbol,
+    expiration: Math.floor(expiration.getTime() / 1000),
+    daysToExpiry: Math.round(daysToExpiry),
+    underlyingPrice: currentPrice,
+    legs: priced.map(leg => ({
+      ...leg,
+      price: round(leg.price),
+      ...(leg.type === 'stock' ? {} : { volatility: round(leg.volatility, 4), delta: round(leg.delta, 3) }),
+    })),
+    ...evaluation,
+    payoff,
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+  };
+}
+
+module.exports = {
+  MAX_OPTION_LEGS,
+  calculateBuyPrice,
+  optionLeg,
+  stockLeg,
+  pnlAtExpiry,
+  classifyStrategy,
+  evaluateStrategy,
+  validateStrategyOptions,
+  analyzeStrategy,
+};
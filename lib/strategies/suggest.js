@@ -0,0 +1,74 @@
+const { DEFAULT_SETTINGS, getOtmRange, createOptionMapper } = require('../analytics');
+const { optionLeg, stockLeg, evaluateStrategy } = require('./strategy');
+const { YEAR_MS } = require('../dates');
+
+const SPREAD_MAX_STRIKES = 5; // Long call at most this many listed strikes above the short one
+const SPREAD_LONG_REACH = 1.1; // ... and at most 10% above the top of the call OTM band
+
+// Compact form of a suggestion: the legs to enter plus the evaluation
+function describeSuggestion(legs, evaluation) {
+  return {
+    ...evaluation,
+    legs: legs.map(leg => (leg.type === 'stock'
+      ? { type: leg.type, side: leg.side, quantity: leg.quantity, price: Number(leg.price.toFixed(2)) }
+      : { type: leg.type, side: leg.side, quantity: leg.quantity, strike: leg.strike, contractSymbol: leg.contractSymbol, price: Number(leg.price.toFixed(2)) })),
+  };
+}
+
+function best(candidates) {
+  return candidates.reduce((top, c) => (c.evaluation.score > (top?.evaluation.score ?? -Infinity) ? c : top), null);
+}
+
+// The best-scoring collar (100 shares at the current price, short call in the call OTM band, long put
+// in the put OTM band) and call credit spread (short call in the band, long call a few strikes above)
+// for one expiration's chain, scored by evaluateStrategy(). Only legs within the liquidity limits are
+// used and only spreads taking in a credit are considered; null when nothing qualifies.
+function suggestStrategies(chain, expiration, { currentPrice, settings = DEFAULT_SETTINGS, now = Date.now() }) {
+  const callBand = getOtmRange(currentPrice, 'call', settings);
+  const putBand = getOtmRange(currentPrice, 'put', settings);
+  const mapCall = createOptionMapper({ currentPrice, expiration, optionType: 'call', settings, now });
+  const mapPut = createOptionMapper({ currentPrice, expiration, optionType: 'put', settings, now });
+  const timeToExpiry = (expiration.getTime() - now) / YEAR_MS;
+
+  const tradeable = (raws, low, high, mapOption) => (raws || [])
+    .filter(raw => raw.strike >= low && raw.strike <= high && raw.bid > 0 && raw.ask > 0)
+    .map(raw => ({ raw, mapped: mapOption(raw) }))
+    .filter(({ mapped }) => mapped.meetsLiquidity)
+    .sort((a, b) => a.raw.strike - b.raw.strike);
+  const calls = tradeable(chain?.calls, callBand.low, callBand.high * SPREAD_LONG_REACH, mapCall);
+  const puts = tradeable(chain?.puts, putBand.low, putBand.high, mapPut);
+  const shortCalls = calls.filter(({ raw }) => raw.strike <= callBand.high);
+
+  const evaluate = (legs) => ({ legs, evaluation: evaluateStrategy(legs, { currentPrice, timeToExpiry, settings }) });
+  const scored = (candidate) => candidate.evaluation.score !== null;
+
+  const collars = [];
+  for (const call of shortCalls) {
+    const shortCall = optionLeg(call.raw, call.mapped, { type: 'call', side: 'short', quantity: 1 }, settings);
+    for (const put of puts) {
+      const longPut = optionLeg(put.raw, put.mapped, { type: 'put', side: 'long', quantity: 1 }, settings);
+      collars.push(evaluate([stockLeg({ side: 'long', quantity: 100 }, currentPrice), shortCall, longPut]));
+    }
+  }
+
+  const spreads = [];
+  shortCalls.forEach((call, i) => {
+    const shortCall = optionLeg(call.raw, call.mapped, { type: 'call', side: 'short', quantity: 1 }, settings);
+    for (const long of calls.slice(i + 1, i + 1 + SPREAD_MAX_STRIKES)) {
+      const longCall = optionLeg(long.raw, long.mapped, { type: 'call', side: 'long', quantity: 1 }, settings);
+      const candidate = evaluate([shortCall, longCall]);
+      if (candidate.evaluation.netCredit > 0) spreads.push(candidate);
+    }
+  });
+
+  const bestCollar = best(collars.filter(scored));
+  const bestSpread = best(spreads.filter(scored));
+  return {
+    bestCollar: bestCollar ? describeSuggestion(bestCollar.legs, bestCollar.evaluation) : null,
+    bestSpread: bestSpread ? describeSuggestion(bestSpread.legs, bestSpread.evaluation) : null,
+  };
+}
+
+module.exports = {
+  suggestStrategies,
+};
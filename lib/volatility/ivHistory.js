@@ -0,0 +1,26 @@
+const { YEAR_MS, toDateString } = require('../dates');
+
+// One 30-day ATM implied volatility per symbol per day, kept in a JSON collection (lib/jsonStore.js)
+// so IV rank builds up as the surface is requested. A later reading on the same day replaces the
+// earlier one, and readings from before the year IV rank looks back on are dropped as new ones come in.
+function createIvHistory(collection) {
+  return {
+    record(symbol, date, iv) {
+      const oldest = toDateString(Date.parse(date) - YEAR_MS);
+      return collection.upsert({ symbol, date, iv }, h => h.symbol === symbol && h.date === date, { keep: h => h.date >= oldest });
+    },
+
+    // Oldest first, one entry per date
+    async get(symbol) {
+      const byDate = new Map();
+      for (const entry of await collection.list()) {
+        if (entry.symbol === symbol && Number.isFinite(entry.iv)) byDate.set(entry.date, { date: entry.date, iv: entry.iv });
+      }
+      return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+    },
+  };
+}
+
+module.exports = {
+  createIvHistory,
+};
@@ -0,0 +1,36 @@
+const { parseScreeningQuery } = require('../screeningParams');
+const { profileSettings } = require('../accounts/profile');
+const { buildVolSurface } = require('./surface');
+const { chargeRequest } = require('../accounts/routes');
+const { requestCost } = require('../accounts/rateLimit');
+
+// Implied volatility surface for a symbol. `provider` is the chains provider and `ivHistory` the
+// store IV rank is measured against (lib/volatility/ivHistory.js).
+function registerVolatilityRoutes(app, { provider, ivHistory }) {
+  // Query: expirations (default: all listed) plus the screening parameters
+  app.get('/api/vol-surface/:symbol', async (req, res) => {
+    const symbol = String(req.params.symbol || '').toUpperCase().trim();
+    if (!symbol) return res.status(400).json({ error: 'Missing symbol' });
+    const expirationCount = req.query.expirations === undefined ? null : Number(req.query.expirations);
+    if (expirationCount !== null && (!Number.isInteger(expirationCount) || expirationCount < 1 || expirationCount > 60)) {
+      return res.status(400).json({ error: 'expirations must be a whole number between 1 and 60' });
+    }
+    // `expirations` means something else here, so it is not passed on as a screening parameter
+    const { expirations, ...screening } = req.query;
+    const { settings, errors } = parseScreeningQuery(screening, profileSettings(req.user?.profile));
+    if (!settings) return res.status(400).json({ error: 'Invalid screening parameters', details: errors.join('; ') });
+    try {
+      // One chain per expiration on the surface
+      const chains = expirationCount ?? (await provider.getExpirations(symbol)).length;
+      if (!chargeRequest(req, res, requestCost(1, chains))) return;
+      res.json(await buildVolSurface(provider, symbol, { expirationCount, settings, ivHistory }));
+    } catch (err) {
+      if (err?.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to build volatility surface', details: err?.message });
+    }
+  });
+}
+
+module.exports = {
+  registerVolatilityRoutes,
+};
@@ -0,0 +1,186 @@
+const { DEFAULT_SETTINGS, createOptionMapper, selectExpirations } = require('../analytics');
+const { describeScreeningSettings } = require('../screeningParams');
+const { mapWithConcurrency } = require('../scan');
+const { httpError } = require('../httpError');
+const { createFetchTracker } = require('../providers/cache');
+const { DAY_MS, YEAR_MS, toDateString } = require('../dates');
+
+// Moneyness (strike / spot) columns of the surface grid
+const MONEYNESS_GRID = [0.8, 0.85, 0.9, 0.925, 0.95, 0.975, 1, 1.025, 1.05, 1.075, 1.1, 1.15, 1.2];
+const CHAIN_CONCURRENCY = 4;
+const MAX_SPREAD_PERCENT = 50; // Wider quotes say little about volatility
+const IV_BOUNDS = [0.01, 3];
+const OUTLIER_RATIO = 0.5; // A point this far from the median of itself and its neighbours is dropped
+const CONSTANT_MATURITY_DAYS = 30;
+
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+const median = (values) => values.slice().sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+// Out-of-the-money contracts (puts below spot, calls above) with a usable two-sided quote and an
+// implied volatility inside IV_BOUNDS, sorted by strike, with single-strike spikes removed
+function cleanSmile(chain, expiration, { currentPrice, settings, now }) {
+  const points = [];
+  for (const [optionType, contracts] of [['put', chain.puts], ['call', chain.calls]]) {
+    const mapOption = createOptionMapper({ currentPrice, expiration, optionType, settings, now });
+    for (const o of contracts || []) {
+      if (optionType === 'call' ? o.strike < currentPrice : o.strike > currentPrice) continue;
+      if (!(o.bid > 0 && o.ask > 0)) continue;
+      const metrics = mapOption(o);
+      if (metrics.volatilitySource === 'default' || parseFloat(metrics.spreadPercent) > MAX_SPREAD_PERCENT) continue;
+      const iv = metrics.volatilityUsed;
+      if (iv < IV_BOUNDS[0] || iv > IV_BOUNDS[1]) continue;
+      points.push({ optionType, strike: o.strike, moneyness: o.strike / currentPrice, iv, delta: parseFloat(metrics.delta) / 100 });
+    }
+  }
+  points.sort((a, b) => a.strike - b.strike || (a.optionType === 'put' ? -1 : 1));
+  return points.filter((p, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const local = median([points[i - 1].iv, p.iv, points[i + 1].iv]);
+    return Math.abs(p.iv - local) / local <= OUTLIER_RATIO;
+  });
+}
+
+// Linear interpolation of the smile at a moneyness; null outside the quoted strikes
+function interpolateSmile(points, moneyness) {
+  if (!points.length || moneyness < points[0].moneyness || moneyness > points[points.length - 1].moneyness) return null;
+  const upper = points.findIndex(p => p.moneyness >= moneyness);
+  const hi = points[upper];
+  if (hi.moneyness === moneyness || upper === 0) return hi.iv;
+  const lo = points[upper - 1];
+  return lo.iv + (hi.iv - lo.iv) * (moneyness - lo.moneyness) / (hi.moneyness - lo.moneyness);
+}
+
+// Put and call nearest 25 delta (within 10 delta), and the put-minus-call IV spread
+function skew25(points) {
+  const nearest = (optionType, target) => points
+    .filter(p => p.optionType === optionType && Math.abs(p.delta - target) <= 0.1)
+    .reduce((best, p) => (!best || Math.abs(p.delta - target) < Math.abs(best.delta - target) ? p : best), null);
+  const put = nearest('put', -0.25);
+  const call = nearest('call', 0.25);
+  return {
+    putStrike: put?.strike ?? null,
+    putIv: round(put?.iv ?? null),
+    callStrike: call?.strike ?? null,
+    callIv: round(call?.iv ?? null),
+    skew: put && call ? round(put.iv - call.iv) : null, // Positive: downside protection is bid
+  };
+}
+
+// ATM IV at a constant maturity, interpolating total variance (iv^2 * t) between the expirations
+// around it; flat beyond the first and last
+function constantMaturityIv(termStructure, days) {
+  const known = termStructure.filter(t => t.atmIv !== null && t.days > 0);
+  if (!known.length) return null;
+  if (days <= known[0].days) return known[0].atmIv;
+  const last = known[known.length - 1];
+  if (days >= last.days) return last.atmIv;
+  const upper = known.findIndex(t => t.days >= days);
+  const [a, b] = [known[upper - 1], known[upper]];
+  const variance = a.atmIv ** 2 * a.days + (b.atmIv ** 2 * b.days - a.atmIv ** 2 * a.days) * (days - a.days) / (b.days - a.days);
+  return Math.sqrt(variance / days);
+}
+
+// Rank and percentile of the current IV against stored daily values (lib/volatility/ivHistory.js)
+function rankIv(current, history) {
+  const values = history.map(h => h.iv);
+  if (current === null || values.length < 2) {
+    return { rank: null, percentile: null, low: null, high: null, days: values.length, reason: 'Not enough stored history yet' };
+  }
+  const low = Math.min(current, ...values);
+  const high = Math.max(current, ...values);
+  return {
+    rank: high > low ? round((current - low) / (high - low) * 100, 1) : null,
+    percentile: round(values.filter(v => v < current).length / values.length * 100, 1),
+    low: round(low),
+    high: round(high),
+    days: values.length,
+    reason: null,
+  };
+}
+
+// Implied volatility surface across expirations (all of them, or the next `expirationCount`) and
+// both calls and puts: cleaned OTM points, a moneyness x expiry grid, ATM term structure, 25-delta
+// skew and, with an IV history store, the 30-day ATM IV ranked against the stored days.
+async function buildVolSurface(provider, symbol, { expirationCount = null, settings = DEFAULT_SETTINGS, ivHistory = null, now = Date.now() } = {}) {
+  const tracker = createFetchTracker();
+  const quote = await provider.getQuote(symbol, tracker);
+  const currentPrice = quote?.regularMarketPrice;
+  if (!currentPrice || !Number.isFinite(currentPrice)) throw httpError('Unable to get current stock price', 400);
+
+  const expirations = await provider.getExpirations(symbol, tracker);
+  if (!expirations.length) throw httpError('No expirations available', 404);
+  const targets = selectExpirations(expirations, { ...settings, expirationCount: expirationCount ?? expirations.length }, new Date(now))
+    .filter(exp => exp.getTime() > now);
+  const chains = await mapWithConcurrency(targets, CHAIN_CONCURRENCY, (target) => provider.getChain(symbol, target, tracker));
+
+  const slices = [];
+  targets.forEach((expiration, i) => {
+    if (!chains[i]) return;
+    const points = cleanSmile(chains[i], expiration, { currentPrice, settings, now });
+    slices.push({
+      expiration,
+      days: (expiration.getTime() - now) / DAY_MS,
+      points,
+      atmIv: interpolateSmile(points, 1),
+      skew: skew25(points),
+    });
+  });
+
+  const atmIv30 = constantMaturityIv(slices, CONSTANT_MATURITY_DAYS);
+  const withAtm = slices.filter(s => s.atmIv !== null);
+  const slope = withAtm.length > 1 ? withAtm[withAtm.length - 1].atmIv - withAtm[0].atmIv : null;
+
+  // Record today's value before ranking; a store that fails does not fail the surface
+  let history = [];
+  let historyError = null;
+  if (ivHistory) {
+    try {
+      if (atmIv30 !== null) await ivHistory.record(symbol, toDateString(now), atmIv30);
+      history = (await ivHistory.get(symbol)).filter(h => h.date < toDateString(now) && h.date >= toDateString(now - YEAR_MS));
+    } catch (err) {
+      historyError = err?.message || 'IV history unavailable';
+    }
+  }
+
+  const { asOf, cached } = tracker.summary();
+  return {
+    symbol,
+    currentPrice,
+    moneyness: MONEYNESS_GRID,
+    expirations: slices.map(s => ({
+      expiration: Math.floor(s.expiration.getTime() / 1000),
+      daysToExpiry: Math.round(s.days),
+      atmImpliedVolatility: round(s.atmIv),
+      skew25: s.skew,
+      pointCount: s.points.length,
+    })),
+    // grid[i][j]: IV for expirations[i] at moneyness[j]; null where no strikes bracket it
+    grid: slices.map(s => MONEYNESS_GRID.map(m => round(interpolateSmile(s.points, m)))),
+    points: slices.flatMap(s => s.points.map(p => ({
+      expiration: Math.floor(s.expiration.getTime() / 1000),
+      optionType: p.optionType,
+      strike: p.strike,
+      moneyness: round(p.moneyness),
+      impliedVolatility: round(p.iv),
+    }))),
+    termStructure: {
+      atmIv30: round(atmIv30),
+      slope: round(slope), // Last minus first ATM IV
+      shape: slope === null ? null : Math.abs(slope) < 0.01 ? 'flat' : slope > 0 ? 'contango' : 'backwardation',
+    },
+    ivRank: { ...rankIv(atmIv30, history), error: historyError },
+    settings: describeScreeningSettings(settings),
+    asOf,
+    cached,
+  };
+}
+
+module.exports = {
+  MONEYNESS_GRID,
+  cleanSmile,
+  interpolateSmile,
+  skew25,
+  constantMaturityIv,
+  rankIv,
+  buildVolSurface,
+};
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Command-line analyzer, same providers and settings as the server: options-analyzer --help
+const fs = require('fs');
+const axios = require('axios');
+const yf = require('yahoo-finance2').default;
+const { createProviders } = require('../../lib/providers');
+const { createEventCalendar } = require('../../lib/events');
+const { EXIT_CODES, runCli } = require('../../lib/cli');
+
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+async function main() {
+  let providers;
+  try {
+    providers = createProviders({ yf, http: axios });
+  } catch (err) {
+    console.error(err.message);
+    return EXIT_CODES.usage;
+  }
+  return runCli(process.argv.slice(2), {
+    providers,
+    calendar: createEventCalendar({ provider: providers.chains, file: process.env.EVENTS_CALENDAR_FILE || null }),
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+    readFile: (file) => (file === '-' ? readStdin() : fs.promises.readFile(file, 'utf8')),
+  });
+}
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = EXIT_CODES.failed;
+  });
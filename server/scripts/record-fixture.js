@@ -0,0 +1,26 @@
+// Records live Yahoo data for the fixture provider: node scripts/record-fixture.js AAPL [outDir]
+const fs = require('fs');
+const path = require('path');
+const yf = require('yahoo-finance2').default;
+const { createYahooProvider } = require('../../lib/providers/yahoo');
+const { recordFixture } = require('../../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../../lib/providers');
+
+async function main() {
+  const symbol = String(process.argv[2] || '').toUpperCase().trim();
+  if (!symbol) {
+    console.error('Usage: node scripts/record-fixture.js <SYMBOL> [outDir]');
+    process.exit(1);
+  }
+  const outDir = process.argv[3] || DEFAULT_FIXTURE_DIR;
+  const fixture = await recordFixture(createYahooProvider(yf), symbol);
+  fs.mkdirSync(outDir, { recursive: true });
+  const file = path.join(outDir, `${symbol}.json`);
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+  console.log(`Recorded ${fixture.chains.length} expirations for ${symbol} to ${file}`);
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateCredentials, hashPassword, verifyPassword } = require('../lib/accounts/credentials');
+const { createAccounts } = require('../lib/accounts/accounts');
+const { validateProfile, profileSettings } = require('../lib/accounts/profile');
+const { createRateLimiter, createStreamLimiter, requestCost } = require('../lib/accounts/rateLimit');
+const { parseCookies, createAuthMiddleware, chargeRequest, holdStream } = require('../lib/accounts/routes');
+const { createJsonCollection } = require('../lib/jsonStore');
+const { DEFAULT_SETTINGS } = require('../lib/analytics');
+const { parseScreeningQuery } = require('../lib/screeningParams');
+
+function tempAccounts(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createAccounts({
+    users: createJsonCollection(path.join(dir, 'users.json')),
+    sessions: createJsonCollection(path.join(dir, 'sessions.json')),
+    tokens: createJsonCollection(path.join(dir, 'api-tokens.json')),
+    ...options,
+  });
+}
+
+// Just enough of an Express request/response for the /api middleware
+function fakeExchange({ headers = {}, method = 'GET', path: requestPath = '/options-weeks/AAPL', ip = '127.0.0.1' } = {}) {
+  const req = { method, path: requestPath, ip, get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(values, value) {
+      Object.assign(this.headers, typeof values === 'string' ? { [values]: value } : values);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  return { req, res };
+}
+
+async function runMiddleware(middleware, exchange) {
+  let nextCalled = false;
+  await middleware(exchange.req, exchange.res, () => { nextCalled = true; });
+  return nextCalled;
+}
+
+test('validates credentials and hashes passwords', async () => {
+  assert.deepEqual(validateCredentials({ username: ' Alice ', password: 'correct horse' }).credentials, { username: 'alice', password: 'correct horse' });
+  assert.equal(validateCredentials({ username: 'a', password: 'short' }).errors.length, 2);
+
+  const hash = await hashPassword('correct horse');
+  assert.match(hash, /^scrypt\$/);
+  assert.notEqual(hash, await hashPassword('correct horse')); // Salted
+  assert.equal(await verifyPassword('correct horse', hash), true);
+  assert.equal(await verifyPassword('wrong horse', hash), false);
+  assert.equal(await verifyPassword('correct horse', 'plain'), false);
+});
+
+test('registers users and signs them in with expiring sessions', async (t) => {
+  let now = Date.parse('2025-06-02T14:00:00Z');
+  const accounts = tempAccounts(t, { sessionTtlMs: 3600000, now: () => now });
+  const user = await accounts.register({ username: 'alice', password: 'correct horse' });
+  assert.equal(user.username, 'alice');
+  assert.equal(user.passwordHash, undefined);
+  assert.deepEqual(user.profile, { screening: {}, optionType: 'call', watchlist: [], holdings: [] });
+  assert.deepEqual(await accounts.getUser(user.id), user);
+  assert.equal(await accounts.getUser('missing'), null);
+  await assert.rejects(accounts.register({ username: 'alice', password: 'another one' }), { status: 409 });
+  await assert.rejects(accounts.login({ username: 'alice', password: 'wrong horse' }), { status: 401 });
+  await assert.rejects(accounts.login({ username: 'bob', password: 'correct horse' }), { status: 401 });
+
+  const { sessionToken, expiresAt } = await accounts.login({ username: 'alice', password: 'correct horse' });
+  assert.equal(expiresAt, '2025-06-02T15:00:00.000Z');
+  assert.equal((await accounts.fromSession(sessionToken)).user.id, user.id);
+  assert.equal(await accounts.fromSession('made-up'), null);
+
+  now += 3600000;
+  assert.equal(await accounts.fromSession(sessionToken), null);
+
+  const second = await accounts.login({ username: 'alice', password: 'correct horse' });
+  await accounts.logout(second.sessionToken);
+  assert.equal(await accounts.fromSession(second.sessionToken), null);
+});
+
+test('lets only one of two concurrent sign-ups take a username', async (t) => {
+  const accounts = tempAccounts(t);
+  const results = await Promise.allSettled([
+    accounts.register({ username: 'alice', password: 'correct horse' }),
+    accounts.register({ username: 'alice', password: 'battery staple' }),
+  ]);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+  await accounts.login({ username: 'alice', password: results[0].status === 'fulfilled' ? 'correct horse' : 'battery staple' });
+});
+
+test('issues, lists and revokes API tokens per user', async (t) => {
+  const accounts = tempAccounts(t);
+  const alice = await accounts.register({ username: 'alice', password: 'correct horse' });
+  const bob = await accounts.register({ username: 'bob', password: 'battery staple' });
+
+  const created = await accounts.createApiToken(alice.id, 'cron');
+  assert.match(created.token, /^oa_/);
+  assert.ok(created.token.startsWith(created.prefix));
+  const auth = await accounts.fromApiToken(created.token);
+  assert.deepEqual([auth.via, auth.tokenId, auth.user.id], ['token', created.id, alice.id]);
+  assert.equal(await accounts.fromApiToken('oa_made-up'), null);
+
+  const [listed] = await accounts.listApiTokens(alice.id);
+  assert.deepEqual(Object.keys(listed).sort(), ['createdAt', 'id', 'lastUsedAt', 'name', 'prefix']);
+  assert.ok(listed.lastUsedAt);
+  assert.deepEqual(await accounts.listApiTokens(bob.id), []);
+
+  assert.equal(await accounts.revokeApiToken(bob.id, created.id), false);
+  assert.equal(await accounts.revokeApiToken(alice.id, created.id), true);
+  assert.equal(await accounts.fromApiToken(created.token), null);
+});
+
+test('validates profiles and screens with them by default', async (t) => {
+  const { profile } = validateProfile({ screening: { weeklyTarget: 0.3, otmMax: '8' }, optionType: 'PUT', watchlist: ['aapl', 'msft', 'AAPL'], holdings: 'symbol,shares,costBasis\nAAPL,300,170' });
+  assert.deepEqual(profile, {
+    screening: { weeklyTarget: 0.3, otmMax: '8' },
+    optionType: 'put',
+    watchlist: ['AAPL', 'MSFT'],
+    holdings: [{ symbol: 'AAPL', shares: 300, costBasis: 170 }],
+  });
+  assert.deepEqual(validateProfile({ watchlist: [] }, { partial: true }).profile, { watchlist: [] });
+  const invalid = validateProfile({ screening: { weeklyTarget: 99, bogus: 1 }, optionType: 'straddle', watchlist: 'AAPL', holdings: [{ symbol: 'AAPL' }] });
+  assert.equal(invalid.profile, null);
+  assert.equal(invalid.errors.length, 4);
+
+  const base = profileSettings(profile);
+  assert.equal(base.weeklyTarget, 0.003);
+  assert.deepEqual(base.callOtmRange, [1.001, 1.08]);
+  assert.equal(profileSettings(null), DEFAULT_SETTINGS);
+  // Request parameters still override the profile
+  const { settings } = parseScreeningQuery({ otmMax: '5' }, base);
+  assert.deepEqual([settings.weeklyTarget, settings.callOtmRange[1]], [0.003, 1.05]);
+
+  const accounts = tempAccounts(t);
+  const alice = await accounts.register({ username: 'alice', password: 'correct horse' });
+  const updated = await accounts.updateProfile(alice.id, { watchlist: ['NVDA'] });
+  assert.deepEqual(updated.profile, { screening: {}, optionType: 'call', watchlist: ['NVDA'], holdings: [] });
+});
+
+test('limits requests per key in fixed windows', () => {
+  let now = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: () => now });
+  assert.equal(limiter.take('a').remaining, 1);
+  assert.equal(limiter.take('a').allowed, true);
+  assert.deepEqual(limiter.take('a'), { allowed: false, limit: 2, remaining: 0, resetAt: 60000 });
+  assert.equal(limiter.take('b').allowed, true);
+  now = 60000;
+  assert.equal(limiter.take('a').allowed, true);
+});
+
+test('counts costly requests and open streams against the caller', async (t) => {
+  const accounts = tempAccounts(t);
+  const middleware = createAuthMiddleware({ accounts, rateLimiter: createRateLimiter({ limit: 10 }), streamLimiter: createStreamLimiter({ limit: 1 }) });
+  // A scan of 6 symbols at the default expirations, then one of 4 reading twice as many chains each
+  assert.equal(requestCost(6), 6);
+  assert.equal(requestCost(4, 8), 8);
+
+  const scan = fakeExchange({ path: '/scan' });
+  assert.equal(await runMiddleware(middleware, scan), true);
+  assert.equal(chargeRequest(scan.req, scan.res, requestCost(6)), true);
+  assert.equal(scan.res.headers['RateLimit-Remaining'], '4');
+  const bigger = fakeExchange({ path: '/scan' });
+  assert.equal(await runMiddleware(middleware, bigger), true);
+  assert.equal(chargeRequest(bigger.req, bigger.res, requestCost(4, 8)), false);
+  assert.equal(bigger.res.statusCode, 429);
+  assert.match(bigger.res.body.error, /counts as 8/);
+  // What it was refused is not used up
+  assert.equal(bigger.res.headers['RateLimit-Remaining'], '3');
+  const tooBig = fakeExchange({ path: '/scan' });
+  await runMiddleware(middleware, tooBig);
+  assert.equal(chargeRequest(tooBig.req, tooBig.res, 50), false);
+  assert.match(tooBig.res.body.error, /more than the rate limit of 10 per minute allows/);
+
+  const first = fakeExchange({ path: '/alerts/stream', ip: '10.0.0.2' });
+  first.req.on = (event, listener) => { first.req.closed = listener; };
+  await runMiddleware(middleware, first);
+  assert.equal(holdStream(first.req, first.res), true);
+  const second = fakeExchange({ path: '/alerts/stream', ip: '10.0.0.2' });
+  await runMiddleware(middleware, second);
+  assert.equal(holdStream(second.req, second.res), false);
+  assert.equal(second.res.statusCode, 429);
+  first.req.closed();
+  const third = fakeExchange({ path: '/alerts/stream', ip: '10.0.0.2' });
+  third.req.on = () => {};
+  await runMiddleware(middleware, third);
+  assert.equal(holdStream(third.req, third.res), true);
+});
+
+test('middleware resolves the caller, enforces sign-in and meters per token', async (t) => {
+  const accounts = tempAccounts(t);
+  const alice = await accounts.register({ username: 'alice', password: 'correct horse' });
+  const { sessionToken } = await accounts.login({ username: 'alice', password: 'correct horse' });
+  const { token } = await accounts.createApiToken(alice.id, 'cron');
+  const middleware = createAuthMiddleware({ accounts, authRequired: true, rateLimiter: createRateLimiter({ limit: 1 }) });
+
+  const viaCookie = fakeExchange({ headers: { cookie: `theme=dark; session=${encodeURIComponent(sessionToken)}` } });
+  assert.equal(await runMiddleware(middleware, viaCookie), true);
+  assert.equal(viaCookie.req.user.username, 'alice');
+  assert.equal(viaCookie.res.headers['RateLimit-Remaining'], '0');
+
+  // The token has its own allowance, separate from the session's
+  const viaToken = fakeExchange({ headers: { authorization: `Bearer ${token}` } });
+  assert.equal(await runMiddleware(middleware, viaToken), true);
+  assert.equal(viaToken.req.auth.via, 'token');
+  const again = fakeExchange({ headers: { authorization: `Bearer ${token}` } });
+  assert.equal(await runMiddleware(middleware, again), false);
+  assert.equal(again.res.statusCode, 429);
+  assert.ok(Number(again.res.headers['Retry-After']) > 0);
+
+  const revoked = fakeExchange({ headers: { authorization: 'Bearer oa_revoked' } });
+  assert.equal(await runMiddleware(middleware, revoked), false);
+  assert.equal(revoked.res.statusCode, 401);
+
+  const anonymous = fakeExchange();
+  assert.equal(await runMiddleware(middleware, anonymous), false);
+  assert.equal(anonymous.res.statusCode, 401);
+  assert.equal(await runMiddleware(middleware, fakeExchange({ path: '/auth/login' })), true);
+
+  assert.deepEqual(parseCookies('a=1; b=x%20y; broken; c=%E0'), { a: '1', b: 'x y' });
+});
+
+test('meters sign-in attempts per IP with their own limit', async (t) => {
+  const accounts = tempAccounts(t);
+  await accounts.register({ username: 'alice', password: 'correct horse' });
+  const middleware = createAuthMiddleware({ accounts, rateLimiter: createRateLimiter({ limit: 100 }), authRateLimiter: createRateLimiter({ limit: 3 }) });
+  // Each attempt that gets past the middleware fails with a wrong password
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    assert.equal(await runMiddleware(middleware, fakeExchange({ method: 'POST', path: '/auth/login' })), true);
+    await assert.rejects(accounts.login({ username: 'alice', password: `guess ${attempt}` }), { status: 401 });
+  }
+  const fourth = fakeExchange({ method: 'POST', path: '/auth/login' });
+  assert.equal(await runMiddleware(middleware, fourth), false);
+  assert.equal(fourth.res.statusCode, 429);
+  assert.equal(fourth.res.headers['RateLimit-Limit'], '3');
+  assert.ok(Number(fourth.res.headers['Retry-After']) > 0);
+
+  // Other addresses, the session check and the rest of the API are not held up
+  assert.equal(await runMiddleware(middleware, fakeExchange({ method: 'POST', path: '/auth/login', ip: '10.0.0.2' })), true);
+  assert.equal(await runMiddleware(middleware, fakeExchange({ path: '/auth/me' })), true);
+  assert.equal(await runMiddleware(middleware, fakeExchange()), true);
+});
@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { createJsonCollection } = require('../lib/jsonStore');
+const { formatOccSymbol } = require('../lib/occ');
+const { DEFAULT_SETTINGS } = require('../lib/analytics');
+const { validateAlertRule, matchesRule } = require('../lib/alerts/rules');
+const { createAlertEngine } = require('../lib/alerts/engine');
+const { createWebhookNotifier, createAlertStream } = require('../lib/alerts/notify');
+const { createAlertScheduler } = require('../lib/alerts/scheduler');
+const { isBlockedAddress, parseWebhookHosts } = require('../lib/alerts/webhooks');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Minimal market-data provider (see lib/providers) whose spot price can be moved between evaluations
+function fakeProvider(state) {
+  const expiration = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()) + 5 * DAY_MS);
+  return {
+    name: 'fake',
+    expiration,
+    async getQuote(symbol) {
+      return { symbol, regularMarketPrice: state.spot };
+    },
+    async getExpirations() {
+      return [expiration];
+    },
+    async getChain(symbol) {
+      return {
+        expirationDate: expiration,
+        calls: [205, 210, 215].map(strike => ({
+          contractSymbol: formatOccSymbol({ symbol, expiration, optionType: 'call', strike }),
+          strike,
+          bid: state.premium,
+          ask: state.premium + 0.05,
+          impliedVolatility: 0.3,
+          openInterest: 100,
+        })),
+      };
+    },
+  };
+}
+
+const tempRules = (name) => createJsonCollection(path.join(fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`)), 'alerts.json'));
+
+// A local webhook receiver collecting the JSON bodies posted to it
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('validates alert rules against the contract fields', () => {
+  const { rule } = validateAlertRule({ symbol: 'aapl', field: 'meetsTarget', comparator: '==', threshold: 'true' });
+  assert.deepEqual(rule, { symbol: 'AAPL', optionType: 'call', contractSymbol: null, field: 'meetsTarget', comparator: '==', threshold: true, webhookUrl: null, enabled: true, label: null });
+
+  const contract = validateAlertRule({ contractSymbol: 'AAPL250606C00210000', field: 'assignmentProbabilityEnhanced', comparator: '>=', threshold: '50', webhookUrl: 'https://hooks.example.com/alerts' }, { webhookHosts: ['hooks.example.com'] }).rule;
+  assert.equal(contract.webhookUrl, 'https://hooks.example.com/alerts');
+  assert.equal(contract.symbol, 'AAPL');
+  assert.equal(contract.threshold, 50);
+
+  const { rule: invalid, errors } = validateAlertRule({ symbol: 'AAPL', field: 'meetsTarget', comparator: '>', threshold: 'yes', webhookUrl: 'ftp://x' });
+  assert.equal(invalid, null);
+  assert.deepEqual(errors, ['threshold must be true or false', 'meetsTarget can only be compared with == or !=', 'webhookUrl must be an http(s) URL']);
+  assert.match(validateAlertRule({ symbol: 'AAPL', field: 'strikePrice', comparator: '>', threshold: 1 }).errors[0], /field must be one of/);
+  assert.equal(validateAlertRule({ symbol: 'AAPL', field: 'meetsTarget', comparator: '==', threshold: true, enabled: false }).rule.enabled, false);
+  for (const enabled of ['false', 0, null]) {
+    assert.deepEqual(validateAlertRule({ symbol: 'AAPL', field: 'meetsTarget', comparator: '==', threshold: true, enabled }).errors, ['enabled must be true or false']);
+  }
+
+  assert.equal(matchesRule({ assignmentProbabilityEnhanced: '51.2' }, contract), true);
+  assert.equal(matchesRule({ assignmentProbabilityEnhanced: null }, contract), false);
+});
+
+test('fires once when a condition starts to hold and re-arms when it stops', async () => {
+  const receiver = await startReceiver();
+  try {
+    const state = { spot: 200, premium: 0.02 };
+    const provider = fakeProvider(state);
+    const rules = tempRules('alerts');
+    const streamed = [];
+    const engine = createAlertEngine({
+      rules,
+      provider,
+      notifiers: [{ notify: async (event) => { streamed.push(event); return { channel: 'stream', ok: true }; } }, createWebhookNotifier({ url: receiver.url })],
+    });
+    const target = await rules.insert({ ...validateAlertRule({ symbol: 'AAPL', field: 'meetsTarget', comparator: '==', threshold: true }).rule, state: 'armed' });
+    const risk = await rules.insert({
+      ...validateAlertRule({ contractSymbol: formatOccSymbol({ symbol: 'AAPL', expiration: provider.expiration, optionType: 'call', strike: 210 }), field: 'assignmentProbabilityEnhanced', comparator: '>=', threshold: 50 }).rule,
+      state: 'armed',
+    });
+
+    // Premiums too thin for the target and the short call far out of the money: nothing fires
+    let run = await engine.evaluateAll();
+    assert.equal(run.evaluated, 2);
+    assert.equal(run.triggered.length, 0);
+
+    // Richer premiums and the stock through the strike: both fire, on every channel
+    Object.assign(state, { spot: 212, premium: 1.5 });
+    run = await engine.evaluateAll();
+    assert.deepEqual(run.triggered.map(e => e.ruleId).sort(), [target.id, risk.id].sort());
+    assert.equal(streamed.length, 2);
+    assert.equal(receiver.received.length, 2);
+    assert.ok(receiver.received.every(r => r.path === '/hook'));
+    const riskEvent = receiver.received.find(r => r.body.ruleId === risk.id).body;
+    assert.ok(riskEvent.matches[0].value >= 50);
+    assert.ok(engine.recentEvents()[0].deliveries.some(d => d.channel === 'webhook' && d.ok));
+    assert.equal((await rules.get(risk.id)).state, 'triggered');
+
+    // Still true: no repeat
+    run = await engine.evaluateAll();
+    assert.equal(run.triggered.length, 0);
+
+    // Back below the limit re-arms, and crossing again fires again
+    Object.assign(state, { spot: 200 });
+    await engine.evaluateAll();
+    assert.equal((await rules.get(risk.id)).state, 'armed');
+    Object.assign(state, { spot: 212 });
+    run = await engine.evaluateAll();
+    assert.deepEqual(run.triggered.map(e => e.ruleId), [risk.id]);
+    assert.equal(receiver.received.length, 3);
+  } finally {
+    await receiver.close();
+  }
+});
+
+// An open SSE connection: the request closes on `close()`, the response keeps what was written
+function fakeSubscriber() {
+  const req = new EventEmitter();
+  const res = { written: '', set() {}, flushHeaders() {}, write(chunk) { this.written += chunk; } };
+  return { req, res, close: () => req.emit('close') };
+}
+
+test('reports and streams alerts only to the owner of the rule', async () => {
+  const provider = fakeProvider({ spot: 212, premium: 1.5 });
+  const rules = tempRules('alerts');
+  const stream = createAlertStream();
+  const engine = createAlertEngine({ rules, provider, notifiers: [stream] });
+  const contractSymbol = formatOccSymbol({ symbol: 'AAPL', expiration: provider.expiration, optionType: 'call', strike: 210 });
+  const condition = validateAlertRule({ contractSymbol, field: 'assignmentProbabilityEnhanced', comparator: '>=', threshold: 50 }).rule;
+  const alices = await rules.insert({ ...condition, userId: 'alice', state: 'armed' });
+  const anonymous = await rules.insert({ ...condition, state: 'armed' });
+
+  const alice = fakeSubscriber();
+  const bob = fakeSubscriber();
+  const guest = fakeSubscriber();
+  stream.subscribe(alice.req, alice.res, { userId: 'alice' });
+  stream.subscribe(bob.req, bob.res, { userId: 'bob' });
+  stream.subscribe(guest.req, guest.res);
+
+  // A user's evaluation runs only their rules
+  let run = await engine.evaluate({ userId: 'alice' });
+  assert.equal(run.evaluated, 1);
+  assert.deepEqual(run.triggered.map(e => e.ruleId), [alices.id]);
+  assert.equal(run.triggered[0].userId, 'alice');
+  assert.equal((await rules.get(anonymous.id)).state, 'armed');
+  assert.doesNotMatch(guest.res.written, /event: alert/);
+
+  run = await engine.evaluate();
+  assert.deepEqual(run.triggered.map(e => e.ruleId), [anonymous.id]);
+  assert.deepEqual(engine.recentEvents({ userId: null }).map(e => e.ruleId), [anonymous.id]);
+  assert.deepEqual(engine.recentEvents({ userId: 'bob' }), []);
+  assert.equal(engine.recentEvents().length, 2);
+
+  assert.match(alice.res.written, new RegExp(`"ruleId":"${alices.id}"`));
+  assert.doesNotMatch(alice.res.written, new RegExp(anonymous.id));
+  assert.match(guest.res.written, new RegExp(`"ruleId":"${anonymous.id}"`));
+  assert.doesNotMatch(bob.res.written, /event: alert/);
+  [alice, bob, guest].forEach(subscriber => subscriber.close());
+  assert.equal(stream.clientCount, 0);
+});
+
+test('screens each rule with its owner\'s settings', async () => {
+  const provider = fakeProvider({ spot: 212, premium: 1.5 });
+  const rules = tempRules('alerts');
+  const lookups = [];
+  const settingsFor = async (userId) => {
+    lookups.push(userId);
+    return userId === 'alice' ? { ...DEFAULT_SETTINGS, weeklyTarget: 0.5, biweeklyTarget: 0.5 } : DEFAULT_SETTINGS;
+  };
+  const engine = createAlertEngine({ rules, provider, settingsFor });
+  const condition = validateAlertRule({ symbol: 'AAPL', field: 'meetsTarget', comparator: '==', threshold: true }).rule;
+  const alices = await rules.insert({ ...condition, userId: 'alice', state: 'armed' });
+  const anonymous = await rules.insert({ ...condition, state: 'armed' });
+  await rules.insert({ ...condition, label: 'second', state: 'armed' });
+
+  const run = await engine.evaluateAll();
+  // 50% targets are out of reach; the default ones are met
+  assert.equal(run.triggered.some(e => e.ruleId === alices.id), false);
+  assert.ok(run.triggered.some(e => e.ruleId === anonymous.id));
+  assert.deepEqual(lookups.sort(), ['alice', null].sort());
+});
+
+test('keeps rule webhooks off internal addresses', async () => {
+  const rule = { symbol: 'AAPL', field: 'meetsTarget', comparator: '==', threshold: true };
+  const webhookError = (webhookUrl, webhookHosts) => validateAlertRule({ ...rule, webhookUrl }, { webhookHosts }).errors[0];
+  assert.match(webhookError('https://hooks.example.com/a', []), /not accepted on this server/);
+  assert.match(webhookError('https://evil.example.net/a', ['hooks.example.com']), /host must be one of hooks.example.com/);
+  assert.match(webhookError('http://169.254.169.254/latest/meta-data', ['169.254.169.254']), /link-local/);
+  assert.match(webhookError('http://[::1]:3001/api', ['[::1]']), /loopback/);
+  assert.deepEqual(parseWebhookHosts(' Hooks.Example.com, ,chat.example.org'), ['hooks.example.com', 'chat.example.org']);
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress('93.184.216.34'), false);
+  assert.equal(isBlockedAddress('2606:2800:220:1::1'), false);
+
+  // Checked again on delivery: an allowed name that resolves to a private address is not called
+  const posted = [];
+  const fetch = async (url) => { posted.push(url); return { ok: true, status: 204 }; };
+  const resolving = (address) => async () => [{ address, family: 4 }];
+  const stored = { webhookUrl: 'https://hooks.example.com/a' };
+  const blocked = await createWebhookNotifier({ allowedHosts: ['hooks.example.com'], fetch, lookup: resolving('10.0.0.5') }).notify({ id: 'x' }, stored);
+  assert.equal(blocked.ok, false);
+  assert.match(blocked.error, /private/);
+  const removed = await createWebhookNotifier({ allowedHosts: [], fetch, lookup: resolving('93.184.216.34') }).notify({ id: 'x' }, stored);
+  assert.equal(removed.ok, false);
+  assert.equal(posted.length, 0);
+  const delivered = await createWebhookNotifier({ allowedHosts: ['hooks.example.com'], fetch, lookup: resolving('93.184.216.34') }).notify({ id: 'x' }, stored);
+  assert.equal(delivered.ok, true);
+  assert.deepEqual(posted, ['https://hooks.example.com/a']);
+});
+
+test('reports webhook failures without failing the evaluation', async () => {
+  const notifier = createWebhookNotifier({ url: 'http://127.0.0.1:9/unreachable', timeoutMs: 1000 });
+  const result = await notifier.notify({ id: 'x' }, {});
+  assert.equal(result.ok, false);
+  assert.ok(result.error);
+  assert.equal(await createWebhookNotifier().notify({ id: 'x' }, {}), null);
+});
+
+test('evaluates only during market hours unless told otherwise', async () => {
+  let runs = 0;
+  const engine = { evaluateAll: async () => ({ run: ++runs }) };
+  const scheduler = createAlertScheduler({ engine, intervalMs: 60000 });
+  assert.equal(await scheduler.tick(new Date('2025-06-07T15:00:00Z')), null);
+  assert.deepEqual(await scheduler.tick(new Date('2025-06-02T14:00:00Z')), { run: 1 });
+  assert.deepEqual(await createAlertScheduler({ engine, intervalMs: 60000, marketHoursOnly: false }).tick(new Date('2025-06-07T15:00:00Z')), { run: 2 });
+  scheduler.start();
+  assert.equal(scheduler.running, true);
+  scheduler.stop();
+  assert.equal(scheduler.running, false);
+});
+
+test('hands failed scheduled runs to onError', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const errors = [];
+  const engine = { evaluateAll: async () => { throw new Error('provider down'); } };
+  const scheduler = createAlertScheduler({ engine, intervalMs: 1000, marketHoursOnly: false, onError: (err) => errors.push(err.message) });
+  scheduler.start();
+  t.mock.timers.tick(1000);
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.stop();
+  assert.deepEqual(errors, ['provider down']);
+});
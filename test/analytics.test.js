@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../lib/analytics');
+
+const DAY_MS = 24 * 3600 * 1000;
+const NOW = new Date('2025-06-02T14:00:00Z').getTime();
+
+test('put assignment probability is the complement of the call probability', () => {
+  const call = analytics.calculateAssignmentProbability(100, 95, 7 / 365, 0.045, 0.3, null, 'call');
+  const put = analytics.calculateAssignmentProbability(100, 95, 7 / 365, 0.045, 0.3, null, 'put');
+  assert.ok(Math.abs(call.original + put.original - 1) < 1e-9);
+  assert.ok(put.original < 0.5);
+});
+
+test('classifies return targets by days to expiry', () => {
+  const settings = analytics.DEFAULT_SETTINGS;
+  assert.equal(analytics.getTargetType(0.003, 5, settings), 'weekly');
+  assert.equal(analytics.getTargetType(0.003, 12, settings), 'none');
+  assert.equal(analytics.getTargetType(0.005, 12, settings), 'bi-weekly');
+  assert.equal(analytics.getTargetType(0.01, 30, settings), 'none');
+  assert.equal(analytics.calculateGoalBasedScore(0.05, 10, 105, 100, 30), -1);
+});
+
+test('selects the next expirations in order', () => {
+  const dates = [20, 6, 13, -1, 27, 34].map(days => new Date(NOW + days * DAY_MS));
+  const targets = analytics.selectExpirations(dates, analytics.DEFAULT_SETTINGS, new Date(NOW));
+  assert.deepEqual(targets.map(d => Math.round((d.getTime() - NOW) / DAY_MS)), [6, 13, 20, 27]);
+});
+
+test('picks the best qualifying contract for an expiration', () => {
+  const expiration = new Date(NOW + 6 * DAY_MS);
+  const opt = {
+    calls: [
+      { contractSymbol: 'X1', strike: 101, bid: 0.9, ask: 1.0, impliedVolatility: 0.3, openInterest: 500 },
+      { contractSymbol: 'X2', strike: 105, bid: 0.25, ask: 0.3, impliedVolatility: 0.3, openInterest: 500 },
+      { contractSymbol: 'X3', strike: 109, bid: 0.01, ask: 0.02, impliedVolatility: 0.3, openInterest: 500 },
+      { contractSymbol: 'X4', strike: 120, bid: 0.01, ask: 0.02, impliedVolatility: 0.3, openInterest: 500 },
+    ],
+  };
+  const result = analytics.analyzeExpiration(opt, expiration, { currentPrice: 100, now: NOW });
+  assert.deepEqual(result.calls.map(c => c.contractSymbol), ['X1', 'X2', 'X3']);
+  assert.equal(result.bestOption.contractSymbol, 'X2');
+  assert.equal(result.hasQualifyingOptions, true);
+  assert.match(result.bestOptionReason, /weekly target/);
+});
+
+test('scans cash-secured puts below spot with return on collateral', () => {
+  const expiration = new Date(NOW + 6 * DAY_MS);
+  const opt = {
+    puts: [
+      { contractSymbol: 'P1', strike: 95, bid: 0.4, ask: 0.5, impliedVolatility: 0.3, openInterest: 500 },
+      { contractSymbol: 'P2', strike: 100.5, bid: 1.9, ask: 2.1, impliedVolatility: 0.3, openInterest: 500 },
+    ],
+  };
+  const result = analytics.analyzeExpiration(opt, expiration, { currentPrice: 100, optionType: 'put', now: NOW });
+  assert.equal(result.puts.length, 1);
+  const [put] = result.puts;
+  assert.equal(put.returnPercent, (0.425 / 95 * 100).toFixed(3)); // Mid less a quarter of the spread
+  assert.equal(put.collateral, '9500.00');
+  assert.ok(parseFloat(put.delta) < 0);
+  assert.equal(put.otmPercent, '5.00');
+});
+
+test('reports Greeks, theoretical price and edge per contract', () => {
+  const expiration = new Date(NOW + 6 * DAY_MS);
+  const mapOption = analytics.createOptionMapper({ currentPrice: 100, expiration, now: NOW });
+  const call = mapOption({ contractSymbol: 'X1', strike: 102, bid: 1.0, ask: 1.2, impliedVolatility: 0.3, openInterest: 500 });
+  const theoretical = parseFloat(call.theoreticalPrice);
+  assert.ok(theoretical > 0 && theoretical < 2);
+  assert.equal(call.edge, (1.1 - theoretical).toFixed(2));
+  assert.ok(parseFloat(call.theta) < 0);
+  assert.ok(parseFloat(call.gamma) > 0);
+  assert.ok(parseFloat(call.vega) > 0);
+  assert.ok(parseFloat(call.rho) > 0);
+});
+
+test('uses the IV solved from the mid and flags the source', () => {
+  const expiration = new Date(NOW + 6 * DAY_MS);
+  const mapOption = analytics.createOptionMapper({ currentPrice: 100, expiration, now: NOW });
+  const solved = mapOption({ contractSymbol: 'X1', strike: 102, bid: 1.0, ask: 1.2, impliedVolatility: 0.00001 });
+  assert.equal(solved.volatilitySource, 'solved');
+  assert.equal(solved.ivSolverReason, null);
+  assert.ok(solved.solvedImpliedVolatility > 0.1);
+  assert.equal(solved.vendorImpliedVolatility, 0.00001);
+
+  const noQuote = mapOption({ contractSymbol: 'X2', strike: 102, bid: 0, ask: 0, lastPrice: 1, impliedVolatility: 0.4 });
+  assert.equal(noQuote.volatilitySource, 'vendor');
+  assert.equal(noQuote.ivSolverReason, 'no-bid-ask');
+
+  const belowIntrinsic = mapOption({ contractSymbol: 'X3', strike: 90, bid: 5, ask: 6 });
+  assert.equal(belowIntrinsic.volatilitySource, 'default');
+  assert.equal(belowIntrinsic.ivSolverReason, 'below-intrinsic');
+  assert.equal(belowIntrinsic.volatilityUsed, analytics.DEFAULT_SETTINGS.defaultVolatility);
+});
+
+test('measures liquidity and fills between the mid and the bid', () => {
+  const liquid = analytics.calculateLiquidity({ bid: 1.9, ask: 2.1, volume: 1000, openInterest: 10000 });
+  assert.ok(Math.abs(liquid.spreadPercent - 10) < 1e-9);
+  assert.ok(Math.abs(liquid.liquidityScore - 90) < 1e-9);
+  assert.deepEqual(liquid.liquidityFlags, []);
+  assert.deepEqual(analytics.calculateLiquidity({ bid: 0, ask: 0.05, lastPrice: 0.03 }).liquidityFlags, ['spread', 'openInterest']);
+  assert.ok(Math.abs(analytics.calculateFillPrice({ bid: 1.9, ask: 2.1 }) - 1.95) < 1e-9);
+  assert.equal(analytics.calculateFillPrice({ bid: 1.9, ask: 2.1 }, { ...analytics.DEFAULT_SETTINGS, fillSpreadFraction: 0 }), 2);
+  assert.equal(analytics.calculateFillPrice({ bid: 0, ask: 0.05, lastPrice: 0.03 }), 0.03);
+});
+
+test('keeps illiquid contracts out of the best option', () => {
+  const expiration = new Date(NOW + 6 * DAY_MS);
+  const opt = {
+    calls: [
+      // Richest premium, but a 40% spread and no open interest
+      { contractSymbol: 'WIDE', strike: 103, bid: 0.8, ask: 1.2, impliedVolatility: 0.3 },
+      { contractSymbol: 'TIGHT', strike: 105, bid: 0.28, ask: 0.3, volume: 300, openInterest: 2000, impliedVolatility: 0.3 },
+    ],
+  };
+  const result = analytics.analyzeExpiration(opt, expiration, { currentPrice: 100, now: NOW });
+  const wide = result.calls.find(c => c.contractSymbol === 'WIDE');
+  assert.deepEqual(wide.liquidityFlags, ['spread', 'openInterest']);
+  assert.equal(wide.meetsTarget, true);
+  assert.equal(result.bestOption.contractSymbol, 'TIGHT');
+  assert.equal(result.liquidContractCount, 1);
+
+  const strict = analytics.analyzeExpiration(opt, expiration, { currentPrice: 100, now: NOW, settings: { ...analytics.DEFAULT_SETTINGS, minOpenInterest: 5000 } });
+  assert.equal(strict.bestOption, null);
+  assert.match(strict.bestOptionReason, /liquidity limits/);
+});
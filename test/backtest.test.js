@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePriceHistory } = require('../lib/priceHistory');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { runBacktest, validateBacktestOptions, realizedVolatility } = require('../lib/backtest/simulate');
+const { runCalibration, validateCalibrationOptions } = require('../lib/backtest/calibration');
+
+// Weekday bars from `start` with closes from `closeAt(i)`
+function makeBars(start, count, closeAt) {
+  const bars = [];
+  for (let day = Date.parse(`${start}T00:00:00Z`); bars.length < count; day += 24 * 3600 * 1000) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    bars.push({ date: new Date(day).toISOString().slice(0, 10), close: closeAt(bars.length) });
+  }
+  return bars;
+}
+
+test('parses Stooq and Yahoo style CSV history', () => {
+  const stooq = parsePriceHistory('Date,Open,High,Low,Close,Volume\n2025-01-03,10,11,9,10.5,1000\n2025-01-02,9,10,8,9.5,900\n');
+  assert.deepEqual(stooq.map(b => b.date), ['2025-01-02', '2025-01-03']);
+  assert.deepEqual(stooq[1], { date: '2025-01-03', open: 10, high: 11, low: 9, close: 10.5, volume: 1000 });
+  const yahoo = parsePriceHistory('Date;Close;Adj Close\n2025-01-02;9.5;9.4\n2025-01-03;null;null');
+  assert.deepEqual(yahoo, [{ date: '2025-01-02', open: null, high: null, low: null, close: 9.5, volume: null }]);
+  assert.throws(() => parsePriceHistory('Day,Price\n2025-01-02,1'), { status: 400 });
+});
+
+test('computes annualized realized volatility', () => {
+  const bars = makeBars('2025-01-06', 30, i => 100 * Math.exp(0.01 * (i % 2 ? 1 : -1)));
+  assert.ok(Math.abs(realizedVolatility(bars, 29, 20) - 0.02 * Math.sqrt(252) * Math.sqrt(20 / 19)) < 1e-9);
+});
+
+test('collects premium on a flat stock without assignments', () => {
+  const bars = makeBars('2025-01-06', 60, () => 100);
+  const result = runBacktest(bars, { symbol: 'FLAT', volatility: 0.3, start: '2025-01-06' });
+  assert.equal(result.strategies.buyAndHold.totalReturnPercent, 0);
+  for (const key of ['goalScore', 'targetDelta']) {
+    const strategy = result.strategies[key];
+    assert.equal(strategy.callsSold, 12);
+    assert.equal(strategy.assignments, 0);
+    assert.ok(strategy.premiumCollected > 0);
+    assert.equal(strategy.endValue, Number((10000 + strategy.premiumCollected).toFixed(2)));
+  }
+  assert.equal(result.equityCurve.length, 60);
+});
+
+test('tracks assignments and buy-backs on a rising stock', () => {
+  const bars = makeBars('2025-01-06', 40, i => 100 * 1.01 ** i);
+  const { strategies } = runBacktest(bars, { volatility: 0.2, start: '2025-01-06' });
+  const delta = strategies.targetDelta;
+  assert.ok(delta.assignments > 0);
+  assert.equal(delta.sharesCalledAway, delta.assignments * 100);
+  assert.ok(delta.buyBacks >= delta.assignments - 1);
+  assert.ok(delta.buyBackCost > 0);
+  assert.ok(delta.trades.every(t => t.outcome === 'assigned'));
+  assert.ok(strategies.buyAndHold.endValue > delta.endValue);
+});
+
+test('backtests the fixture history with realized volatility', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const result = runBacktest(await provider.getHistory('AAPL'), { symbol: 'AAPL' });
+  assert.equal(result.end, '2025-05-30');
+  assert.equal(result.parameters.volatility, 'realized');
+  // Good Friday 2025: that week's calls expire on the Thursday
+  const holidayWeek = result.strategies.targetDelta.trades.find(t => t.date === '2025-04-14');
+  assert.equal(holidayWeek.expiration, '2025-04-17');
+  assert.ok(result.strategies.goalScore.callsSold > 40);
+  await assert.rejects(provider.getHistory('MISSING'), { status: 404 });
+});
+
+test('validates backtest parameters', () => {
+  assert.deepEqual(validateBacktestOptions({ volatility: '30', targetDelta: '25', lots: '2', start: '2024-01-02' }).options,
+    { volatility: 0.3, targetDelta: 0.25, lots: 2, start: '2024-01-02' });
+  assert.deepEqual(validateBacktestOptions({ volatility: 'realized' }).options, {});
+  assert.equal(validateBacktestOptions({ lots: 1.5, volatility: 'high', start: '2025-02-01', end: '2025-01-01' }).errors.length, 2);
+  assert.match(validateBacktestOptions({ start: '2025-02-01', end: '2025-01-01' }).errors[0], /start must be before end/);
+});
+
+test('scores both assignment models against realized outcomes', () => {
+  // A flat stock never finishes above an OTM strike, so the lower forecasts (original) score better
+  const bars = makeBars('2025-01-06', 80, () => 100);
+  const result = runCalibration(bars, { volatility: 0.3, horizons: [7] });
+  assert.equal(result.itmFrequency, 0);
+  assert.ok(result.original.brierScore < result.enhanced.brierScore);
+  assert.equal(result.betterModel, 'original');
+  assert.equal(result.original.reliability.reduce((sum, b) => sum + b.count, 0), result.count);
+  assert.equal(result.byHorizon[0].count, result.count);
+});
+
+test('calibrates on the fixture history', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const result = runCalibration(await provider.getHistory('AAPL'), { optionType: 'put', horizons: [7, 14, 28] });
+  assert.deepEqual(result.parameters.otmOffsets, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(result.byHorizon.map(h => h.horizon), [7, 14, 28]);
+  assert.ok(result.itmFrequency > 0 && result.itmFrequency < 1);
+  for (const model of ['original', 'enhanced']) {
+    assert.ok(result[model].brierScore > 0 && result[model].brierScore < 0.25);
+    assert.equal(result[model].reliability.length, 10);
+  }
+});
+
+test('validates calibration parameters', () => {
+  assert.deepEqual(validateCalibrationOptions({ type: 'put', horizons: '14, 7', stride: '1', volatility: 'realized' }).options,
+    { optionType: 'put', horizons: [7, 14], stride: 1 });
+  assert.equal(validateCalibrationOptions({ type: 'straddle', horizons: '0', bins: 1, volatility: 0 }).errors.length, 4);
+});
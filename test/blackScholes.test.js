@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bs = require('../lib/blackScholes');
+
+const close = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('normalCDF matches standard normal table values', () => {
+  close(bs.normalCDF(0), 0.5, 1e-7);
+  close(bs.normalCDF(1), 0.841345, 1e-6);
+  close(bs.normalCDF(-1.96), 0.024998, 1e-6);
+  close(bs.normalCDF(2.5), 0.993790, 1e-6);
+});
+
+// Hull, Options, Futures and Other Derivatives: S=42, K=40, r=10%, sigma=20%, T=0.5
+test('prices the textbook call and put', () => {
+  const { d1, d2 } = bs.d1d2(42, 40, 0.5, 0.1, 0.2);
+  close(d1, 0.7693, 1e-4);
+  close(d2, 0.6278, 1e-4);
+  close(bs.callPrice(42, 40, 0.5, 0.1, 0.2), 4.76, 0.005);
+  close(bs.putPrice(42, 40, 0.5, 0.1, 0.2), 0.81, 0.005);
+});
+
+test('satisfies put-call parity', () => {
+  const [S, K, T, r, sigma] = [187.3, 195, 12 / 365, 0.045, 0.31];
+  const parity = bs.callPrice(S, K, T, r, sigma) - bs.putPrice(S, K, T, r, sigma);
+  close(parity, S - K * Math.exp(-r * T), 1e-6);
+});
+
+// Hull: S=49, K=50, r=5%, sigma=20%, T=20 weeks
+test('computes the textbook call Greeks', () => {
+  const g = bs.greeks(49, 50, 0.3846, 0.05, 0.2, 'call');
+  close(g.price, 2.40, 0.005);
+  close(g.delta, 0.522, 0.001);
+  close(g.gamma, 0.066, 0.001);
+  close(g.theta, -4.31, 0.01);
+  close(g.vega, 12.1, 0.05);
+  close(g.rho, 8.91, 0.01);
+});
+
+test('put Greeks mirror the call Greeks', () => {
+  const args = [49, 50, 0.3846, 0.05, 0.2];
+  const call = bs.greeks(...args, 'call');
+  const put = bs.greeks(...args, 'put');
+  close(put.delta, call.delta - 1, 1e-9);
+  close(put.gamma, call.gamma, 1e-12);
+  close(put.vega, call.vega, 1e-12);
+  close(put.theta - call.theta, 0.05 * 50 * Math.exp(-0.05 * 0.3846), 1e-9);
+});
+
+test('expired contracts are worth intrinsic value', () => {
+  assert.equal(bs.callPrice(105, 100, 0, 0.05, 0.2), 5);
+  assert.equal(bs.putPrice(105, 100, 0, 0.05, 0.2), 0);
+  assert.equal(bs.delta(95, 100, 0, 0.05, 0.2, 'put'), -1);
+  assert.equal(bs.gamma(95, 100, 0, 0.05, 0.2), 0);
+});
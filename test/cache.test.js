@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_HISTORY_ENTRIES, isMarketHours, createFetchTracker, createCachingProvider } = require('../lib/providers/cache');
+
+function countingProvider() {
+  const calls = [];
+  return {
+    calls,
+    name: 'counting',
+    async getQuote(symbol) {
+      calls.push(['getQuote', symbol]);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (symbol === 'FAIL') throw new Error('upstream down');
+      return { symbol, regularMarketPrice: 100 };
+    },
+    async getExpirations() {
+      return [];
+    },
+    async getChain(symbol, expiration) {
+      calls.push(['getChain', symbol, expiration.getTime()]);
+      return { expirationDate: expiration, calls: [] };
+    },
+    async getHistory(symbol) {
+      calls.push(['getHistory', symbol]);
+      return [];
+    },
+  };
+}
+
+test('knows the US equity session', () => {
+  assert.equal(isMarketHours(Date.parse('2025-06-02T14:00:00Z')), true); // Monday 10:00 New York
+  assert.equal(isMarketHours(Date.parse('2025-06-02T13:00:00Z')), false); // 09:00
+  assert.equal(isMarketHours(Date.parse('2025-06-02T20:30:00Z')), false); // 16:30
+  assert.equal(isMarketHours(Date.parse('2025-06-07T15:00:00Z')), false); // Saturday
+  assert.equal(isMarketHours(Date.parse('2025-01-06T15:00:00Z')), true); // Winter (EST) 10:00
+});
+
+test('coalesces concurrent requests and serves repeats from cache', async () => {
+  const inner = countingProvider();
+  let clock = Date.parse('2025-06-02T14:00:00Z');
+  const provider = createCachingProvider(inner, { marketHoursTtlMs: 60000, afterHoursTtlMs: 600000, now: () => clock });
+
+  const [a, b] = await Promise.all([provider.getQuote('AAPL'), provider.getQuote('AAPL')]);
+  assert.equal(a, b);
+  assert.equal(inner.calls.length, 1);
+
+  const tracker = createFetchTracker();
+  clock += 30000;
+  await provider.getQuote('AAPL', tracker);
+  assert.equal(inner.calls.length, 1);
+  assert.deepEqual(tracker.summary(clock), { asOf: Math.floor((clock - 30000) / 1000), cached: true });
+
+  clock += 31000; // Past the market-hours TTL
+  await provider.getQuote('AAPL');
+  assert.equal(inner.calls.length, 2);
+});
+
+test('keys chains by expiration and uses the after-hours TTL', async () => {
+  const inner = countingProvider();
+  let clock = Date.parse('2025-06-02T22:00:00Z');
+  const provider = createCachingProvider(inner, { marketHoursTtlMs: 60000, afterHoursTtlMs: 600000, now: () => clock });
+  const first = new Date('2025-06-06T00:00:00Z');
+  const second = new Date('2025-06-13T00:00:00Z');
+  await provider.getChain('AAPL', first);
+  await provider.getChain('AAPL', second);
+  clock += 300000;
+  await provider.getChain('AAPL', new Date(first.getTime()));
+  assert.equal(inner.calls.length, 2);
+});
+
+test('does not cache failures', async () => {
+  const inner = countingProvider();
+  const provider = createCachingProvider(inner);
+  await assert.rejects(provider.getQuote('FAIL'), /upstream down/);
+  await assert.rejects(provider.getQuote('FAIL'), /upstream down/);
+  assert.equal(inner.calls.length, 2);
+});
+
+test('sweeps expired entries as new ones are stored and caps history on its own', async () => {
+  const inner = countingProvider();
+  let clock = Date.parse('2025-06-02T22:00:00Z');
+  const provider = createCachingProvider(inner, { afterHoursTtlMs: 600000, now: () => clock });
+  await provider.getQuote('AAPL');
+  await provider.getQuote('MSFT');
+  clock += 600000;
+  await provider.getQuote('NVDA');
+  assert.equal(provider.size(), 1);
+
+  for (let i = 0; i <= MAX_HISTORY_ENTRIES; i++) await provider.getHistory(`S${i}`);
+  await provider.getQuote('NVDA');
+  assert.equal(provider.size(), MAX_HISTORY_ENTRIES + 1, 'the quote stays while history evicts its oldest');
+  await provider.getHistory('S0');
+  assert.equal(inner.calls.filter(([method, symbol]) => method === 'getHistory' && symbol === 'S0').length, 2);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXIT_CODES, parseWatchlist, runCli } = require('../lib/cli');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+
+// The recorded AAPL chains, moved to the current date so they are not expired
+const fixtures = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR });
+const providers = { quotes: fixtures, chains: fixtures, history: fixtures };
+
+async function run(args, { files = {} } = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(args, {
+    providers,
+    stdout: (text) => { stdout += text; },
+    stderr: (text) => { stderr += text; },
+    readFile: async (file) => {
+      if (!(file in files)) throw new Error('ENOENT');
+      return files[file];
+    },
+  });
+  return { code, stdout, stderr };
+}
+
+test('weeks prints the analysis in each format and exits on whether a contract met its target', async () => {
+  const table = await run(['weeks', 'aapl', '--expirations', '1']);
+  assert.equal(table.code, EXIT_CODES.met);
+  assert.match(table.stdout, /^AAPL covered calls at \$200\.50/);
+  assert.match(table.stdout, /Strike +OTM %/);
+
+  const json = JSON.parse((await run(['weeks', 'AAPL', '-f', 'json', '--expirations', '1'])).stdout);
+  assert.equal(json.schema, 'options-analyzer/contracts');
+  assert.equal(json.source, 'options-weeks');
+  assert.equal(json.settings.expirations, 1);
+  assert.ok(json.contracts.some(c => c.meetsTarget));
+
+  const csv = (await run(['weeks', 'AAPL', '--format', 'csv', '--expirations', '1'])).stdout.trim().split('\n');
+  assert.match(csv[0], /^symbol,optionType,expiration,/);
+  assert.equal(csv.length, json.contracts.length + 1);
+
+  const missed = await run(['weeks', 'AAPL', '--weekly-target', '9', '--biweekly-target', '15']);
+  assert.equal(missed.code, EXIT_CODES.notMet);
+});
+
+test('scan reads a watchlist file and reports failed symbols on stderr', async () => {
+  const files = { 'watchlist.txt': '# Tech\nAAPL, MSFT\n', 'missing.json': '["MSFT"]' };
+  const scan = await run(['scan', 'watchlist.txt', '--top', '3'], { files });
+  assert.equal(scan.code, EXIT_CODES.met);
+  assert.equal(scan.stdout.trim().split('\n').length, 5); // Header, rule and three contracts
+  assert.match(scan.stderr, /^MSFT: /);
+
+  assert.equal((await run(['scan', 'missing.json'], { files })).code, EXIT_CODES.failed);
+  assert.equal((await run(['scan', 'nowhere.txt'], { files })).code, EXIT_CODES.usage);
+});
+
+test('greeks prices one contract', async () => {
+  const [, row] = (await run(['weeks', 'AAPL', '-f', 'csv', '--expirations', '1'])).stdout.split('\n');
+  const contractSymbol = row.split(',')[4];
+  const greeks = await run(['greeks', contractSymbol, '-f', 'json']);
+  const result = JSON.parse(greeks.stdout);
+  assert.equal(result.contractSymbol, contractSymbol);
+  assert.equal(result.symbol, 'AAPL');
+  for (const field of ['delta', 'gamma', 'theta', 'vega', 'rho']) assert.ok(Number.isFinite(Number(result[field])), field);
+  assert.equal(greeks.code, result.meetsTarget && result.meetsLiquidity ? EXIT_CODES.met : EXIT_CODES.notMet);
+
+  const table = await run(['greeks', contractSymbol]);
+  assert.match(table.stdout, /^Contract +AAPL/);
+  assert.equal((await run(['greeks', 'AAPL'])).code, EXIT_CODES.usage);
+});
+
+test('quote prints each symbol and fails when one cannot be fetched', async () => {
+  const ok = await run(['quote', 'AAPL', '-f', 'csv']);
+  assert.equal(ok.code, EXIT_CODES.met);
+  assert.match(ok.stdout, /^Symbol,Price,/);
+  assert.match(ok.stdout, /\nAAPL,200\.5,/);
+
+  const failed = await run(['quote', 'AAPL', 'MSFT']);
+  assert.equal(failed.code, EXIT_CODES.failed);
+  assert.match(failed.stdout, /AAPL/);
+  assert.match(failed.stderr, /^MSFT: /);
+});
+
+test('rejects bad arguments with exit code 2', async () => {
+  for (const args of [[], ['frob'], ['weeks', 'AAPL', '--bogus'], ['weeks', 'AAPL', '-f', 'xml'], ['weeks', 'AAPL', '-t', 'straddle'], ['scan', 'x', '--top', '0'], ['weeks']]) {
+    assert.equal((await run(args)).code, EXIT_CODES.usage, args.join(' '));
+  }
+  const invalid = await run(['weeks', 'AAPL', '--otm-min', '20', '--otm-max', '5']);
+  assert.match(invalid.stderr, /^--otm-min must be below --otm-max/);
+  assert.equal((await run(['--help'])).code, EXIT_CODES.met);
+});
+
+test('parses watchlists as text or JSON', () => {
+  assert.deepEqual(parseWatchlist('AAPL MSFT\n# held\nnvda,amd # chips\n'), ['AAPL', 'MSFT', 'nvda', 'amd']);
+  assert.deepEqual(parseWatchlist('["AAPL", "MSFT"]'), ['AAPL', 'MSFT']);
+  assert.deepEqual(parseWatchlist('{ "symbols": ["AAPL"] }'), ['AAPL']);
+  assert.throws(() => parseWatchlist('[AAPL'), /not valid JSON/);
+});
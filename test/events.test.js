@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeEvents, eventsBetween, createEventCalendar } = require('../lib/events');
+const analytics = require('../lib/analytics');
+const { analyzeSymbol } = require('../lib/optionsWeeks');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+
+const NOW = Date.parse('2025-06-02T14:00:00.000Z');
+
+test('normalizes, de-duplicates and windows event dates', () => {
+  const events = normalizeEvents(
+    { earnings: [new Date('2025-07-31T20:00:00Z'), 'not a date'], exDividend: [{ date: '2025-08-11', amount: 0.25 }] },
+    { earnings: ['2025-07-31'], exDividend: [{ date: '2025-08-11', amount: '0.26' }, { date: '2025-05-12' }] },
+  );
+  assert.deepEqual(events.earnings, ['2025-07-31']);
+  assert.deepEqual(events.exDividend, [{ date: '2025-05-12', amount: null }, { date: '2025-08-11', amount: 0.26 }]);
+  assert.deepEqual(eventsBetween(events, '2025-06-01', '2025-08-11'), { earnings: ['2025-07-31'], exDividend: [{ date: '2025-08-11', amount: 0.26 }] });
+});
+
+test('merges provider events with a calendar file and reports failing sources', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'events-')), 'calendar.json');
+  fs.writeFileSync(file, JSON.stringify({ aapl: { earnings: ['2025-07-31'] } }));
+  const provider = { name: 'fake', async getEvents() { return { earnings: ['2025-06-24'], exDividend: [] }; } };
+  const events = await createEventCalendar({ provider, file }).getEvents('AAPL');
+  assert.deepEqual(events.earnings, ['2025-06-24', '2025-07-31']);
+  assert.deepEqual(events.sources, ['fake', 'calendar-file']);
+
+  const failing = { name: 'fake', async getEvents() { throw new Error('rate limited'); } };
+  const partial = await createEventCalendar({ provider: failing, file: `${file}.missing` }).getEvents('AAPL');
+  assert.deepEqual(partial.earnings, []);
+  assert.equal(partial.errors.length, 2);
+  assert.match(partial.errors[0], /rate limited/);
+});
+
+test('flags expirations spanning events and calls at risk of early exercise', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const events = await createEventCalendar({ provider }).getEvents('AAPL');
+  const [first, second] = await provider.getExpirations('AAPL');
+  const chain = await provider.getChain('AAPL', second);
+
+  const before = analytics.analyzeExpiration(await provider.getChain('AAPL', first), first, { currentPrice: 200.5, now: NOW, events });
+  assert.equal(before.spansExDividend, false);
+  assert.ok(before.calls.every(c => !c.earlyAssignmentRisk));
+
+  const spanning = analytics.analyzeExpiration(chain, second, { currentPrice: 200.5, now: NOW, events });
+  assert.deepEqual(spanning.events.exDividend, [{ date: '2025-06-09', amount: 0.26 }]);
+  assert.equal(spanning.spansEarnings, false);
+  // Every call in the band is out of the money, so none is worth exercising for the dividend
+  assert.ok(spanning.calls.some(c => parseFloat(c.extrinsicValue) < 0.26));
+  assert.ok(spanning.calls.every(c => c.strike > 200.5 && !c.earlyAssignmentRisk));
+  assert.ok(spanning.bestOption);
+
+  const risk = (strike, extrinsicValue) => analytics.hasEarlyAssignmentRisk({ strike, extrinsicValue }, { currentPrice: 200.5, dividend: 0.26 });
+  assert.equal(risk(195, '0.10'), true);
+  assert.equal(risk(195, '0.40'), false);
+  assert.equal(risk(205, '0.10'), false);
+
+  const settings = { ...analytics.DEFAULT_SETTINGS, avoidEvents: ['exDividend'] };
+  const avoided = analytics.analyzeExpiration(chain, second, { currentPrice: 200.5, now: NOW, events, settings });
+  assert.equal(avoided.excludedByEvents, true);
+  assert.equal(avoided.bestOption, null);
+  assert.match(avoided.bestOptionReason, /ex-dividend/);
+});
+
+test('options-weeks includes the symbol events', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR });
+  const result = await analyzeSymbol(provider, 'AAPL', { calendar: createEventCalendar({ provider }) });
+  assert.equal(result.events.earnings.length, 1);
+  assert.deepEqual(result.expirations.map(e => e.spansEarnings), [false, false, false, true]);
+  assert.deepEqual(result.expirations.map(e => e.spansExDividend), [false, true, true, true]);
+});
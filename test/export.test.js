@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { analyzeSymbol } = require('../lib/optionsWeeks');
+const { EXPORT_SCHEMA, EXPORT_VERSION, exportAnalysis, exportScan, exportToCsv, toCsv } = require('../lib/export');
+
+const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR });
+
+test('exports every analyzed contract in the versioned schema', async () => {
+  const analysis = await analyzeSymbol(provider, 'AAPL');
+  const document = exportAnalysis(analysis);
+  assert.equal(document.schema, EXPORT_SCHEMA);
+  assert.equal(document.version, EXPORT_VERSION);
+  assert.equal(document.symbol, 'AAPL');
+  assert.equal(document.contracts.length, analysis.expirations.reduce((sum, exp) => sum + exp.calls.length, 0));
+
+  const first = document.contracts[0];
+  assert.equal(first.expiration, new Date(analysis.expirations[0].expiration * 1000).toISOString().slice(0, 10));
+  assert.equal(typeof first.premium, 'number');
+  assert.equal(typeof first.assignmentProbabilityEnhanced, 'number');
+  const best = analysis.expirations.map(exp => exp.bestOption?.contractSymbol).filter(Boolean);
+  assert.deepEqual(document.contracts.filter(c => c.isBestOption).map(c => c.contractSymbol), best);
+});
+
+test('writes the export as CSV with one header row', async () => {
+  const document = exportAnalysis(await analyzeSymbol(provider, 'AAPL'));
+  const lines = exportToCsv(document).trim().split('\n');
+  assert.equal(lines.length, document.contracts.length + 1);
+  assert.ok(lines[0].startsWith('symbol,optionType,expiration,daysToExpiry,contractSymbol'));
+  assert.equal(lines[1].split(',')[4], document.contracts[0].contractSymbol);
+});
+
+test('ranks scan rows and keeps the header for an empty scan', () => {
+  const document = exportScan({ optionType: 'put', settings: {}, symbols: [{ symbol: 'NOPE', error: 'Unknown', qualifyingCount: 0 }], results: [] });
+  assert.equal(document.source, 'scan');
+  assert.deepEqual(document.symbols, [{ symbol: 'NOPE', underlyingPrice: null, qualifyingCount: 0, error: 'Unknown' }]);
+  assert.ok(exportToCsv(document).startsWith('rank,symbol,'));
+});
+
+test('quotes CSV values that need it', () => {
+  assert.equal(toCsv([{ a: 'x,y', b: 'say "hi"', c: null }], ['a', 'b', 'c']), 'a,b,c\n"x,y","say ""hi""",\n');
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bs = require('../lib/blackScholes');
+const { solveImpliedVolatility } = require('../lib/impliedVolatility');
+
+test('recovers the volatility used to price calls and puts', () => {
+  for (const [S, K, T, sigma, type] of [
+    [100, 105, 7 / 365, 0.32, 'call'],
+    [100, 95, 14 / 365, 0.45, 'put'],
+    [42, 40, 0.5, 0.2, 'call'],
+    [250, 180, 30 / 365, 1.2, 'put'],
+  ]) {
+    const price = bs.optionPrice(S, K, T, 0.045, sigma, type);
+    const result = solveImpliedVolatility(price, S, K, T, 0.045, type);
+    assert.equal(result.reason, null);
+    assert.ok(Math.abs(result.volatility - sigma) < 1e-4, `${type} ${K}: ${result.volatility} vs ${sigma}`);
+  }
+});
+
+test('falls back to bisection for deep OTM contracts with vanishing vega', () => {
+  const price = bs.optionPrice(100, 140, 5 / 365, 0.045, 0.9, 'call');
+  const result = solveImpliedVolatility(price, 100, 140, 5 / 365, 0.045, 'call');
+  assert.ok(Math.abs(result.volatility - 0.9) < 1e-3);
+});
+
+test('reports why no volatility fits the price', () => {
+  assert.equal(solveImpliedVolatility(4, 110, 100, 7 / 365, 0.045, 'call').reason, 'below-intrinsic');
+  assert.equal(solveImpliedVolatility(120, 110, 100, 7 / 365, 0.045, 'call').reason, 'above-max-value');
+  assert.equal(solveImpliedVolatility(0, 110, 100, 7 / 365, 0.045, 'call').reason, 'no-price');
+  assert.equal(solveImpliedVolatility(1, 110, 100, 0, 0.045, 'call').reason, 'expired');
+  assert.equal(solveImpliedVolatility(1, 110, 100, 7 / 365, 0.045, 'call').volatility, null);
+});
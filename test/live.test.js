@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { diffAnalyses } = require('../lib/live/diff');
+const { createLiveHub } = require('../lib/live/hub');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const row = (contractSymbol, strike, premium) => ({ contractSymbol, strike, premium, goalScore: '1.000' });
+const analysis = (price, rows, best = rows[0]) => ({
+  symbol: 'AAPL',
+  optionType: 'call',
+  currentPrice: price,
+  otmRange: { low: price, high: price * 1.1 },
+  expirations: [{ expiration: 1749772800, calls: rows, bestOption: best, bestOptionReason: `Best ${best.strike}` }],
+});
+
+test('diff reports changed, added and removed rows and best-option changes', () => {
+  const before = analysis(200, [row('A210', 210, '0.75'), row('A215', 215, '0.40'), row('A220', 220, '0.20')]);
+  const after = analysis(201, [row('A210', 210, '0.80'), row('A215', 215, '0.40'), row('A225', 225, '0.10')], row('A215', 215, '0.40'));
+  const diff = diffAnalyses(before, after);
+
+  assert.equal(diff.currentPrice, 201);
+  assert.equal(diff.previousPrice, 200);
+  const [exp] = diff.expirations;
+  assert.deepEqual(exp.rows.map(r => r.contractSymbol), ['A210', 'A225']);
+  assert.deepEqual(exp.changedFields.A210, ['premium']);
+  assert.deepEqual(exp.removed, ['A220']);
+  assert.deepEqual(Object.keys(exp.fields), ['bestOption', 'bestOptionReason']);
+  assert.deepEqual(diff.bestOptionChanges, [{
+    expiration: 1749772800,
+    previous: { contractSymbol: 'A210', strike: 210, premium: '0.75' },
+    current: { contractSymbol: 'A215', strike: 215, premium: '0.40' },
+    reason: 'Best 215',
+  }]);
+});
+
+test('diff is null without changes and a reset when the expiration dates roll', () => {
+  const rows = [row('A210', 210, '0.75')];
+  assert.equal(diffAnalyses(analysis(200, rows), analysis(200, rows.map(r => ({ ...r })))), null);
+  const rolled = analysis(200, rows);
+  rolled.expirations[0].expiration += 60; // Same day: not a roll
+  assert.equal(diffAnalyses(analysis(200, rows), rolled), null);
+  rolled.expirations[0].expiration += 7 * 86400;
+  assert.deepEqual(diffAnalyses(analysis(200, rows), rolled), { reset: true });
+});
+
+// Provider whose call quotes can be moved between polls
+function movingProvider() {
+  const expiration = new Date(Date.now() + 5 * DAY_MS);
+  const state = { price: 100, bids: { 102: 1.0, 104: 0.6, 106: 0.3 } };
+  return {
+    state,
+    provider: {
+      name: 'moving',
+      async getQuote(symbol) {
+        return { symbol, regularMarketPrice: state.price };
+      },
+      async getExpirations() {
+        return [expiration];
+      },
+      async getChain() {
+        return {
+          expirationDate: expiration,
+          calls: Object.entries(state.bids).map(([strike, bid]) => ({
+            contractSymbol: `XYZC${strike}`, strike: Number(strike), bid, ask: bid + 0.05, impliedVolatility: 0.3, openInterest: 100, volume: 10,
+          })),
+        };
+      },
+    },
+  };
+}
+
+// Minimal Express request/response pair that collects the SSE frames. Like a real response, it
+// refuses headers once they are sent and writes before them.
+function sseClient() {
+  const req = new EventEmitter();
+  const frames = [];
+  const res = {
+    headersSent: false,
+    set() {
+      if (this.headersSent) throw new Error('ERR_HTTP_HEADERS_SENT');
+    },
+    flushHeaders() {
+      this.headersSent = true;
+    },
+    write(text) {
+      if (!this.headersSent) throw new Error('write before headers');
+      const event = /^event: (.+)$/m.exec(text);
+      const data = /^data: (.+)$/m.exec(text);
+      if (event) frames.push({ event: event[1], data: JSON.parse(data[1]) });
+    },
+  };
+  return { req, res, frames };
+}
+
+test('hub streams the analysis, then only what changed', async () => {
+  const { state, provider } = movingProvider();
+  const now = Date.now(); // Pinned so time decay alone does not change the rows
+  const hub = createLiveHub({ provider, intervalMs: 3600000, marketHoursOnly: false, clock: () => now });
+  const first = sseClient();
+  hub.subscribe(first.req, first.res, { symbol: 'XYZ' });
+  await hub.pollAll();
+  assert.equal(first.frames[0].event, 'analysis');
+  assert.equal(first.frames[0].data.calls, undefined);
+  assert.equal(first.frames[0].data.expirations[0].calls.length, 3);
+
+  // A second subscriber with the same query shares the channel and gets the latest analysis at once
+  const second = sseClient();
+  hub.subscribe(second.req, second.res, { symbol: 'XYZ' });
+  assert.equal(hub.channelCount, 1);
+  assert.equal(second.frames[0].event, 'analysis');
+
+  await hub.pollAll();
+  assert.equal(first.frames.length, 1); // Nothing changed, nothing sent
+
+  state.bids[104] = 0.9;
+  await hub.pollAll();
+  const update = first.frames[1];
+  assert.equal(update.event, 'update');
+  assert.deepEqual(update.data.expirations[0].rows.map(r => r.contractSymbol), ['XYZC104']);
+  assert.ok(update.data.expirations[0].changedFields.XYZC104.includes('premium'));
+  assert.deepEqual(second.frames[1], update);
+
+  first.req.emit('close');
+  second.req.emit('close');
+  assert.equal(hub.channelCount, 0);
+});
+
+test('hub reports failed polls', async () => {
+  const { provider } = movingProvider();
+  const hub = createLiveHub({ provider: { ...provider, getQuote: async () => { throw new Error('Quote service down'); } }, intervalMs: 3600000, marketHoursOnly: false });
+  const client = sseClient();
+  hub.subscribe(client.req, client.res, { symbol: 'XYZ' });
+  await hub.pollAll();
+  assert.equal(client.frames[0].event, 'poll-error');
+  assert.equal(client.frames[0].data.message, 'Quote service down');
+  client.req.emit('close');
+});
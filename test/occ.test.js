@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOccSymbol, formatOccSymbol } = require('../lib/occ');
+
+test('parses OCC option symbols', () => {
+  const parsed = parseOccSymbol('AAPL250606C00207500');
+  assert.deepEqual(parsed, { symbol: 'AAPL', expiration: new Date('2025-06-06T00:00:00.000Z'), optionType: 'call', strike: 207.5 });
+  assert.equal(parseOccSymbol('spy   251219p00450000').optionType, 'put');
+  assert.equal(parseOccSymbol('BRK.B250620C00500000').symbol, 'BRK.B');
+});
+
+test('rejects malformed symbols and impossible dates', () => {
+  assert.equal(parseOccSymbol('AAPL'), null);
+  assert.equal(parseOccSymbol('AAPL250631C00200000'), null);
+  assert.equal(parseOccSymbol('AAPL250606X00200000'), null);
+  assert.equal(parseOccSymbol(null), null);
+});
+
+test('formats back to the same symbol', () => {
+  for (const symbol of ['AAPL250606C00207500', 'SPY251219P00450000', 'KO260116C00072500']) {
+    assert.equal(formatOccSymbol(parseOccSymbol(symbol)), symbol);
+  }
+});
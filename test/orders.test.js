@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { createOrderTicket, formatOrderTicket } = require('../lib/orders');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+
+test('prices a sell-to-open ticket at the mid', async () => {
+  const ticket = await createOrderTicket(provider, 'aapl250613c00210000', { quantity: 3, now: RECORDED_AT });
+  assert.equal(ticket.contractSymbol, 'AAPL250613C00210000');
+  assert.equal(ticket.side, 'sell');
+  assert.equal(ticket.positionEffect, 'open');
+  assert.equal(ticket.expiration, '2025-06-13');
+  assert.equal(ticket.limitPrice, 0.76); // (0.74 + 0.78) / 2
+  assert.equal(ticket.priceSource, 'mid');
+  assert.equal(ticket.estimatedCredit, 228);
+
+  const manual = await createOrderTicket(provider, 'AAPL250613C00210000', { limitPrice: 0.8, now: RECORDED_AT });
+  assert.equal(manual.limitPrice, 0.8);
+  assert.equal(manual.priceSource, 'manual');
+});
+
+test('rejects symbols that are not listed or expired', async () => {
+  await assert.rejects(createOrderTicket(provider, 'AAPL', { now: RECORDED_AT }), { status: 400 });
+  await assert.rejects(createOrderTicket(provider, 'AAPL250613C00999000', { now: RECORDED_AT }), { status: 404 });
+  await assert.rejects(createOrderTicket(provider, 'AAPL250613C00210000', { now: Date.parse('2025-07-01T00:00:00Z') }), { status: 400 });
+});
+
+test('formats the ticket for broker imports and as FIX text', async () => {
+  const ticket = await createOrderTicket(provider, 'AAPL250613C00210000', { quantity: 2, account: 'U123', now: RECORDED_AT });
+
+  const ibkr = formatOrderTicket(ticket, 'ibkr').body.trim().split('\n');
+  assert.equal(ibkr[1], 'SELL,2,AAPL,OPT,20250613,210,C,SMART,USD,DAY,LMT,0.76,U123,AAPL250613C00210000');
+
+  const csv = formatOrderTicket(ticket, 'csv').body.trim().split('\n');
+  assert.equal(csv[1], 'SELL_TO_OPEN,AAPL250613C00210000,2,LIMIT,0.76,DAY,AAPL,2025-06-13,210,CALL,U123');
+
+  const fix = Object.fromEntries(formatOrderTicket(ticket, 'fix').body.trim().split('|').filter(Boolean).map(f => f.split('=')));
+  assert.equal(fix[35], 'D');
+  assert.equal(fix[55], 'AAPL');
+  assert.equal(fix[200], '202506');
+  assert.equal(fix[205], '13');
+  assert.equal(fix[201], '1');
+  assert.equal(fix[54], '2');
+  assert.equal(fix[77], 'O');
+  assert.equal(fix[38], '2');
+  assert.equal(fix[44], '0.76');
+
+  assert.deepEqual(JSON.parse(formatOrderTicket(ticket, 'json').body), ticket);
+});
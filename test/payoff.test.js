@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { analyzePayoff } = require('../lib/positions/payoff');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+
+test('covered call payoff is capped at the strike', async () => {
+  const payoff = await analyzePayoff(provider, 'AAPL250613C00210000', { shares: 200, costBasis: 195, now: RECORDED_AT });
+  assert.equal(payoff.strategy, 'covered-call');
+  assert.equal(payoff.contracts, 2);
+  assert.equal(payoff.breakeven, Number((195 - payoff.premium).toFixed(2)));
+  assert.equal(payoff.maxProfit, Number(((210 - 195 + payoff.premium) * 200).toFixed(2)));
+  assert.equal(payoff.ifCalledReturnPercent, Number(((210 - 195 + payoff.premium) / 195 * 100).toFixed(3)));
+
+  const expiry = payoff.curves[payoff.curves.length - 1];
+  assert.equal(expiry.label, 'Expiry');
+  for (const { price, pnl } of expiry.points) {
+    const expected = ((Math.min(price, 210) - 195) + payoff.premium) * 200;
+    assert.ok(Math.abs(pnl - expected) < 0.01, `${price}: ${pnl} vs ${expected}`);
+  }
+  // Before expiry the short call still has time value, so P&L sits below the cap
+  const today = payoff.curves[0];
+  assert.equal(today.daysPassed, 0);
+  assert.ok(today.points[today.points.length - 1].pnl < payoff.maxProfit);
+  assert.ok(payoff.curves.length >= 3);
+});
+
+test('scenario grid crosses moves with days passed', async () => {
+  const payoff = await analyzePayoff(provider, 'AAPL250627C00210000', { now: RECORDED_AT });
+  const { moves, days, pnl } = payoff.scenarios;
+  assert.equal(pnl.length, moves.length);
+  assert.ok(pnl.every(row => row.length === days.length));
+  assert.equal(days[0], 0);
+  assert.equal(days[days.length - 1], 24);
+  // Unchanged price: time decay only helps the short call
+  const flat = pnl[moves.indexOf(0)];
+  assert.ok(flat[0] < flat[flat.length - 1]);
+  assert.equal(payoff.costBasis, 200.5);
+});
+
+test('cash-secured put payoff and errors', async () => {
+  const payoff = await analyzePayoff(provider, 'AAPL250613P00190000', { now: RECORDED_AT });
+  assert.equal(payoff.strategy, 'cash-secured-put');
+  assert.equal(payoff.maxProfit, Number((payoff.premium * 100).toFixed(2)));
+  assert.equal(payoff.breakeven, Number((190 - payoff.premium).toFixed(2)));
+  assert.equal(payoff.ifCalledReturnPercent, null);
+  await assert.rejects(analyzePayoff(provider, 'AAPL250613C00999000', { now: RECORDED_AT }), { status: 404 });
+  await assert.rejects(analyzePayoff(provider, 'AAPL250530C00200000', { now: RECORDED_AT }), { status: 400, message: /expired/ });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHoldings } = require('../lib/portfolio/holdings');
+const { planPortfolio, validatePlanOptions } = require('../lib/portfolio/planner');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Minimal market-data provider (see lib/providers): one weekly expiration, calls 2-8% out of the money
+function fakeProvider(prices) {
+  const expiration = new Date(Date.now() + 5 * DAY_MS);
+  return {
+    name: 'fake',
+    async getQuote(symbol) {
+      if (!(symbol in prices)) throw new Error(`Unknown symbol ${symbol}`);
+      return { symbol, regularMarketPrice: prices[symbol] };
+    },
+    async getExpirations() {
+      return [expiration];
+    },
+    async getChain(symbol) {
+      const spot = prices[symbol];
+      return {
+        expirationDate: expiration,
+        calls: [1.02, 1.04, 1.06, 1.08].map((m, i) => ({
+          contractSymbol: `${symbol}C${i}`,
+          strike: Math.round(spot * m),
+          bid: spot * 0.008 / (i + 1),
+          ask: spot * 0.009 / (i + 1),
+          impliedVolatility: 0.3,
+          openInterest: 100,
+        })),
+      };
+    },
+  };
+}
+
+test('parses holdings from CSV and merges duplicate symbols', () => {
+  const holdings = parseHoldings('Ticker,Qty,Avg Cost\naapl,100,150\nMSFT,"200",$300.50\nAAPL,300,170');
+  assert.deepEqual(holdings, [
+    { symbol: 'AAPL', shares: 400, costBasis: 165 },
+    { symbol: 'MSFT', shares: 200, costBasis: 300.5 },
+  ]);
+});
+
+test('rejects holdings with invalid rows', () => {
+  assert.throws(() => parseHoldings([{ symbol: 'AAPL', shares: 100, costBasis: 150 }, { symbol: 'MSFT', shares: 12.5, costBasis: 0 }]), (err) => {
+    assert.equal(err.status, 400);
+    assert.match(err.message, /row 2 \(MSFT\): shares must be a positive whole number, cost basis must be a positive price/);
+    return true;
+  });
+  assert.throws(() => parseHoldings('symbol,shares\nAAPL,100'), /cost basis columns/);
+  assert.throws(() => parseHoldings([]), /non-empty/);
+});
+
+test('validates plan parameters', () => {
+  assert.deepEqual(validatePlanOptions({ incomeTarget: '250', maxAssignmentPercent: 20 }).options, { incomeTarget: 250, maxAssignmentPercent: 20 });
+  const { options, errors } = validatePlanOptions({ incomeTarget: -1, maxAssignmentPercent: 150 });
+  assert.equal(options, null);
+  assert.equal(errors.length, 2);
+});
+
+test('plans calls within the assignment limits and never below cost basis', async () => {
+  const provider = fakeProvider({ AAPL: 200, MSFT: 400, KO: 60 });
+  const holdings = [
+    { symbol: 'AAPL', shares: 500, costBasis: 150 },
+    { symbol: 'MSFT', shares: 300, costBasis: 420 }, // Only the two highest strikes clear the cost basis
+    { symbol: 'KO', shares: 50, costBasis: 50 },
+    { symbol: 'NOPE', shares: 100, costBasis: 10 },
+  ];
+  const result = await planPortfolio(provider, holdings, { maxExpectedAssignments: 0.5, maxAssignmentPercent: 30 });
+
+  assert.deepEqual(result.skipped.map(s => s.symbol).sort(), ['KO', 'NOPE']);
+  assert.ok(result.plan.length > 0);
+  for (const line of result.plan) {
+    const holding = holdings.find(h => h.symbol === line.symbol);
+    assert.ok(line.strike >= holding.costBasis);
+    assert.ok(line.contracts <= Math.floor(holding.shares / 100));
+    assert.ok(parseFloat(line.assignmentProbabilityEnhanced) <= 30);
+    assert.ok(line.gainIfCalled >= 0);
+  }
+  assert.ok(result.totals.expectedAssignments <= 0.5 + 1e-6);
+  assert.equal(result.totals.targetMet, null);
+});
+
+test('stops writing once the income target is met', async () => {
+  const provider = fakeProvider({ AAPL: 200, MSFT: 400 });
+  const holdings = [{ symbol: 'AAPL', shares: 1000, costBasis: 150 }, { symbol: 'MSFT', shares: 1000, costBasis: 300 }];
+  const unlimited = await planPortfolio(provider, holdings, { maxExpectedAssignments: 100, maxAssignmentPercent: 100 });
+  const target = unlimited.totals.weeklyIncome / 4;
+  const result = await planPortfolio(provider, holdings, { incomeTarget: target, maxExpectedAssignments: 100, maxAssignmentPercent: 100 });
+
+  assert.equal(result.totals.targetMet, true);
+  assert.equal(result.totals.shortfall, 0);
+  assert.ok(result.totals.contracts < unlimited.totals.contracts);
+  assert.ok(result.totals.expectedAssignments < unlimited.totals.expectedAssignments);
+
+  const short = await planPortfolio(provider, holdings, { incomeTarget: unlimited.totals.weeklyIncome * 10, maxExpectedAssignments: 100, maxAssignmentPercent: 100 });
+  assert.equal(short.totals.targetMet, false);
+  assert.ok(short.totals.shortfall > 0);
+});
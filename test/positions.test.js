@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonCollection } = require('../lib/jsonStore');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { validatePosition, revaluePosition } = require('../lib/positions/valuation');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+
+test('validates positions and derives contract details', () => {
+  const { position } = validatePosition({ contractSymbol: 'aapl250606c00207500', sharesCovered: 200, fillPrice: '1.25', openDate: '2025-06-02' });
+  assert.deepEqual(position, {
+    contractSymbol: 'AAPL250606C00207500', symbol: 'AAPL', optionType: 'call', strike: 207.5, expiration: '2025-06-06',
+    sharesCovered: 200, fillPrice: 1.25, openDate: '2025-06-02',
+  });
+  const { errors } = validatePosition({ contractSymbol: 'AAPL', sharesCovered: 150, fillPrice: 0, openDate: '06/02/2025' });
+  assert.equal(errors.length, 4);
+  assert.deepEqual(validatePosition({ fillPrice: 0.5 }, { partial: true }).position, { fillPrice: 0.5 });
+});
+
+test('revalues a short call against the chain', async () => {
+  const { position } = validatePosition({ contractSymbol: 'AAPL250606C00210000', sharesCovered: 300, fillPrice: 2.0 });
+  const valuation = await revaluePosition(position, provider, { now: RECORDED_AT });
+  assert.equal(valuation.markSource, 'mid');
+  assert.equal(valuation.contracts, 3);
+  assert.equal(valuation.maxProfit, 600);
+  assert.ok(valuation.profitCapturedPercent > 80);
+  assert.equal(valuation.pnl, Number(((2 - valuation.mark) * 300).toFixed(2)));
+  assert.equal(valuation.flags.closeAtProfit, true);
+  assert.equal(valuation.flags.atRiskOfAssignment, false);
+  assert.match(valuation.suggestions[0], /^Close:/);
+});
+
+test('flags in-the-money calls as at risk of assignment', async () => {
+  const { position } = validatePosition({ contractSymbol: 'AAPL250613C00195000', sharesCovered: 100, fillPrice: 3.1 });
+  const valuation = await revaluePosition(position, provider, { now: RECORDED_AT });
+  assert.equal(valuation.inTheMoney, true);
+  assert.equal(valuation.flags.atRiskOfAssignment, true);
+  assert.ok(valuation.pnl < 0);
+});
+
+test('marks expired positions at intrinsic value', async () => {
+  const { position } = validatePosition({ contractSymbol: 'AAPL250530C00195000', sharesCovered: 100, fillPrice: 1 });
+  const valuation = await revaluePosition(position, provider, { now: RECORDED_AT });
+  assert.equal(valuation.markSource, 'intrinsic');
+  assert.equal(valuation.mark, 5.5);
+  assert.equal(valuation.flags.expired, true);
+});
+
+test('persists records in a JSON collection', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'positions-'));
+  try {
+    const store = createJsonCollection(path.join(dir, 'nested', 'positions.json'));
+    const [a, b] = await Promise.all([store.insert({ fillPrice: 1 }), store.insert({ fillPrice: 2 })]);
+    assert.equal((await store.list()).length, 2);
+    assert.equal((await store.update(a.id, { fillPrice: 1.5 })).fillPrice, 1.5);
+    assert.equal(await store.update('missing', {}), null);
+    assert.equal(await store.remove(b.id), true);
+    assert.deepEqual((await store.list()).map(p => p.fillPrice), [1.5]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bs = require('../lib/blackScholes');
+const { probabilityOfTouch, expectedMove, simulateFinishWithin } = require('../lib/probability');
+const analytics = require('../lib/analytics');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+
+test('probability of touch is about twice the expiry probability without drift', () => {
+  const T = 14 / 365;
+  const sigma = 0.3;
+  for (const [strike, type] of [[105, 'call'], [95, 'put']]) {
+    const touch = probabilityOfTouch(100, strike, T, sigma * sigma / 2, sigma, type);
+    const { d2 } = bs.d1d2(100, strike, T, sigma * sigma / 2, sigma);
+    const atExpiry = type === 'call' ? bs.normalCDF(d2) : bs.normalCDF(-d2);
+    assert.ok(Math.abs(touch - 2 * atExpiry) < 1e-6, `${type}: ${touch} vs ${2 * atExpiry}`);
+  }
+  assert.equal(probabilityOfTouch(100, 95, T, 0.045, 0.3, 'call'), 1);
+  assert.equal(probabilityOfTouch(100, 105, 0, 0.045, 0.3, 'call'), 0);
+});
+
+test('expected move is spot x sigma x sqrt(T)', () => {
+  const move = expectedMove(200, 0.25, 0.25);
+  assert.equal(move.amount, 25);
+  assert.equal(move.percent, 12.5);
+  assert.deepEqual([move.low, move.high], [175, 225]);
+});
+
+test('Monte Carlo finish-in-band matches the lognormal closed form', () => {
+  const [S, T, r, sigma, low, high] = [100, 21 / 365, 0.045, 0.3, 101, 110];
+  const sd = sigma * Math.sqrt(T);
+  const z = (K) => (Math.log(K / S) - (r - sigma * sigma / 2) * T) / sd;
+  const exact = bs.normalCDF(z(high)) - bs.normalCDF(z(low));
+  const estimate = simulateFinishWithin(S, T, r, sigma, low, high, { paths: 20000 });
+  assert.ok(Math.abs(estimate - exact) < 0.01, `${estimate} vs ${exact}`);
+  assert.equal(simulateFinishWithin(S, T, r, sigma, low, high, { paths: 20000 }), estimate); // Seeded
+});
+
+test('options-weeks expirations report expected move, touch and band probabilities', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const [expiration] = await provider.getExpirations('AAPL');
+  const chain = await provider.getChain('AAPL', expiration);
+  const now = Date.parse('2025-06-02T14:00:00.000Z');
+  const result = analytics.analyzeExpiration(chain, expiration, { currentPrice: 200.5, now });
+  assert.equal(result.atmVolatilitySource, 'atm');
+  assert.ok(result.expectedMove.low < 200.5 && result.expectedMove.high > 200.5);
+  assert.ok(Math.abs(result.expectedMove.amount - 200.5 * result.atmImpliedVolatility * Math.sqrt((expiration - now) / (365 * 86400000))) < 0.01);
+  const band = parseFloat(result.finishInOtmBandProbability);
+  assert.ok(band > 0 && band < 100);
+  for (const call of result.calls) assert.ok(parseFloat(call.probabilityOfTouch) >= parseFloat(call.assignmentProbability));
+});
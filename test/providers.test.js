@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProviders, DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { createFixtureProvider, recordFixture } = require('../lib/providers/fixture');
+const { createStooqProvider } = require('../lib/providers/stooq');
+const { analyzeSymbol } = require('../lib/optionsWeeks');
+
+const DAY_MS = 24 * 3600 * 1000;
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+
+test('selects providers from the environment', () => {
+  const live = createProviders({ env: {}, yf: {}, http: {} });
+  assert.equal(live.quotes.name, 'stooq');
+  assert.equal(live.chains.name, 'yahoo');
+  assert.equal(live.history.name, 'stooq');
+  const offline = createProviders({ env: { MARKET_DATA_PROVIDER: 'fixture' } });
+  assert.equal(offline.quotes.name, 'fixture');
+  assert.throws(() => createProviders({ env: { MARKET_DATA_PROVIDER: 'bloomberg' } }), /Unknown MARKET_DATA_PROVIDER/);
+});
+
+test('replays fixtures shifted to the current time', async () => {
+  const now = Date.parse('2026-01-05T15:00:00.000Z');
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, now: () => now });
+  const expirations = await provider.getExpirations('AAPL');
+  assert.equal(expirations.length, 4);
+  assert.equal(expirations[0].getTime() - now, Date.parse('2025-06-06T00:00:00.000Z') - RECORDED_AT);
+  const chain = await provider.getChain('AAPL', expirations[1]);
+  assert.ok(chain.calls.length > 0 && chain.puts.length > 0);
+  // Contract symbols carry the shifted expiry date
+  assert.equal(chain.puts.find(p => p.strike === 200).contractSymbol, 'AAPL260116P00200000');
+  assert.equal((await provider.getQuote('AAPL')).regularMarketPrice, 200.5);
+  await assert.rejects(provider.getQuote('MISSING'), { status: 404 });
+  await assert.rejects(provider.getQuote('../etc'), { status: 404 });
+});
+
+test('runs the full analysis offline', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR });
+  const result = await analyzeSymbol(provider, 'AAPL');
+  assert.equal(result.currentPrice, 200.5);
+  assert.equal(result.expirations.length, 4);
+  assert.equal(result.expirations[0].calls[0].daysToExpiry, 3);
+  assert.ok(result.expirations.some(exp => exp.bestOption));
+});
+
+test('recorded fixtures round-trip through the fixture provider', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const source = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const fixture = await recordFixture(source, 'AAPL', { expirationCount: 2, now: RECORDED_AT });
+  assert.equal(fixture.chains.length, 2);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'AAPL.json'), JSON.stringify(fixture));
+    const replay = createFixtureProvider({ dir, shiftToNow: false });
+    const [first] = await replay.getExpirations('AAPL');
+    assert.deepEqual((await replay.getChain('AAPL', first)).calls, fixture.chains[0].calls);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('parses Stooq CSV quotes', async () => {
+  const http = { get: async () => ({ data: 'Symbol,Date,Time,Open,High,Low,Close,Volume\nAAPL.US,2025-06-02,22:00:00,199,201,198,200.5,1000\n' }) };
+  const quote = await createStooqProvider(http).getQuote('AAPL');
+  assert.equal(quote.regularMarketPrice, 200.5);
+  assert.equal(quote.exchange, 'STOOQ');
+  const empty = { get: async () => ({ data: 'AAPL.US,N/D,N/D,N/D,N/D,N/D,N/D,N/D' }) };
+  await assert.rejects(createStooqProvider(empty).getQuote('AAPL'), { status: 404, message: 'Invalid price' });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { analyzeRoll } = require('../lib/positions/roll');
+const { findExpiration, resolveContract } = require('../lib/positions/contract');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+
+test('lists later, same-or-higher strike calls ranked by roll score', async () => {
+  const roll = await analyzeRoll(provider, 'AAPL250606C00200000', { contracts: 2, now: RECORDED_AT });
+  assert.equal(roll.symbol, 'AAPL');
+  assert.equal(roll.buyToClose.source, 'mid');
+  assert.equal(roll.buyToClose.total, Number((roll.buyToClose.price * 200).toFixed(2)));
+  assert.deepEqual(roll.expirations.map(e => new Date(e * 1000).toISOString().slice(0, 10)), ['2025-06-13', '2025-06-20', '2025-06-27']);
+  assert.ok(roll.candidates.length > 0);
+  for (const c of roll.candidates) {
+    assert.ok(c.strike >= 200);
+    assert.ok(c.daysAdded >= 7);
+    assert.equal(c.netCredit, Number((parseFloat(c.premium) - roll.buyToClose.price).toFixed(2)));
+    assert.equal(c.isCredit, c.netCredit > 0);
+  }
+  const scores = roll.candidates.map(c => c.rollScore);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.ok(roll.candidates[0].isCredit);
+  assert.ok(roll.candidates[0].annualizedReturnPercent > 0);
+});
+
+test('respects maxDays and rolls puts down', async () => {
+  const roll = await analyzeRoll(provider, 'AAPL250606P00200000', { maxDays: 14, now: RECORDED_AT });
+  assert.equal(roll.optionType, 'put');
+  assert.equal(roll.expirations.length, 1);
+  assert.ok(roll.candidates.every(c => c.strike <= 200));
+});
+
+test('rejects malformed and expired contracts', async () => {
+  await assert.rejects(analyzeRoll(provider, 'AAPL', { now: RECORDED_AT }), { status: 400 });
+  await assert.rejects(analyzeRoll(provider, 'AAPL250530C00200000', { now: RECORDED_AT }), { status: 400, message: /expired/ });
+});
+
+test('resolves a contract to its listed expiration and chain row', async () => {
+  const { contract, expiration, expirations, raw } = await resolveContract(provider, 'AAPL250606C00200000', { now: RECORDED_AT });
+  assert.equal(contract.symbol, 'AAPL');
+  assert.equal(expiration.toISOString().slice(0, 10), '2025-06-06');
+  assert.deepEqual(expirations, expirations.slice().sort((a, b) => a - b));
+  assert.equal(raw.strike, 200);
+  assert.equal((await resolveContract(provider, 'AAPL250606C00999000', { now: RECORDED_AT })).raw, null);
+
+  // Still trading on the expiry day itself
+  const expiryDay = Date.parse('2025-06-06T19:00:00.000Z');
+  assert.equal((await findExpiration(provider, 'AAPL', '2025-06-06', { now: expiryDay })).expiration.getTime(), expiration.getTime());
+  await assert.rejects(findExpiration(provider, 'AAPL', '2025-06-07', { now: RECORDED_AT, listedOnly: true }), { status: 404 });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, normalizeSymbols, scanSymbols } = require('../lib/scan');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Minimal market-data provider (see lib/providers)
+function fakeProvider(prices) {
+  const expiration = new Date(Date.now() + 5 * DAY_MS);
+  return {
+    name: 'fake',
+    async getQuote(symbol) {
+      if (!(symbol in prices)) throw new Error(`Unknown symbol ${symbol}`);
+      return { symbol, regularMarketPrice: prices[symbol] };
+    },
+    async getExpirations() {
+      return [expiration];
+    },
+    async getChain(symbol) {
+      const spot = prices[symbol];
+      return {
+        expirationDate: expiration,
+        calls: [1.02, 1.05].map((m, i) => ({
+          contractSymbol: `${symbol}C${i}`,
+          strike: Math.round(spot * m),
+          bid: spot * 0.006 / (i + 1),
+          ask: spot * 0.007 / (i + 1),
+          impliedVolatility: 0.3,
+          openInterest: 100,
+        })),
+      };
+    },
+  };
+}
+
+test('limits the number of calls in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (n) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return n * 2;
+  });
+  assert.deepEqual(results, [2, 4, 6, 8, 10, 12, 14]);
+  assert.equal(peak, 3);
+});
+
+test('normalizes watchlist symbols', () => {
+  assert.deepEqual(normalizeSymbols([' aapl', 'MSFT', 'aapl', '']), ['AAPL', 'MSFT']);
+  assert.equal(normalizeSymbols('AAPL'), null);
+  assert.equal(normalizeSymbols([]), null);
+});
+
+test('ranks contracts across symbols and reports failures inline', async () => {
+  const provider = fakeProvider({ AAPL: 200, MSFT: 400 });
+  const scan = await scanSymbols(provider, ['AAPL', 'NOPE', 'MSFT'], { top: 3 });
+  assert.equal(scan.failedCount, 1);
+  assert.deepEqual(scan.symbols.map(s => [s.symbol, Boolean(s.error)]), [['AAPL', false], ['NOPE', true], ['MSFT', false]]);
+  assert.match(scan.symbols[1].error, /Unknown symbol NOPE/);
+  assert.equal(scan.results.length, 3);
+  const scores = scan.results.map(r => parseFloat(r.goalScore));
+  assert.deepEqual(scores, scores.slice().sort((a, b) => b - a));
+  assert.ok(scan.results.every(r => r.meetsTarget && ['AAPL', 'MSFT'].includes(r.symbol)));
+});
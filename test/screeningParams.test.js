@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS } = require('../lib/analytics');
+const { parseScreeningQuery, describeScreeningSettings } = require('../lib/screeningParams');
+
+test('defaults round-trip through the query representation', () => {
+  const { settings, errors } = parseScreeningQuery({});
+  assert.deepEqual(errors, []);
+  assert.deepEqual(describeScreeningSettings(settings), describeScreeningSettings(DEFAULT_SETTINGS));
+  assert.deepEqual(describeScreeningSettings(DEFAULT_SETTINGS), {
+    expirations: 4, otmMin: 0.1, otmMax: 10, weeklyTarget: 0.25, biweeklyTarget: 0.5,
+    riskFreeRate: 4.5, maxAssignment: 30, weeklyMaxDays: 8, biweeklyMaxDays: 16,
+    maxSpread: 25, minOpenInterest: 10, minVolume: 0, fillSpread: 25, avoidEvents: [],
+  });
+});
+
+test('maps percent parameters onto the settings object', () => {
+  const { settings } = parseScreeningQuery({ expirations: '2', otmMin: '1', otmMax: '5', weeklyTarget: '0.25', riskFreeRate: '5' });
+  assert.equal(settings.expirationCount, 2);
+  assert.deepEqual(settings.callOtmRange, [1.01, 1.05]);
+  assert.deepEqual(settings.putOtmRange, [0.95, 0.99]);
+  assert.equal(settings.weeklyTarget, 0.0025);
+  assert.equal(settings.riskFreeRate, 0.05);
+  assert.equal(settings.biweeklyTarget, DEFAULT_SETTINGS.biweeklyTarget);
+});
+
+test('rejects malformed and out-of-range values', () => {
+  assert.match(parseScreeningQuery({ expirations: 'four' }).errors[0], /expirations .* must be a number/);
+  assert.match(parseScreeningQuery({ expirations: '2.5' }).errors[0], /whole number/);
+  assert.match(parseScreeningQuery({ otmMax: '80' }).errors[0], /between 0 and 50/);
+  assert.match(parseScreeningQuery({ otmMin: ['1', '2'] }).errors[0], /must be a number/);
+  assert.deepEqual(parseScreeningQuery({ otmMin: '5', otmMax: '3' }).errors, ['otmMin must be below otmMax']);
+  assert.deepEqual(parseScreeningQuery({ weeklyMaxDays: '20' }).errors, ['weeklyMaxDays must be below biweeklyMaxDays']);
+  assert.equal(parseScreeningQuery({ riskFreeRate: '-1' }).settings, null);
+});
+
+test('parses the event types to avoid', () => {
+  assert.deepEqual(parseScreeningQuery({ avoidEvents: 'earnings, exDividend' }).settings.avoidEvents, ['earnings', 'exDividend']);
+  assert.deepEqual(parseScreeningQuery({ avoidEvents: ['earnings'] }).settings.avoidEvents, ['earnings']);
+  assert.deepEqual(parseScreeningQuery({ avoidEvents: 'none' }, { ...DEFAULT_SETTINGS, avoidEvents: ['earnings'] }).settings.avoidEvents, []);
+  assert.match(parseScreeningQuery({ avoidEvents: 'splits' }).errors[0], /unknown event type splits/);
+});
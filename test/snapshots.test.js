@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshotStore, createSnapshotStores, snapshotDate } = require('../lib/snapshots/store');
+const { createRecordingProvider, createSnapshotProvider } = require('../lib/snapshots/recorder');
+const { analyzeSymbol } = require('../lib/optionsWeeks');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Round-trips through JSON like a stored snapshot
+const stored = (value) => JSON.parse(JSON.stringify(value));
+
+test('appends snapshots per symbol and day and lists them newest first', async (t) => {
+  const dir = tempDir(t);
+  const store = createSnapshotStore(dir);
+  const analysis = (price) => ({ currentPrice: price, settings: {}, expirations: [{ expiration: 1749772800, calls: [{}, {}], bestOption: { contractSymbol: 'AAPL250613C00210000', strike: 210, premium: '0.75' }, bestOptionReason: 'Meets weekly target' }] });
+
+  const first = await store.save({ symbol: 'AAPL', optionType: 'call', analysis: analysis(200) }, new Date('2025-06-02T14:00:00Z'));
+  const second = await store.save({ symbol: 'AAPL', optionType: 'put', analysis: analysis(201) }, new Date('2025-06-03T15:30:00Z'));
+  await store.save({ symbol: 'MSFT', optionType: 'call', analysis: analysis(400) }, new Date('2025-06-03T15:31:00Z'));
+
+  assert.match(first.id, /^20250602T140000Z-[0-9a-f]{6}$/);
+  assert.equal(snapshotDate(second.id), '2025-06-03');
+  assert.ok(fs.existsSync(path.join(dir, 'AAPL', '2025-06-02.jsonl')));
+
+  assert.deepEqual(await store.symbols(), [{ symbol: 'AAPL', dates: ['2025-06-02', '2025-06-03'] }, { symbol: 'MSFT', dates: ['2025-06-03'] }]);
+  const listed = await store.list('AAPL');
+  assert.deepEqual(listed.map(s => s.id), [second.id, first.id]);
+  assert.equal(listed[1].underlyingPrice, 200);
+  assert.equal(listed[1].expirations[0].contractCount, 2);
+  assert.equal(listed[1].expirations[0].bestOption.strike, 210);
+  assert.equal(listed[1].expirations[0].bestOptionReason, 'Meets weekly target');
+  assert.deepEqual((await store.list('AAPL', { from: '2025-06-03' })).map(s => s.id), [second.id]);
+  assert.deepEqual((await store.list('AAPL', { optionType: 'call' })).map(s => s.id), [first.id]);
+  assert.equal((await store.list('AAPL', { limit: 1 })).length, 1);
+
+  assert.deepEqual((await store.get('AAPL', first.id)).analysis, analysis(200));
+  assert.equal(await store.get('AAPL', 'not-an-id'), null);
+  assert.equal(await store.get('../AAPL', first.id), null);
+});
+
+test('skips a partially written line', async (t) => {
+  const dir = tempDir(t);
+  const store = createSnapshotStore(dir);
+  const saved = await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-06-02T14:00:00Z'));
+  fs.appendFileSync(path.join(dir, 'AAPL', '2025-06-02.jsonl'), '{"id":"20250602T140500Z-abcdef","sym');
+  assert.deepEqual((await store.list('AAPL')).map(s => s.id), [saved.id]);
+});
+
+test('stores the same query at most once per interval', async (t) => {
+  const store = createSnapshotStore(tempDir(t), { minIntervalMs: 5 * 60 * 1000 });
+  const settings = { weeklyTarget: 0.0025 };
+  const first = await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { settings, expirations: [] } }, new Date('2025-06-02T14:00:00Z'));
+  const again = await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { settings, expirations: [] } }, new Date('2025-06-02T14:04:00Z'));
+  assert.deepEqual(again, { id: first.id, takenAt: first.takenAt, reused: true });
+  // A different type or different settings is another query
+  await store.save({ symbol: 'AAPL', optionType: 'put', analysis: { settings, expirations: [] } }, new Date('2025-06-02T14:04:00Z'));
+  await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { settings: { weeklyTarget: 0.004 }, expirations: [] } }, new Date('2025-06-02T14:04:00Z'));
+  const later = await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { settings, expirations: [] } }, new Date('2025-06-02T14:05:00Z'));
+  assert.equal(later.reused, undefined);
+  assert.equal((await store.list('AAPL')).length, 4);
+});
+
+test('deletes day files older than the retention period', async (t) => {
+  const dir = tempDir(t);
+  const store = createSnapshotStore(dir, { retentionDays: 30 });
+  await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-04-01T14:00:00Z'));
+  await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-05-10T14:00:00Z'));
+  await store.save({ symbol: 'MSFT', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-04-01T14:00:00Z'));
+  await store.save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-06-02T14:00:00Z'));
+  assert.deepEqual(await store.symbols(), [
+    { symbol: 'AAPL', dates: ['2025-05-10', '2025-06-02'] },
+    // Pruned only when it is saved again
+    { symbol: 'MSFT', dates: ['2025-04-01'] },
+  ]);
+});
+
+test('keeps snapshots apart per user', async (t) => {
+  const dir = tempDir(t);
+  const stores = createSnapshotStores(dir);
+  const alice = '0b6f2a9e-8c1d-4e5f-9a7b-3c2d1e0f4a5b';
+  const guests = await stores.forUser(null).save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-06-02T14:00:00Z'));
+  const alices = await stores.forUser(alice).save({ symbol: 'AAPL', optionType: 'call', analysis: { expirations: [] } }, new Date('2025-06-02T14:01:00Z'));
+  assert.equal(stores.forUser(alice), stores.forUser(alice));
+  assert.deepEqual((await stores.forUser(alice).list('AAPL')).map(s => s.id), [alices.id]);
+  assert.deepEqual((await stores.forUser(null).list('AAPL')).map(s => s.id), [guests.id]);
+  assert.equal(await stores.forUser(alice).get('AAPL', guests.id), null);
+  assert.equal(await stores.forUser('4f1c7d2e-0a9b-4c8d-8e7f-6a5b4c3d2e1f').get('AAPL', alices.id), null);
+  // Other users' directories are not listed as symbols
+  assert.deepEqual((await stores.forUser(null).symbols()).map(s => s.symbol), ['AAPL']);
+  assert.throws(() => stores.forUser('../AAPL'), /Invalid user id/);
+});
+
+test('replaying a recorded analysis reproduces it', async () => {
+  const recorder = createRecordingProvider(createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false }));
+  const original = await analyzeSymbol(recorder.provider, 'AAPL', { now: RECORDED_AT });
+  const snapshot = stored({ id: 'x', takenAt: new Date(RECORDED_AT).toISOString(), symbol: 'AAPL', optionType: 'call', ...recorder.captured(), analysis: original });
+  assert.equal(snapshot.quote.regularMarketPrice, original.currentPrice);
+  assert.equal(snapshot.chains.length, original.expirations.length);
+
+  const replayed = await analyzeSymbol(createSnapshotProvider(snapshot), 'AAPL', { now: RECORDED_AT });
+  assert.equal(replayed.asOf, Math.floor(RECORDED_AT / 1000));
+  assert.deepEqual(replayed.expirations.map(e => e.expiration), original.expirations.map(e => e.expiration));
+  replayed.expirations.forEach((exp, i) => {
+    assert.equal(exp.bestOption?.contractSymbol, original.expirations[i].bestOption?.contractSymbol);
+    assert.equal(exp.bestOptionReason, original.expirations[i].bestOptionReason);
+    assert.deepEqual(exp.calls.map(c => c.premium), original.expirations[i].calls.map(c => c.premium));
+  });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stockLeg, classifyStrategy, evaluateStrategy, validateStrategyOptions, analyzeStrategy } = require('../lib/strategies/strategy');
+const { suggestStrategies } = require('../lib/strategies/suggest');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const T = 14 / 365;
+
+// A priced option leg as optionLeg() builds it, Greeks per share
+const leg = (type, side, strike, price, extra = {}) => ({
+  type, side, strike, price, quantity: 1, volatility: 0.3, delta: 0, gamma: 0, theta: 0, vega: 0, liquidityScore: 100, meetsLiquidity: true, ...extra,
+});
+
+test('call credit spread: credit, capped loss, one breakeven', () => {
+  const legs = [leg('call', 'short', 105, 2, { delta: 0.4, theta: -0.05 }), leg('call', 'long', 110, 0.5, { delta: 0.2, theta: -0.03 })];
+  const result = evaluateStrategy(legs, { currentPrice: 100, timeToExpiry: T });
+  assert.equal(result.strategy, 'call-credit-spread');
+  assert.equal(result.netCredit, 150);
+  assert.equal(result.maxProfit, 150);
+  assert.equal(result.maxLoss, 350);
+  assert.deepEqual(result.breakevens, [106.5]);
+  assert.equal(result.greeks.delta, -20);
+  assert.equal(result.greeks.theta, 2);
+  assert.equal(result.returnOnRisk, 0.429);
+  assert.ok(result.probabilityOfProfit > 50 && result.probabilityOfProfit < 100);
+});
+
+test('collar: shares plus short call and long put bound both sides', () => {
+  const legs = [stockLeg({ side: 'long', quantity: 100 }, 100), leg('call', 'short', 105, 1.5), leg('put', 'long', 95, 1)];
+  const result = evaluateStrategy(legs, { currentPrice: 100, timeToExpiry: T });
+  assert.equal(result.strategy, 'collar');
+  assert.equal(result.netCredit, 50);
+  assert.equal(result.stockCost, 10000);
+  assert.equal(result.maxProfit, 550);
+  assert.equal(result.maxLoss, 450);
+  assert.deepEqual(result.breakevens, [99.5]);
+  assert.equal(result.greeks.delta, 100);
+});
+
+test('short strangle: unlimited loss, profit between the breakevens', () => {
+  const legs = [leg('call', 'short', 110, 1), leg('put', 'short', 90, 1)];
+  const result = evaluateStrategy(legs, { currentPrice: 100, timeToExpiry: T });
+  assert.equal(result.strategy, 'short-strangle');
+  assert.equal(result.maxProfit, 200);
+  assert.equal(result.maxLoss, null);
+  assert.equal(result.score, null);
+  assert.deepEqual(result.breakevens, [88, 112]);
+  assert.ok(result.probabilityOfProfit > 50);
+  // Widening the strikes only adds to the chance of finishing between them
+  const wider = evaluateStrategy([leg('call', 'short', 115, 1), leg('put', 'short', 85, 1)], { currentPrice: 100, timeToExpiry: T });
+  assert.ok(wider.probabilityOfProfit > result.probabilityOfProfit);
+});
+
+test('names common shapes', () => {
+  assert.equal(classifyStrategy([leg('put', 'short', 95, 1), leg('put', 'long', 90, 1)]), 'put-credit-spread');
+  assert.equal(classifyStrategy([leg('call', 'long', 100, 1), leg('put', 'long', 100, 1)]), 'long-straddle');
+  assert.equal(classifyStrategy([leg('call', 'short', 105, 1)]), 'short-call');
+  assert.equal(classifyStrategy([leg('call', 'short', 105, 1), leg('call', 'short', 110, 1), leg('put', 'long', 90, 1)]), 'custom');
+});
+
+test('validates strategy requests', () => {
+  const { options } = validateStrategyOptions({ expiration: '2025-06-13', legs: [{ type: 'Call', side: 'short', strike: '210' }, { type: 'stock', side: 'long' }] });
+  assert.deepEqual(options.legs, [{ type: 'call', side: 'short', strike: 210, quantity: 1 }, { type: 'stock', side: 'long', quantity: 100 }]);
+  assert.equal(options.expiration.toISOString(), '2025-06-13T00:00:00.000Z');
+
+  const { options: invalid, errors } = validateStrategyOptions({ expiration: 'soon', legs: [{ type: 'future', side: 'short' }, { type: 'put', side: 'long', strike: 0 }], costBasis: -1 });
+  assert.equal(invalid, null);
+  assert.equal(errors.length, 4);
+  assert.match(validateStrategyOptions({ expiration: '2025-06-13', legs: [{ type: 'stock', side: 'long' }] }).errors.join(), /must include an option/);
+});
+
+test('prices legs from the fixture chain', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const result = await analyzeStrategy(provider, 'AAPL', {
+    expiration: new Date('2025-06-13T00:00:00Z'),
+    legs: [{ type: 'call', side: 'short', strike: 210, quantity: 2 }, { type: 'stock', side: 'long', quantity: 200 }],
+    costBasis: 190,
+    now: RECORDED_AT,
+  });
+  assert.equal(result.strategy, 'covered-call');
+  const [call, stock] = result.legs;
+  assert.equal(call.contractSymbol, 'AAPL250613C00210000');
+  assert.ok(call.price > 0.74 && call.price < 0.76); // Sold between the bid and the mid
+  assert.equal(stock.price, 190);
+  assert.equal(result.netCredit, Number((call.price * 200).toFixed(2)));
+  assert.equal(result.maxProfit, Number(((210 - 190) * 200 + result.netCredit).toFixed(2)));
+  assert.equal(result.maxLoss, Number((190 * 200 - result.netCredit).toFixed(2)));
+  assert.equal(result.payoff.length, 41);
+
+  await assert.rejects(analyzeStrategy(provider, 'AAPL', { expiration: new Date('2025-06-13T00:00:00Z'), legs: [{ type: 'call', side: 'short', strike: 211, quantity: 1 }], now: RECORDED_AT }), { status: 404 });
+  await assert.rejects(analyzeStrategy(provider, 'AAPL', { expiration: new Date('2025-06-14T00:00:00Z'), legs: [{ type: 'call', side: 'short', strike: 210, quantity: 1 }], now: RECORDED_AT }), /no 2025-06-14 expiration/);
+});
+
+test('suggests the best collar and call credit spread for an expiration', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const [expiration] = await provider.getExpirations('AAPL');
+  const chain = await provider.getChain('AAPL', expiration);
+  const { bestCollar, bestSpread } = suggestStrategies(chain, expiration, { currentPrice: 200.5, now: RECORDED_AT });
+
+  assert.equal(bestCollar.strategy, 'collar');
+  const [stock, call, put] = bestCollar.legs;
+  assert.equal(stock.quantity, 100);
+  assert.ok(call.strike > 200.5 && put.strike < 200.5);
+  assert.equal(bestSpread.strategy, 'call-credit-spread');
+  assert.ok(bestSpread.netCredit > 0);
+  assert.ok(bestSpread.legs[0].strike < bestSpread.legs[1].strike);
+  for (const suggestion of [bestCollar, bestSpread]) {
+    assert.ok(suggestion.meetsLiquidity);
+    assert.ok(suggestion.score > 0);
+  }
+});
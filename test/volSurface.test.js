@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { DEFAULT_FIXTURE_DIR } = require('../lib/providers');
+const { createJsonCollection } = require('../lib/jsonStore');
+const { createIvHistory } = require('../lib/volatility/ivHistory');
+const { MONEYNESS_GRID, interpolateSmile, constantMaturityIv, rankIv, buildVolSurface } = require('../lib/volatility/surface');
+
+const RECORDED_AT = Date.parse('2025-06-02T14:00:00.000Z');
+const DAY_MS = 24 * 3600 * 1000;
+
+test('interpolates the smile and constant-maturity IV', () => {
+  const points = [{ moneyness: 0.9, iv: 0.3 }, { moneyness: 1.1, iv: 0.2 }];
+  assert.ok(Math.abs(interpolateSmile(points, 1) - 0.25) < 1e-12);
+  assert.equal(interpolateSmile(points, 0.85), null);
+  // Total variance is linear in time: 0.2 at 10 days and 0.3 at 50 days give sqrt((0.04*10 + 0.05*20) / 30) at 30
+  const term = [{ days: 10, atmIv: 0.2 }, { days: 50, atmIv: 0.3 }];
+  assert.ok(Math.abs(constantMaturityIv(term, 30) - Math.sqrt((0.04 * 10 + (0.09 * 50 - 0.04 * 10) / 2) / 30)) < 1e-12);
+  assert.equal(constantMaturityIv(term, 5), 0.2);
+  assert.equal(constantMaturityIv(term, 90), 0.3);
+});
+
+test('ranks IV against stored history', () => {
+  const history = [0.2, 0.3, 0.4, 0.25].map((iv, i) => ({ date: `2025-01-0${i + 1}`, iv }));
+  assert.deepEqual(rankIv(0.35, history), { rank: 75, percentile: 75, low: 0.2, high: 0.4, days: 4, reason: null });
+  assert.equal(rankIv(0.35, history.slice(0, 1)).rank, null);
+});
+
+test('builds the fixture surface with term structure and 25-delta skew', async () => {
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const surface = await buildVolSurface(provider, 'AAPL', { now: RECORDED_AT });
+  assert.equal(surface.expirations.length, 4);
+  assert.equal(surface.grid.length, 4);
+  assert.ok(surface.grid.every(row => row.length === MONEYNESS_GRID.length));
+  const atmColumn = MONEYNESS_GRID.indexOf(1);
+  surface.expirations.forEach((exp, i) => assert.equal(surface.grid[i][atmColumn], exp.atmImpliedVolatility));
+  assert.ok(surface.points.some(p => p.optionType === 'put') && surface.points.some(p => p.optionType === 'call'));
+  assert.ok(surface.points.every(p => (p.optionType === 'put' ? p.strike <= 200.5 : p.strike >= 200.5)));
+  for (const exp of surface.expirations) assert.ok(exp.skew25.skew > 0, 'puts trade above calls');
+  assert.equal(surface.termStructure.shape, 'contango');
+  assert.equal(surface.ivRank.days, 0);
+
+  const limited = await buildVolSurface(provider, 'AAPL', { now: RECORDED_AT, expirationCount: 2 });
+  assert.equal(limited.expirations.length, 2);
+});
+
+test('records one IV per day and ranks against earlier days', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iv-history-')), 'iv-history.json');
+  const ivHistory = createIvHistory(createJsonCollection(file));
+  await ivHistory.record('AAPL', '2025-05-01', 0.4);
+  await ivHistory.record('AAPL', '2025-05-02', 0.2);
+  await ivHistory.record('AAPL', '2025-05-02', 0.25);
+  assert.deepEqual(await ivHistory.get('AAPL'), [{ date: '2025-05-01', iv: 0.4 }, { date: '2025-05-02', iv: 0.25 }]);
+
+  const provider = createFixtureProvider({ dir: DEFAULT_FIXTURE_DIR, shiftToNow: false });
+  const surface = await buildVolSurface(provider, 'AAPL', { now: RECORDED_AT, ivHistory });
+  assert.equal(surface.ivRank.days, 2);
+  assert.ok(Math.abs(surface.ivRank.rank - (surface.termStructure.atmIv30 - 0.25) / 0.15 * 100) < 0.1);
+  assert.equal((await ivHistory.get('AAPL')).length, 3);
+
+  // The same day again replaces today's value rather than adding one
+  await buildVolSurface(provider, 'AAPL', { now: RECORDED_AT + DAY_MS / 4, ivHistory });
+  assert.equal((await ivHistory.get('AAPL')).length, 3);
+});
+
+test('keeps one IV per day under concurrent readings and drops those older than a year', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iv-history-')), 'iv-history.json');
+  const ivHistory = createIvHistory(createJsonCollection(file));
+  await ivHistory.record('AAPL', '2024-04-30', 0.3);
+  await ivHistory.record('AAPL', '2024-05-02', 0.35);
+  await Promise.all([0.2, 0.21, 0.22].map(iv => ivHistory.record('AAPL', '2025-05-01', iv)));
+  assert.deepEqual(await ivHistory.get('AAPL'), [{ date: '2024-05-02', iv: 0.35 }, { date: '2025-05-01', iv: 0.22 }]);
+});